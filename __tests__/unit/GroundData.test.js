@@ -2,7 +2,13 @@
  * Basic tests for Ground Data Model
  */
 
-import { GroundData, DEFAULT_LOCATION, createGroundDataTemplate } from '../../src/models/GroundData.js';
+import {
+  GroundData,
+  DEFAULT_LOCATION,
+  createGroundDataTemplate,
+  validateGroundData,
+  normalizeGroundData
+} from '../../src/models/GroundData.js';
 
 describe('GroundData Model', () => {
   test('should create valid GroundData instance', () => {
@@ -31,4 +37,61 @@ describe('GroundData Model', () => {
     expect(groundData).toBeInstanceOf(GroundData);
     expect(groundData.isValid()).toBe(true);
   });
+
+  test('should check types, ranges and enums', () => {
+    const data = createGroundDataTemplate();
+    data.metrics = { ...data.metrics, humidity: 104, pressure: { current: 1013, trend: 'up' } };
+
+    expect(validateGroundData(data)).toEqual([
+      expect.objectContaining({ field: 'metrics.humidity', code: 'OUT_OF_RANGE' }),
+      expect.objectContaining({ field: 'metrics.pressure.trend', code: 'INVALID' })
+    ]);
+    expect(new GroundData(data).isValid()).toBe(false);
+  });
+
+  describe('normalizeGroundData', () => {
+    const withMetrics = (metrics) => {
+      const data = createGroundDataTemplate({ timestamp: '2025-01-25T12:00:00.000Z' });
+      data.metrics = { ...data.metrics, ...metrics };
+      return data;
+    };
+
+    test('should pass valid points through untouched', () => {
+      const data = withMetrics({});
+
+      expect(normalizeGroundData(data)).toEqual({ data, issues: [] });
+    });
+
+    test('should clamp humidity into range', () => {
+      const data = withMetrics({ humidity: 100.4 });
+      const result = normalizeGroundData(data);
+
+      expect(result.data.metrics.humidity).toBe(100);
+      expect(result.issues).toEqual([expect.objectContaining({ field: 'metrics.humidity', action: 'clamped' })]);
+      expect(data.metrics.humidity).toBe(100.4);
+    });
+
+    test('should drop invalid optional fields', () => {
+      const result = normalizeGroundData(withMetrics({ wind: { speed: -3 }, pressure: { current: 1013, seaLevel: 12000 } }));
+
+      expect(result.data.metrics.wind.speed).toBe(0);
+      expect(result.data.metrics.pressure).toEqual({ current: 1013 });
+      expect(result.issues.map(issue => issue.action)).toEqual(['dropped', 'clamped']);
+    });
+
+    test('should reject points with impossible required values', () => {
+      const result = normalizeGroundData(withMetrics({ pressure: { current: 0, trend: 'steady' } }));
+
+      expect(result.data).toBeNull();
+      expect(result.issues).toEqual([expect.objectContaining({ field: 'metrics.pressure.current', code: 'OUT_OF_RANGE', action: 'rejected' })]);
+      expect(normalizeGroundData(null).data).toBeNull();
+    });
+
+    test('should rewrite timestamps as ISO 8601 UTC', () => {
+      const result = normalizeGroundData({ ...withMetrics({}), timestamp: '2025-01-25T07:00:00-05:00' });
+
+      expect(result.data.timestamp).toBe('2025-01-25T12:00:00.000Z');
+      expect(result.issues).toEqual([expect.objectContaining({ field: 'timestamp', action: 'reformatted' })]);
+    });
+  });
 });
@@ -0,0 +1,38 @@
+/**
+ * Tests for Mock Sky Data Service
+ */
+
+import { MockSkyDataService } from '../../src/services/MockSkyDataService.js';
+
+describe('MockSkyDataService', () => {
+  let mockService;
+
+  beforeEach(() => {
+    mockService = new MockSkyDataService();
+  });
+
+  test('should generate current conditions', () => {
+    const data = mockService.getCurrentConditions();
+
+    expect(data.isValid()).toBe(true);
+    expect(data.wind.speed).toBeGreaterThanOrEqual(0);
+    expect(data.wind.direction).toBeGreaterThanOrEqual(0);
+    expect(data.wind.direction).toBeLessThan(360);
+    expect(data.clouds.cover).toBeGreaterThanOrEqual(0);
+    expect(data.clouds.cover).toBeLessThanOrEqual(100);
+  });
+
+  test('should generate timeline data', () => {
+    const timeline = mockService.getTimelineData(24);
+
+    expect(timeline).toHaveLength(25); // 24 hours + center point
+    expect(timeline.every(point => point.isValid())).toBe(true);
+  });
+
+  test('should only rain under heavy cloud cover', () => {
+    const precipitation = mockService.generatePrecipitation(30);
+
+    expect(precipitation.rain).toBe(0);
+    expect(precipitation.type).toBe('none');
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * @jest-environment node
+ */
+
+import express from 'express';
+import request from 'supertest';
+import { createApiV1Router } from '../../../src/api/ApiV1Router.js';
+import { openApiSpec } from '../../../src/api/OpenApiSpec.js';
+import { ClientRateLimiter } from '../../../src/middleware/ClientRateLimiter.js';
+import { GroundDataService } from '../../../src/services/GroundDataService.js';
+import { SkyDataService } from '../../../src/services/SkyDataService.js';
+import { SeaDataService } from '../../../src/services/SeaDataService.js';
+import { AstroDataService } from '../../../src/services/AstroDataService.js';
+import { LayerDataService } from '../../../src/services/LayerDataService.js';
+import { PrewarmScheduler } from '../../../src/services/PrewarmScheduler.js';
+import { ProviderRegistry } from '../../../src/services/ProviderRegistry.js';
+
+describe('API v1 router', () => {
+  let app;
+  let groundDataService;
+  let prewarmScheduler;
+
+  beforeEach(() => {
+    groundDataService = new GroundDataService({ registry: ProviderRegistry.fromConfig('mock:0') });
+    const skyDataService = new SkyDataService();
+    skyDataService.setAPIMode(false);
+    const seaDataService = new SeaDataService();
+    const astroDataService = new AstroDataService();
+    const layerDataService = new LayerDataService({ groundDataService, skyDataService, seaDataService, astroDataService });
+    prewarmScheduler = new PrewarmScheduler({ groundDataService, skyDataService });
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1', createApiV1Router({
+      groundDataService,
+      skyDataService,
+      seaDataService,
+      astroDataService,
+      layerDataService,
+      prewarmScheduler,
+      rateLimiter: new ClientRateLimiter({ groups: [{ name: 'default', limit: 100 }] }),
+      config: { nodeEnv: 'test', validateResponses: true }
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should serve the OpenAPI document', async () => {
+    const response = await request(app).get('/api/v1/openapi.json');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual(JSON.parse(JSON.stringify(openApiSpec)));
+    expect(response.body.servers).toEqual([{ url: '/api/v1' }]);
+  });
+
+  test('should answer every documented GET endpoint as specified', async () => {
+    const query = { lat: 40.7128, lon: -74.006, hours: 2 };
+    const paths = Object.keys(openApiSpec.paths).filter(path => openApiSpec.paths[path].get && path !== '/openapi.json');
+
+    for (const path of paths) {
+      const response = await request(app).get(`/api/v1${path}`).query(query);
+      expect({ path, status: response.status }).toEqual({ path, status: 200 });
+    }
+
+    const stats = await request(app).get('/api/v1/ground/stats');
+    expect(stats.body.data.validation).toEqual({ validateResponses: true, invalidRequests: 0, invalidResponses: 0 });
+  });
+
+  test('should reject requests that do not match the spec', async () => {
+    const response = await request(app).get('/api/v1/ground/timeline').query({ hours: 500 });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({
+      status: 'error',
+      message: 'Invalid request: hours must be <= 168',
+      errors: [{ field: 'hours', in: 'query', code: 'OUT_OF_RANGE', message: 'hours must be <= 168' }]
+    });
+  });
+
+  test.each([
+    ['/ground/current', { lat: 'abc' }, 'lat', 'INVALID'],
+    ['/ground/current', { lon: 181 }, 'lon', 'OUT_OF_RANGE'],
+    ['/ground/timeline', { hours: 'abc' }, 'hours', 'INVALID'],
+    ['/ground/timeline', { hours: 0 }, 'hours', 'OUT_OF_RANGE'],
+    ['/ground/timeline', { resolution: '5m' }, 'resolution', 'INVALID'],
+    ['/ground/location', { lat: 10 }, 'lon', 'MISSING'],
+    ['/ground/history', { start: 'yesterday' }, 'start', 'INVALID'],
+    ['/layers', { layers: 'ground,ocean' }, 'layers[1]', 'INVALID'],
+    ['/layers', { layers: ',' }, 'layers', 'OUT_OF_RANGE']
+  ])('should report %s with %j as %s %s', async (path, query, field, code) => {
+    const response = await request(app).get(`/api/v1${path}`).query(query);
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toEqual([expect.objectContaining({ field, code })]);
+  });
+
+  test('should treat zero coordinates as real coordinates', async () => {
+    const current = await request(app).get('/api/v1/astro/current').query({ lat: 0, lon: 0 });
+    const timeline = await request(app).get('/api/v1/ground/timeline').query({ lat: 0, lon: 0, hours: 2 });
+
+    expect(current.body.data.location).toEqual({ lat: 0, lon: 0 });
+    expect(timeline.body.meta.location).toEqual({ lat: 0, lon: 0 });
+  });
+
+  test('should convert values to the requested units', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5); // Same mock data for both requests
+
+    const metric = await request(app).get('/api/v1/ground/current').query({ lat: 40.7128, lon: -74.006 });
+    const custom = await request(app).get('/api/v1/ground/current').query({ lat: 40.7128, lon: -74.006, units: 'imperial', pressure: 'hPa' });
+
+    const celsius = metric.body.data.metrics.temperature.current;
+    expect(custom.body.data.metrics.temperature.current).toBeCloseTo(celsius * 9 / 5 + 32, 0);
+    expect(custom.body.data.metrics.pressure.current).toBe(metric.body.data.metrics.pressure.current);
+    expect(metric.body.meta.units).toMatchObject({ system: 'metric', temperature: '°C', pressure: 'hPa' });
+    expect(custom.body.meta.units).toMatchObject({ system: 'custom', temperature: '°F', pressure: 'hPa', speed: 'mph' });
+  });
+
+  test('should report the high and low of each local day of a timeline', async () => {
+    const response = await request(app).get('/api/v1/ground/timeline').query({ hours: 48 });
+    const temperatures = response.body.data.map(point => point.metrics.temperature.current);
+
+    expect(response.body.meta.daily.length).toBeGreaterThanOrEqual(2);
+    expect(Math.max(...response.body.meta.daily.map(day => day.high.value))).toBe(Math.max(...temperatures));
+    expect(Math.min(...response.body.meta.daily.map(day => day.low.value))).toBe(Math.min(...temperatures));
+    expect(response.body.meta.daily.reduce((sum, day) => sum + day.points, 0)).toBe(temperatures.length);
+  });
+
+  test('should resample timelines to the requested resolution', async () => {
+    const response = await request(app).get('/api/v1/ground/timeline').query({ hours: 4, resolution: '15m' });
+    const times = response.body.data.map(point => new Date(point.timestamp).getTime());
+
+    expect(response.body.meta.resolution).toBe('15m');
+    expect(times.slice(1).every((time, i) => time - times[i] === 15 * 60 * 1000)).toBe(true);
+    expect(response.body.data.some(point => point.resampled)).toBe(true);
+  });
+
+  test('should report mock sky data as degraded and synthetic', async () => {
+    const current = await request(app).get('/api/v1/sky/current');
+    const layers = await request(app).get('/api/v1/layers').query({ hours: 2, layers: 'sky' });
+
+    expect(current.body.meta).toMatchObject({ source: 'mock', degraded: true });
+    expect(current.body.data.provenance).toEqual({ provider: 'mock', type: 'synthetic' });
+    expect(layers.body.meta.layers.sky).toMatchObject({ source: 'mock', degraded: true });
+  });
+
+  test('should answer a mode switch without an available provider with a 503', async () => {
+    jest.spyOn(groundDataService, 'getActiveProvider').mockReturnValue(undefined);
+
+    const response = await request(app).post('/api/v1/ground/mode').send({ provider: 'auto' });
+
+    expect(response.status).toBe(503);
+    expect(response.body).toMatchObject({ status: 'error', code: 'NO_PROVIDER', message: 'No weather provider available' });
+  });
+
+  test('should keep the Sky provider when the selected provider cannot serve Sky data', async () => {
+    const registry = ProviderRegistry.fromConfig('openmeteo:5,mock:0');
+    registry.register({
+      name: 'openweather',
+      getCurrent: jest.fn(),
+      getTimeline: jest.fn(),
+      getCurrentSky: jest.fn(),
+      getSkyTimelineData: jest.fn()
+    }, { priority: 10 });
+    const ground = new GroundDataService({ registry });
+    const sky = new SkyDataService({ registry });
+    const modeApp = express();
+    modeApp.use(express.json());
+    modeApp.use('/api/v1', createApiV1Router({
+      groundDataService: ground,
+      skyDataService: sky,
+      seaDataService: new SeaDataService(),
+      astroDataService: new AstroDataService(),
+      layerDataService: new LayerDataService({ groundDataService: ground, skyDataService: sky }),
+      prewarmScheduler: new PrewarmScheduler({ groundDataService: ground, skyDataService: sky }),
+      rateLimiter: new ClientRateLimiter({ groups: [{ name: 'default', limit: 100 }] }),
+      config: { nodeEnv: 'test', validateResponses: true }
+    }));
+
+    const openMeteo = await request(modeApp).post('/api/v1/ground/mode').send({ provider: 'openmeteo' });
+    const mock = await request(modeApp).post('/api/v1/ground/mode').send({ useRealAPI: false });
+
+    expect(openMeteo.status).toBe(200);
+    expect(openMeteo.body.data).toMatchObject({ mode: 'openmeteo', sky: { mode: 'openweather', selection: 'auto' } });
+    expect(mock.body.data).toMatchObject({ mode: 'mock', sky: { mode: 'mock', selection: 'manual' } });
+  });
+
+  test('should reject unknown units', async () => {
+    const response = await request(app).get('/api/v1/ground/current').query({ units: 'nautical' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toEqual([expect.objectContaining({ field: 'units', code: 'INVALID' })]);
+  });
+
+  test('should track requested locations for pre-warming', async () => {
+    await request(app).get('/api/v1/ground/current').query({ lat: 51.5, lon: -0.12 });
+
+    expect(prewarmScheduler.getPopularLocations()).toEqual([expect.objectContaining({ lat: 51.5, lon: -0.12, count: 1 })]);
+  });
+
+  test('should answer unknown endpoints with a JSON 404', async () => {
+    const response = await request(app).get('/api/v1/ground/unknown');
+
+    expect(response.status).toBe(404);
+    expect(response.body).toMatchObject({ status: 'error', message: 'Unknown API endpoint: GET /api/v1/ground/unknown' });
+  });
+});
@@ -0,0 +1,187 @@
+import { OpenApiValidator, validateSchema, VALIDATION_CODES } from '../../../src/api/OpenApiValidator.js';
+
+const spec = {
+  paths: {
+    '/timeline': {
+      get: {
+        parameters: [
+          { name: 'lat', in: 'query', required: true, schema: { type: 'number', minimum: -90, maximum: 90 } },
+          { $ref: '#/components/parameters/hours' }
+        ],
+        responses: {
+          200: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Point' } } } }
+        }
+      }
+    },
+    '/mode': {
+      post: {
+        requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { useRealAPI: { type: 'boolean' } } } } } },
+        responses: { 200: { description: 'OK' } }
+      }
+    }
+  },
+  components: {
+    parameters: {
+      hours: { name: 'hours', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 168 } }
+    },
+    schemas: {
+      Point: {
+        type: 'object',
+        required: ['timestamp', 'value'],
+        properties: {
+          timestamp: { type: 'string', format: 'date-time' },
+          value: { type: ['number', 'null'] },
+          trend: { type: 'string', enum: ['rising', 'falling'] }
+        }
+      }
+    }
+  }
+};
+
+describe('validateSchema', () => {
+  const validate = (schema, value) => validateSchema(schema, value, { root: spec }).map(error => error.message);
+
+  test('should accept matching values', () => {
+    expect(validate({ $ref: '#/components/schemas/Point' }, { timestamp: '2025-01-25T12:00:00Z', value: null, extra: 1 })).toEqual([]);
+    expect(validate({ type: 'array', items: { type: 'integer' } }, [1, 2, 3])).toEqual([]);
+  });
+
+  test('should report type, range, enum and format errors with their path', () => {
+    expect(validate({ $ref: '#/components/schemas/Point' }, { timestamp: 'yesterday', value: '1', trend: 'up' })).toEqual([
+      'value.timestamp must be a date-time',
+      'value.value must be number or null',
+      'value.trend must be one of rising, falling'
+    ]);
+    expect(validate({ type: 'number', maximum: 90 }, 91)).toEqual(['value must be <= 90']);
+    expect(validate({ type: 'integer' }, 1.5)).toEqual(['value must be integer']);
+  });
+
+  test('should report missing required and disallowed properties', () => {
+    expect(validate({ type: 'object', required: ['a'], additionalProperties: false }, { b: 1 })).toEqual([
+      'value.a is required',
+      'value.b is not allowed'
+    ]);
+  });
+
+  test('should tell missing, malformed and out-of-range values apart', () => {
+    const schema = {
+      type: 'object',
+      required: ['lat'],
+      properties: { hours: { type: 'integer', maximum: 168 }, trend: { enum: ['rising'] }, layers: { type: 'array', minItems: 1 } }
+    };
+
+    expect(validateSchema(schema, { hours: 200, trend: 'up', layers: [] }, { path: 'query' })).toEqual([
+      { field: 'query.lat', code: VALIDATION_CODES.MISSING, message: 'query.lat is required' },
+      { field: 'query.hours', code: VALIDATION_CODES.OUT_OF_RANGE, message: 'query.hours must be <= 168' },
+      { field: 'query.trend', code: VALIDATION_CODES.INVALID, message: 'query.trend must be one of rising' },
+      { field: 'query.layers', code: VALIDATION_CODES.OUT_OF_RANGE, message: 'query.layers must have at least 1 item(s)' }
+    ]);
+  });
+
+  test('should support anyOf and allOf', () => {
+    const nullablePoint = { anyOf: [{ $ref: '#/components/schemas/Point' }, { type: 'null' }] };
+
+    expect(validate(nullablePoint, null)).toEqual([]);
+    expect(validate(nullablePoint, {})).toEqual(['value does not match any allowed schema']);
+    expect(validate({ allOf: [{ required: ['a'] }, { required: ['b'] }] }, {})).toEqual(['value.a is required', 'value.b is required']);
+  });
+});
+
+describe('OpenApiValidator', () => {
+  let validator;
+  let onInvalidResponse;
+
+  const createResponse = () => {
+    const res = { statusCode: 200, body: null };
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (body) => { res.body = body; return res; };
+    return res;
+  };
+
+  // Runs a request through the middleware, returning the response and whether it passed
+  const send = (method, path, { query = {}, body } = {}) => {
+    const res = createResponse();
+    const next = jest.fn();
+    validator.middleware()({ method, path, originalUrl: path, query, body }, res, next);
+    return { res, passed: next.mock.calls.length === 1 };
+  };
+
+  beforeEach(() => {
+    onInvalidResponse = jest.fn();
+    validator = new OpenApiValidator({ spec, validateResponses: true, onInvalidResponse });
+  });
+
+  test('should pass valid requests and coerce query strings', () => {
+    expect(send('GET', '/timeline', { query: { lat: '40.71', hours: '24' } }).passed).toBe(true);
+  });
+
+  test('should reject invalid query parameters with codes and field names', () => {
+    const { res, passed } = send('GET', '/timeline', { query: { lat: 'abc', hours: '200' } });
+
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toMatchObject({
+      status: 'error',
+      message: 'Invalid request: lat must be number; hours must be <= 168',
+      errors: [
+        { field: 'lat', in: 'query', code: 'INVALID', message: 'lat must be number' },
+        { field: 'hours', in: 'query', code: 'OUT_OF_RANGE', message: 'hours must be <= 168' }
+      ]
+    });
+    expect(validator.getStats().invalidRequests).toBe(1);
+  });
+
+  test('should reject missing required parameters', () => {
+    expect(send('GET', '/timeline').res.body.errors).toEqual([
+      { field: 'lat', in: 'query', code: 'MISSING', message: 'lat is required' }
+    ]);
+    expect(send('GET', '/timeline', { query: { lat: '' } }).res.body.errors[0].code).toBe('MISSING');
+  });
+
+  test('should accept zero as a value', () => {
+    expect(send('GET', '/timeline', { query: { lat: '0' } }).passed).toBe(true);
+  });
+
+  test('should reject non-integer and non-finite numbers', () => {
+    expect(send('GET', '/timeline', { query: { lat: 'Infinity', hours: '1.5' } }).res.body.errors.map(error => error.code))
+      .toEqual(['INVALID', 'INVALID']);
+  });
+
+  test('should validate JSON bodies', () => {
+    expect(send('POST', '/mode', { body: { useRealAPI: true } }).passed).toBe(true);
+    expect(send('POST', '/mode', { body: { useRealAPI: 'yes' } }).res.body.errors).toEqual([
+      { field: 'useRealAPI', in: 'body', code: 'INVALID', message: 'body.useRealAPI must be boolean' }
+    ]);
+  });
+
+  test('should ignore undocumented paths', () => {
+    expect(send('GET', '/unknown', { query: { lat: 'abc' } }).passed).toBe(true);
+  });
+
+  test('should report responses that do not match the spec without changing them', () => {
+    const { res } = send('GET', '/timeline', { query: { lat: '0' } });
+
+    res.json({ timestamp: '2025-01-25T12:00:00Z', value: 1 });
+    expect(onInvalidResponse).not.toHaveBeenCalled();
+
+    res.json({ value: 'warm' });
+    expect(onInvalidResponse.mock.calls[0][1].map(error => error.message)).toEqual([
+      'response.timestamp is required',
+      'response.value must be number or null'
+    ]);
+    expect(res.body).toEqual({ value: 'warm' });
+
+    res.status(500).json({});
+    expect(onInvalidResponse.mock.calls[1][1][0].message).toBe('status 500 is not documented');
+    expect(validator.getStats().invalidResponses).toBe(2);
+  });
+
+  test('should not check responses when disabled', () => {
+    validator = new OpenApiValidator({ spec, validateResponses: false, onInvalidResponse });
+    const { res } = send('GET', '/timeline', { query: { lat: '0' } });
+
+    res.json({ value: 'warm' });
+
+    expect(onInvalidResponse).not.toHaveBeenCalled();
+  });
+});
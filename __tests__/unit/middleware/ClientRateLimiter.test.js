@@ -0,0 +1,117 @@
+import { ClientRateLimiter } from '../../../src/middleware/ClientRateLimiter.js';
+
+describe('ClientRateLimiter', () => {
+  let limiter;
+  let now;
+
+  const createRequest = (path, { ip = '10.0.0.1', apiKey } = {}) => ({
+    path,
+    ip,
+    get: (header) => (header === 'X-API-Key' ? apiKey : undefined)
+  });
+
+  const createResponse = () => {
+    const res = { headers: {}, statusCode: 200, body: null };
+    res.set = (name, value) => Object.assign(res.headers, typeof name === 'object' ? name : { [name]: value });
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (body) => { res.body = body; return res; };
+    return res;
+  };
+
+  // Runs a request through the middleware, returning the response and whether it passed
+  const send = (path, options) => {
+    const res = createResponse();
+    const next = jest.fn();
+    limiter.middleware()(createRequest(path, options), res, next);
+    return { res, passed: next.mock.calls.length === 1 };
+  };
+
+  beforeEach(() => {
+    now = Date.parse('2025-01-25T12:00:00Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    limiter = new ClientRateLimiter({
+      windowMs: 60000,
+      apiKeys: ['partner-key'],
+      groups: [
+        { name: 'upstream', paths: ['/ground/current'], limit: 2 },
+        { name: 'default', limit: 5 }
+      ]
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should set standard rate limit headers', () => {
+    const { res, passed } = send('/ground/current');
+
+    expect(passed).toBe(true);
+    expect(res.headers).toEqual({
+      'RateLimit-Policy': '2;w=60',
+      'RateLimit-Limit': '2',
+      'RateLimit-Remaining': '1',
+      'RateLimit-Reset': '60'
+    });
+  });
+
+  test('should answer 429 in the error envelope once the limit is reached', () => {
+    send('/ground/current');
+    send('/ground/current');
+    const { res, passed } = send('/ground/current');
+
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['Retry-After']).toBe('60');
+    expect(res.body).toMatchObject({ status: 'error', message: expect.stringContaining('Too many requests') });
+    expect(limiter.getStats().limited).toBe(1);
+  });
+
+  test('should count route groups separately', () => {
+    send('/ground/current');
+    send('/ground/current');
+
+    const { res, passed } = send('/sea/current');
+
+    expect(passed).toBe(true);
+    expect(res.headers['RateLimit-Limit']).toBe('5');
+  });
+
+  test('should count clients separately', () => {
+    send('/ground/current');
+    send('/ground/current');
+
+    expect(send('/ground/current', { ip: '10.0.0.2' }).passed).toBe(true);
+  });
+
+  test('should give known API keys their own limit', () => {
+    send('/ground/current');
+    send('/ground/current');
+
+    expect(send('/ground/current', { apiKey: 'partner-key' }).passed).toBe(true);
+    expect(send('/ground/current', { apiKey: 'made-up-key' }).passed).toBe(false);
+  });
+
+  test('should start a new window after the window length', () => {
+    send('/ground/current');
+    send('/ground/current');
+    expect(send('/ground/current').passed).toBe(false);
+
+    now += 60000;
+
+    expect(send('/ground/current').passed).toBe(true);
+    expect(limiter.getStats().activeWindows).toBe(1);
+  });
+
+  test('should use a custom limit handler', () => {
+    limiter.onLimitReached = jest.fn((req, res, retryAfterSeconds) => res.status(429).json({ retryAfterSeconds }));
+    send('/ground/current');
+    send('/ground/current');
+    now += 15000;
+
+    const { res } = send('/ground/current');
+
+    expect(limiter.onLimitReached).toHaveBeenCalled();
+    expect(res.body).toEqual({ retryAfterSeconds: 45 });
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * @jest-environment node
+ */
+
+import path from 'path';
+import request from 'supertest';
+import { createApp as createServerApp } from '../../../src/app.js';
+import { GroundDataService } from '../../../src/services/GroundDataService.js';
+import { SkyDataService } from '../../../src/services/SkyDataService.js';
+import { SeaDataService } from '../../../src/services/SeaDataService.js';
+import { AstroDataService } from '../../../src/services/AstroDataService.js';
+import { LayerDataService } from '../../../src/services/LayerDataService.js';
+import { PrewarmScheduler } from '../../../src/services/PrewarmScheduler.js';
+import { ProviderRegistry } from '../../../src/services/ProviderRegistry.js';
+
+const PUBLIC_DIR = path.join(__dirname, '..', '..', '..', 'src', 'public');
+
+// supertest cannot decode brotli bodies, so skip parsing where only headers matter
+const ignoreBody = (res, callback) => {
+  res.on('data', () => {});
+  res.on('end', () => callback(null, null));
+};
+
+// The app as server.js serves it, on mock data
+const createApp = ({ production = false } = {}) => {
+  const groundDataService = new GroundDataService({ registry: ProviderRegistry.fromConfig('mock:0') });
+  const skyDataService = new SkyDataService();
+  skyDataService.setAPIMode(false);
+  const seaDataService = new SeaDataService();
+  const astroDataService = new AstroDataService();
+
+  return createServerApp({
+    groundDataService,
+    skyDataService,
+    seaDataService,
+    astroDataService,
+    layerDataService: new LayerDataService({ groundDataService, skyDataService, seaDataService, astroDataService }),
+    prewarmScheduler: new PrewarmScheduler({ groundDataService, skyDataService }),
+    publicDir: PUBLIC_DIR,
+    config: { nodeEnv: production ? 'production' : 'test' }
+  });
+};
+
+describe('createSecurityMiddleware', () => {
+  describe.each([
+    ['API', '/api/v1/ground/timeline?hours=6'],
+    ['static', '/index.html'],
+    ['SPA fallback', '/some/client/route']
+  ])('%s routes', (kind, route) => {
+    test('should send a CSP allowing Google Fonts', async () => {
+      const response = await request(createApp({ production: false })).get(route);
+      const csp = response.headers['content-security-policy'];
+
+      expect(response.status).toBe(200);
+      expect(csp).toContain("default-src 'self'");
+      expect(csp).toContain("script-src 'self'");
+      expect(csp).toContain("style-src 'self' https://fonts.googleapis.com");
+      expect(csp).toContain("font-src 'self' https://fonts.gstatic.com");
+      expect(csp).toContain("object-src 'none'");
+      expect(response.headers['x-content-type-options']).toBe('nosniff');
+      expect(response.headers['x-powered-by']).toBeUndefined();
+    });
+
+    test('should compress responses', async () => {
+      const gzip = await request(createApp()).get(route).set('Accept-Encoding', 'gzip');
+      const brotli = await request(createApp()).get(route).set('Accept-Encoding', 'br, gzip').parse(ignoreBody);
+
+      expect(gzip.headers['content-encoding']).toBe('gzip');
+      expect(brotli.headers['content-encoding']).toBe('br');
+    });
+
+    test('should only send HSTS in production', async () => {
+      const development = await request(createApp({ production: false })).get(route);
+      const production = await request(createApp({ production: true })).get(route);
+
+      expect(development.headers['strict-transport-security']).toBeUndefined();
+      expect(development.headers['content-security-policy']).not.toContain('upgrade-insecure-requests');
+      expect(production.headers['strict-transport-security']).toBe('max-age=31536000; includeSubDomains');
+      expect(production.headers['content-security-policy']).toContain('upgrade-insecure-requests');
+    });
+  });
+
+  test('should serve unversioned API routes as a deprecated alias of v1', async () => {
+    const response = await request(createApp()).get('/api/ground/current');
+
+    expect(response.status).toBe(200);
+    expect(response.headers.deprecation).toBe('true');
+    expect(response.headers.link).toBe('</api/v1/ground/current>; rel="successor-version"');
+    expect(response.headers['content-security-policy']).toContain("default-src 'self'");
+  });
+
+  test('should keep index.html free of inline event handlers blocked by the CSP', async () => {
+    const response = await request(createApp()).get('/index.html');
+
+    expect(response.text).not.toMatch(/\son[a-z]+=/);
+  });
+});
@@ -0,0 +1,46 @@
+import { AstroDataService } from '../../../src/services/AstroDataService.js';
+
+describe('AstroDataService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new AstroDataService();
+  });
+
+  test('should calculate current astro conditions', async () => {
+    const data = await service.getCurrentConditions(40.7128, -74.0060, new Date('2024-06-21T16:00:00Z'));
+
+    expect(data.isValid()).toBe(true);
+    expect(data.sun.period).toBe('day');
+    expect(data.sun.sunrise).toEqual(expect.any(String));
+    expect(data.sun.dayLength).toBeGreaterThan(14 * 60);
+    expect(data.sun.twilight.civil.dawn < data.sun.sunrise).toBe(true);
+    expect(data.moon.phaseName).toEqual(expect.any(String));
+    expect(data.moon.illumination).toBeGreaterThanOrEqual(0);
+    expect(data.moon.illumination).toBeLessThanOrEqual(1);
+  });
+
+  test('should flag polar night', async () => {
+    const data = await service.getCurrentConditions(78.2, 15.6, new Date('2024-12-21T12:00:00Z'));
+
+    expect(data.sun.sunrise).toBeNull();
+    expect(data.sun.polarNight).toBe(true);
+    expect(data.sun.polarDay).toBe(false);
+    expect(data.sun.dayLength).toBe(0);
+  });
+
+  test('should generate hourly timeline data', async () => {
+    const timeline = await service.getTimelineData(40.7128, -74.0060, 24);
+
+    expect(timeline).toHaveLength(25); // 24 hours + center point
+    for (let i = 1; i < timeline.length; i++) {
+      const gap = new Date(timeline[i].timestamp) - new Date(timeline[i - 1].timestamp);
+      expect(gap).toBe(60 * 60 * 1000);
+    }
+  });
+
+  test('should reject invalid input', async () => {
+    await expect(service.getCurrentConditions(91, 0)).rejects.toThrow('Invalid coordinates provided');
+    await expect(service.getTimelineData(40, -74, 500)).rejects.toThrow('Hours must be between 1 and 168');
+  });
+});
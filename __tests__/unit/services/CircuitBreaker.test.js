@@ -0,0 +1,74 @@
+import { CircuitBreaker, CIRCUIT_STATES } from '../../../src/services/CircuitBreaker.js';
+
+describe('CircuitBreaker', () => {
+  let breaker;
+  let now;
+
+  beforeEach(() => {
+    now = Date.parse('2025-01-25T12:00:00Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    breaker = new CircuitBreaker({ name: 'test', failureThreshold: 2, resetTimeoutMs: 1000 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const fail = () => breaker.execute(() => Promise.reject(new Error('boom'))).catch(() => {});
+
+  test('should pass calls through while closed', async () => {
+    await expect(breaker.execute(async () => 'ok')).resolves.toBe('ok');
+    expect(breaker.getStats().state).toBe(CIRCUIT_STATES.CLOSED);
+  });
+
+  test('should open after the failure threshold', async () => {
+    await fail();
+    expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED);
+
+    await fail();
+    expect(breaker.state).toBe(CIRCUIT_STATES.OPEN);
+    expect(breaker.getStats()).toMatchObject({ failures: 2, lastError: 'boom' });
+
+    const fn = jest.fn();
+    await expect(breaker.execute(fn)).rejects.toThrow("Circuit open for 'test'");
+    expect(fn).not.toHaveBeenCalled();
+  });
+
+  test('should allow a single probe once the reset timeout elapses', async () => {
+    await fail();
+    await fail();
+    now += 1000;
+
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.state).toBe(CIRCUIT_STATES.HALF_OPEN);
+
+    let resolveProbe;
+    const probe = breaker.execute(() => new Promise(resolve => { resolveProbe = resolve; }));
+    expect(breaker.canRequest()).toBe(false); // Probe in flight
+
+    resolveProbe('recovered');
+    await expect(probe).resolves.toBe('recovered');
+    expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED);
+    expect(breaker.failures).toBe(0);
+  });
+
+  test('should re-open when the probe fails', async () => {
+    await fail();
+    await fail();
+    now += 1000;
+
+    await fail();
+
+    expect(breaker.state).toBe(CIRCUIT_STATES.OPEN);
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  test('should not count errors that are not failures', async () => {
+    breaker = new CircuitBreaker({ name: 'test', failureThreshold: 1, isFailure: error => error.code !== 'LOCAL' });
+    const local = Object.assign(new Error('held back'), { code: 'LOCAL' });
+
+    await expect(breaker.execute(() => Promise.reject(local))).rejects.toBe(local);
+
+    expect(breaker.getStats()).toMatchObject({ state: CIRCUIT_STATES.CLOSED, failures: 0, lastError: null });
+  });
+});
@@ -0,0 +1,347 @@
+import { GroundDataService } from '../../../src/services/GroundDataService.js';
+import { ProviderRegistry } from '../../../src/services/ProviderRegistry.js';
+import { RATE_LIMITED } from '../../../src/services/TokenBucketLimiter.js';
+import { createGroundDataTemplate } from '../../../src/models/GroundData.js';
+
+const createProvider = (name, overrides = {}) => ({
+  name,
+  capabilities: { realtime: name !== 'mock', forecastStepHours: 1 },
+  getCurrent: jest.fn(async () => createGroundDataTemplate({ source: name })),
+  getTimeline: jest.fn(async (lat, lon, hours) => Array.from({ length: hours + 1 }, (_, i) =>
+    createGroundDataTemplate({ timestamp: new Date(Date.UTC(2025, 0, 1, i)).toISOString(), source: name })
+  )),
+  ...overrides
+});
+
+describe('GroundDataService', () => {
+  let registry;
+  let primary;
+  let mock;
+  let service;
+
+  beforeEach(() => {
+    primary = createProvider('primary');
+    mock = createProvider('mock');
+    registry = new ProviderRegistry();
+    registry.register(primary, { priority: 10 });
+    registry.register(mock, { priority: 0 });
+    service = new GroundDataService({ registry });
+  });
+
+  test('should use the highest priority provider', async () => {
+    const result = await service.getCurrentConditions(40.7128, -74.0060);
+
+    expect(result).toMatchObject({ source: 'primary', degraded: false });
+    expect(result.data.source).toBe('primary');
+    expect(mock.getCurrent).not.toHaveBeenCalled();
+  });
+
+  test('should fall back to the next provider on failure and flag it as degraded', async () => {
+    primary.getCurrent.mockRejectedValue(new Error('Upstream down'));
+
+    const result = await service.getCurrentConditions(40.7128, -74.0060);
+
+    expect(result).toMatchObject({ source: 'mock', degraded: true });
+  });
+
+  test('should report when a provider served stale data', async () => {
+    primary.getCurrent.mockResolvedValue({ ...createGroundDataTemplate(), stale: true });
+
+    const result = await service.getCurrentConditions(40.7128, -74.0060);
+
+    expect(result).toMatchObject({ source: 'primary', stale: true });
+  });
+
+  test('should walk the whole chain in priority order', async () => {
+    const secondary = createProvider('secondary', {
+      getCurrent: jest.fn().mockRejectedValue(new Error('Also down'))
+    });
+    registry.register(secondary, { priority: 5 });
+    primary.getCurrent.mockRejectedValue(new Error('Upstream down'));
+
+    const result = await service.getCurrentConditions(40.7128, -74.0060);
+
+    expect(secondary.getCurrent).toHaveBeenCalled();
+    expect(result.source).toBe('mock');
+  });
+
+  test('should fail when every provider fails', async () => {
+    primary.getCurrent.mockRejectedValue(new Error('Upstream down'));
+    mock.getCurrent.mockRejectedValue(new Error('Mock broken'));
+
+    await expect(service.getCurrentConditions(40.7128, -74.0060))
+      .rejects.toThrow('All weather providers failed for current conditions (primary: Upstream down; mock: Mock broken)');
+  });
+
+  test('should skip providers with an open circuit', async () => {
+    service = new GroundDataService({ registry, circuitBreaker: { failureThreshold: 2, resetTimeoutMs: 60000 } });
+    primary.getCurrent.mockRejectedValue(new Error('Upstream down'));
+
+    await service.getCurrentConditions(40.7128, -74.0060);
+    await service.getCurrentConditions(40.7128, -74.0060);
+    await service.getCurrentConditions(40.7128, -74.0060);
+
+    expect(primary.getCurrent).toHaveBeenCalledTimes(2);
+    expect(service.getStats().circuits.primary.state).toBe('open');
+  });
+
+  test('should not open the circuit for local rate limiting or invalid data', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    service = new GroundDataService({ registry, circuitBreaker: { failureThreshold: 1, resetTimeoutMs: 60000 } });
+    primary.getCurrent.mockRejectedValueOnce(Object.assign(new Error('Rate limit exceeded'), { code: RATE_LIMITED }));
+    primary.getCurrent.mockResolvedValueOnce({ ...createGroundDataTemplate(), metrics: { pressure: { current: 0 } } });
+
+    const limited = await service.getCurrentConditions(40.7128, -74.0060);
+    const invalid = await service.getCurrentConditions(40.7128, -74.0060);
+    const recovered = await service.getCurrentConditions(40.7128, -74.0060);
+
+    expect([limited.source, invalid.source, recovered.source]).toEqual(['mock', 'mock', 'primary']);
+    expect(service.getStats().circuits.primary).toMatchObject({ state: 'closed', failures: 0 });
+    console.warn.mockRestore();
+  });
+
+  test('should flag mock data as degraded even when it is the only provider', async () => {
+    service.setProvider('mock');
+    const result = await service.getCurrentConditions(40.7128, -74.0060);
+
+    expect(result).toMatchObject({ source: 'mock', degraded: true });
+  });
+
+  test('should return timeline data with its source', async () => {
+    const result = await service.getTimelineData(40.7128, -74.0060, 6);
+
+    expect(result.source).toBe('primary');
+    expect(result.data).toHaveLength(7);
+  });
+
+  test('should normalize provider data and fail over when nothing is usable', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const broken = createGroundDataTemplate();
+    broken.metrics = { ...broken.metrics, pressure: { current: 0 } };
+    primary.getCurrent.mockResolvedValue(broken);
+    primary.getTimeline.mockResolvedValue([
+      { ...createGroundDataTemplate(), metrics: { ...createGroundDataTemplate().metrics, humidity: 101 } },
+      broken
+    ]);
+
+    const current = await service.getCurrentConditions(40.7128, -74.0060);
+    const timeline = await service.getTimelineData(40.7128, -74.0060, 1);
+
+    expect(current.source).toBe('mock');
+    expect(timeline.source).toBe('primary');
+    expect(timeline.data.map(point => point.metrics.humidity)).toEqual([100]);
+    expect(service.getStats().normalization.primary).toEqual({ points: 3, corrected: 1, rejected: 2 });
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining("Invalid current conditions data from 'primary'"));
+    console.warn.mockRestore();
+  });
+
+  test('should add derived metrics and recompute feels-like from them', async () => {
+    const hot = createGroundDataTemplate();
+    hot.metrics = { ...hot.metrics, temperature: { current: 32.2, feelsLike: 30 }, humidity: 70 };
+    primary.getCurrent.mockResolvedValue(hot);
+
+    const { data } = await service.getCurrentConditions(40.7128, -74.0060);
+    const timeline = await service.getTimelineData(40.7128, -74.0060, 6);
+
+    expect(data.metrics.temperature.feelsLike).toBe(41);
+    expect(data.metrics.derived).toMatchObject({ heatIndex: 41, windChill: null, comfort: 'very-hot' });
+    expect(timeline.data.every(point => point.metrics.derived)).toBe(true);
+  });
+
+  test('should replace provider min/max with extremes over the last 24 hours', async () => {
+    primary.getTimeline.mockImplementation(async () => [10, 4, 12, 7].map((temperature, i) => {
+      const point = createGroundDataTemplate({ timestamp: new Date(Date.UTC(2025, 0, 1, i)).toISOString() });
+      point.metrics = { ...point.metrics, temperature: { current: temperature, min24h: -50, max24h: 50 } };
+      return point;
+    }));
+
+    const { data } = await service.getTimelineData(40.7128, -74.0060, 3);
+
+    expect(data[3].metrics.temperature).toMatchObject({
+      min24h: 4,
+      max24h: 12,
+      min24hAt: '2025-01-01T01:00:00.000Z',
+      max24hAt: '2025-01-01T02:00:00.000Z'
+    });
+  });
+
+  describe('provenance', () => {
+    const now = Date.UTC(2025, 0, 25, 12);
+    // A 3-hourly provider covering the future half of the window only
+    const threeHourly = () => jest.fn(async () => [0, 3, 6].map(offset =>
+      createGroundDataTemplate({ timestamp: new Date(now + offset * 3600000).toISOString() })
+    ));
+
+    beforeEach(() => {
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      primary.getTimeline = threeHourly();
+      primary.capabilities.forecastStepHours = 3;
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should tag every point with its provider and type', async () => {
+      primary.getCurrent.mockResolvedValue(createGroundDataTemplate({ timestamp: new Date(now).toISOString() }));
+
+      const { data: current } = await service.getCurrentConditions(40.7128, -74.0060);
+      expect(current.provenance).toEqual({ provider: 'primary', type: 'observed' });
+
+      service.setProvider('mock');
+      const { data: synthetic } = await service.getCurrentConditions(40.7128, -74.0060);
+      expect(synthetic.provenance).toEqual({ provider: 'mock', type: 'synthetic' });
+    });
+
+    test('should interpolate between real points in strict mode', async () => {
+      const result = await service.getTimelineData(40.7128, -74.0060, 12);
+
+      expect(result.strict).toBe(true);
+      expect(mock.getTimeline).not.toHaveBeenCalled();
+      expect(result.data.map(point => point.provenance.type)).toEqual([
+        'forecast', 'interpolated', 'interpolated', 'forecast', 'interpolated', 'interpolated', 'forecast'
+      ]);
+      expect(result.data[1]).toMatchObject({
+        timestamp: '2025-01-25T13:00:00.000Z',
+        provenance: { provider: 'primary', between: ['2025-01-25T12:00:00.000Z', '2025-01-25T15:00:00.000Z'] }
+      });
+    });
+
+    test('should leave hours inside gaps longer than the configured maximum missing', async () => {
+      service = new GroundDataService({ registry: service.registry, maxInterpolationGapHours: 2 });
+
+      const result = await service.getTimelineData(40.7128, -74.0060, 12);
+
+      expect(result.data.map(point => point.timestamp)).toEqual([
+        '2025-01-25T12:00:00.000Z', '2025-01-25T15:00:00.000Z', '2025-01-25T18:00:00.000Z'
+      ]);
+    });
+
+    test('should keep forecast steps as forecast once their time has passed', async () => {
+      primary.getTimeline = jest.fn(async () => [-3, 0, 3].map(offset =>
+        createGroundDataTemplate({ timestamp: new Date(now + offset * 3600000).toISOString() })
+      ));
+
+      const result = await service.getTimelineData(40.7128, -74.0060, 6);
+      const provided = result.data.filter(point => point.provenance.type !== 'interpolated');
+
+      expect(provided.map(point => point.timestamp)).toEqual([
+        '2025-01-25T09:00:00.000Z', '2025-01-25T12:00:00.000Z', '2025-01-25T15:00:00.000Z'
+      ]);
+      provided.forEach(point => expect(point.provenance).toEqual({ provider: 'primary', type: 'forecast' }));
+    });
+
+    test('should serve the past half from recorded observations', async () => {
+      primary.getCurrent.mockImplementation(async () =>
+        createGroundDataTemplate({ timestamp: new Date(Date.now()).toISOString() })
+      );
+      for (const hoursAgo of [6, 3]) {
+        Date.now.mockReturnValue(now - hoursAgo * 3600000);
+        await service.getCurrentConditions(40.7128, -74.0060);
+      }
+      Date.now.mockReturnValue(now);
+
+      const result = await service.getTimelineData(40.7128, -74.0060, 12);
+
+      expect(result.history).toEqual({ observations: 2, source: 'store' });
+      expect(result.data[0]).toMatchObject({
+        timestamp: '2025-01-25T06:00:00.000Z',
+        provenance: { provider: 'primary', type: 'observed' }
+      });
+      expect(result.data).toHaveLength(13);
+    });
+
+    test('should ask a history provider for missing past hours', async () => {
+      primary.getHistory = jest.fn(async (lat, lon, start) => [
+        createGroundDataTemplate({ timestamp: start.toISOString() })
+      ]);
+
+      const result = await service.getTimelineData(40.7128, -74.0060, 12);
+
+      expect(primary.getHistory).toHaveBeenCalledWith(40.7128, -74.0060, new Date(now - 6 * 3600000), new Date(now));
+      expect(result.history).toEqual({ observations: 1, source: 'primary' });
+      expect(result.data[0]).toMatchObject({
+        timestamp: '2025-01-25T06:00:00.000Z',
+        provenance: { provider: 'primary', type: 'observed' }
+      });
+      expect(service.getStats().observations.observations).toBe(1);
+    });
+
+    test('should only record current conditions and history', async () => {
+      primary.getTimeline = jest.fn(async () => [0, 3].map(offset => ({
+        ...createGroundDataTemplate({ timestamp: new Date(now + offset * 3600000).toISOString() }),
+        provenance: { provider: 'primary', type: 'observed' }
+      })));
+
+      await service.getTimelineData(40.7128, -74.0060, 6);
+      expect(service.getStats().observations.observations).toBe(0);
+
+      primary.getCurrent.mockResolvedValue(createGroundDataTemplate({ timestamp: new Date(now).toISOString() }));
+      await service.getCurrentConditions(40.7128, -74.0060);
+      expect(service.getStats().observations.observations).toBe(1);
+    });
+
+    test('should query recorded observations for arbitrary windows', async () => {
+      primary.getCurrent.mockResolvedValue(createGroundDataTemplate({ timestamp: new Date(now).toISOString() }));
+      await service.getCurrentConditions(40.7128, -74.0060);
+
+      expect(service.getHistory(40.7128, -74.0060, new Date(now - 3600000), new Date(now))).toHaveLength(1);
+      expect(() => service.getHistory(40.7128, -74.0060, new Date(now), new Date(now - 3600000)))
+        .toThrow('Invalid time range provided');
+    });
+
+    test('should compute the pressure tendency from recorded observations', async () => {
+      const observed = (hoursOffset, pressure) => {
+        const point = createGroundDataTemplate({ timestamp: new Date(now + hoursOffset * 3600000).toISOString() });
+        point.metrics = { ...point.metrics, pressure: { current: pressure, seaLevel: pressure, trend: 'steady' } };
+        return point;
+      };
+      primary.getCurrent.mockResolvedValue(observed(0, 1004));
+      service.observationStore.record(40.7128, -74.0060, [{ ...observed(-3, 1011), provenance: { provider: 'primary', type: 'observed' } }]);
+
+      const { data } = await service.getCurrentConditions(40.7128, -74.0060);
+
+      expect(data.metrics.pressure).toMatchObject({ trend: 'falling', tendency: 'falling-rapidly', rate: -7, outlook: 'rain' });
+    });
+
+    test('should pad with the next provider when strict mode is off', async () => {
+      service = new GroundDataService({ registry, strict: false });
+
+      const result = await service.getTimelineData(40.7128, -74.0060, 12);
+
+      expect(result).toMatchObject({ strict: false, degraded: true });
+      expect(result.data.some(point => point.provenance.provider === 'mock' && point.provenance.type === 'synthetic')).toBe(true);
+    });
+  });
+
+  test('should switch to any registered provider by name', async () => {
+    service.setProvider('mock');
+    const { data } = await service.getCurrentConditions(40.7128, -74.0060);
+
+    expect(data.source).toBe('mock');
+    expect(service.getStats()).toMatchObject({ mode: 'mock', selection: 'manual' });
+
+    service.setProvider('auto');
+    expect(service.getActiveProvider().name).toBe('primary');
+  });
+
+  test('should reject unknown or unavailable providers', () => {
+    registry.register(createProvider('keyless', { isAvailable: () => false }), { priority: 1 });
+
+    expect(() => service.setProvider('nope')).toThrow("Unknown provider 'nope'");
+    expect(() => service.setProvider('keyless')).toThrow("Provider 'keyless' is not available");
+  });
+
+  test('should keep the legacy real/mock toggle', () => {
+    service.setAPIMode(false);
+    expect(service.getActiveProvider().name).toBe('mock');
+
+    service.setAPIMode(true);
+    expect(service.getActiveProvider().name).toBe('primary');
+  });
+
+  test('should validate timeline input', async () => {
+    await expect(service.getTimelineData(95, 0, 24)).rejects.toThrow('Invalid coordinates provided');
+    await expect(service.getTimelineData(0, 0, 200)).rejects.toThrow('Hours must be between 1 and 168');
+  });
+});
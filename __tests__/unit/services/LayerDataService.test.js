@@ -0,0 +1,78 @@
+import { LayerDataService, LAYER_NAMES } from '../../../src/services/LayerDataService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Builds a fake layer service returning points every `stepHours` around now
+ */
+const createFakeService = (stepHours, extra = {}) => ({
+  getTimelineData: jest.fn(async (lat, lon, hours) => {
+    const currentHour = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+    const points = [];
+    for (let hour = Math.floor(-hours / 2); hour <= Math.ceil(hours / 2); hour += stepHours) {
+      points.push({ timestamp: new Date(currentHour + hour * HOUR_MS).toISOString(), step: stepHours });
+    }
+    return points;
+  }),
+  ...extra
+});
+
+describe('LayerDataService', () => {
+  let service;
+  let services;
+
+  beforeEach(() => {
+    services = {
+      groundDataService: createFakeService(1),
+      skyDataService: createFakeService(3),
+      seaDataService: createFakeService(1),
+      astroDataService: createFakeService(1)
+    };
+    service = new LayerDataService(services);
+  });
+
+  test('should parse layer lists', () => {
+    expect(service.parseLayers()).toEqual(LAYER_NAMES);
+    expect(service.parseLayers('astro, GROUND')).toEqual(['ground', 'astro']);
+    expect(() => service.parseLayers('ground,magma')).toThrow('Unknown layers: magma');
+    expect(() => service.parseLayers(',')).toThrow('At least one layer is required');
+  });
+
+  test('should align all layers on an hourly timeline', async () => {
+    const { timeline, layers } = await service.getTimelineData(40.7128, -74.0060, 24);
+
+    expect(timeline).toHaveLength(25);
+    expect(layers.ground).toEqual({ available: true, dataPoints: 25 });
+    timeline.forEach(entry => {
+      expect(entry.ground.timestamp).toBe(entry.timestamp);
+      // 3-hourly sky data always has a point within 90 minutes
+      expect(entry.sky).not.toBeNull();
+    });
+  });
+
+  test('should only fetch requested layers', async () => {
+    const { timeline } = await service.getTimelineData(40.7128, -74.0060, 6, ['ground']);
+
+    expect(services.skyDataService.getTimelineData).not.toHaveBeenCalled();
+    expect(Object.keys(timeline[0])).toEqual(['timestamp', 'ground']);
+  });
+
+  test('should report unavailable layers without failing the request', async () => {
+    services.skyDataService.getTimelineData.mockRejectedValue(new Error('Upstream down'));
+    services.seaDataService.getTimelineData.mockResolvedValue([]);
+    services.seaDataService.getAvailability = () => ({ available: false, message: 'No sea data for this location' });
+
+    const { timeline, layers } = await service.getTimelineData(40.7128, -74.0060, 6);
+
+    expect(layers.sky).toMatchObject({ available: false, message: 'Upstream down' });
+    expect(layers.sea).toMatchObject({ available: false, message: 'No sea data for this location' });
+    expect(timeline[0].sky).toBeNull();
+    expect(timeline[0].sea).toBeNull();
+    expect(timeline[0].ground).not.toBeNull();
+  });
+
+  test('should reject invalid input', async () => {
+    await expect(service.getTimelineData(100, 0, 24)).rejects.toThrow('Invalid coordinates provided');
+    await expect(service.getTimelineData(0, 0, 0)).rejects.toThrow('Hours must be between 1 and 168');
+  });
+});
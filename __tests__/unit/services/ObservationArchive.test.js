@@ -0,0 +1,88 @@
+/**
+ * @jest-environment node
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ObservationArchive } from '../../../src/services/ObservationArchive.js';
+
+const NOW = Date.parse('2025-01-25T12:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+const observation = (hoursAgo, temperature = 5) => ({
+  timestamp: new Date(NOW - hoursAgo * HOUR_MS).toISOString(),
+  metrics: { temperature: { current: temperature } }
+});
+
+describe('ObservationArchive', () => {
+  let directory;
+
+  const readLines = (file) => fs.readFileSync(path.join(directory, file), 'utf8').trim().split('\n');
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'observations-'));
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should append observations to one file per grid cell', async () => {
+    const archive = new ObservationArchive({ directory });
+
+    archive.record(40.7128, -74.0060, [observation(2)]);
+    archive.record(40.7128, -74.0060, [observation(1)]);
+    await archive.flush();
+
+    expect(fs.readdirSync(directory)).toEqual(['40.7_-74.1.jsonl']);
+    expect(readLines('40.7_-74.1.jsonl')).toHaveLength(2);
+  });
+
+  test('should append an observation recorded twice only once', async () => {
+    const archive = new ObservationArchive({ directory });
+
+    archive.record(40.7128, -74.0060, [observation(2)]);
+    archive.record(40.7128, -74.0060, [observation(2)]);
+    archive.record(40.7128, -74.0060, [observation(2, 6)]);
+    await archive.flush();
+
+    expect(readLines('40.7_-74.1.jsonl').map(line => JSON.parse(line).metrics.temperature.current)).toEqual([5, 6]);
+  });
+
+  test('should restore observations after a restart', async () => {
+    const archive = new ObservationArchive({ directory });
+    archive.record(40.7128, -74.0060, [observation(3), observation(2, 6)]);
+    await archive.flush();
+
+    const restarted = new ObservationArchive({ directory });
+    const result = restarted.query(40.7128, -74.0060, new Date(NOW - 4 * HOUR_MS), new Date(NOW));
+
+    expect(result.map(o => o.metrics.temperature.current)).toEqual([5, 6]);
+  });
+
+  test('should skip unreadable lines left by an interrupted write', () => {
+    fs.writeFileSync(path.join(directory, '40.7_-74.1.jsonl'), `${JSON.stringify(observation(1))}\n{"timest`);
+
+    const archive = new ObservationArchive({ directory });
+
+    expect(archive.getStats().observations).toBe(1);
+  });
+
+  test('should compact files when pruning', async () => {
+    const archive = new ObservationArchive({ directory, retentionHours: 24 });
+    archive.record(40.7128, -74.0060, [observation(20), observation(1, 5)]);
+    archive.record(40.7128, -74.0060, [observation(1, 7)]); // Supersedes the earlier line
+    archive.record(51.5074, -0.1278, [observation(20)]);
+    await archive.flush();
+
+    Date.now.mockReturnValue(NOW + 6 * HOUR_MS);
+    expect(archive.prune()).toBe(2);
+    await archive.flush();
+
+    expect(fs.readdirSync(directory)).toEqual(['40.7_-74.1.jsonl']);
+    expect(readLines('40.7_-74.1.jsonl').map(line => JSON.parse(line).metrics.temperature.current)).toEqual([7]);
+  });
+});
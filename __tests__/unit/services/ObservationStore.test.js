@@ -0,0 +1,55 @@
+import { ObservationStore } from '../../../src/services/ObservationStore.js';
+import { getGridCell } from '../../../src/utils/GeoUtils.js';
+
+const NOW = Date.parse('2025-01-25T12:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+const observation = (hoursAgo, temperature = 5) => ({
+  timestamp: new Date(NOW - hoursAgo * HOUR_MS).toISOString(),
+  metrics: { temperature: { current: temperature } }
+});
+
+describe('ObservationStore', () => {
+  let store;
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+    store = new ObservationStore({ retentionHours: 24 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should snap locations to grid cells', () => {
+    expect(getGridCell(40.7128, -74.0060)).toEqual({ key: '40.7_-74.1', lat: 40.7, lon: -74.1 });
+    expect(getGridCell(40.75, -74.0, 0.5).key).toBe('40.5_-74.0');
+  });
+
+  test('should share observations between nearby locations', () => {
+    store.record(40.7128, -74.0060, [observation(2), observation(1)]);
+
+    const result = store.query(40.7306, -74.0251, new Date(NOW - 3 * HOUR_MS), new Date(NOW));
+
+    expect(result.map(o => o.timestamp)).toEqual([observation(2).timestamp, observation(1).timestamp]);
+    expect(store.query(51.5, -0.12, new Date(NOW - 3 * HOUR_MS), new Date(NOW))).toEqual([]);
+  });
+
+  test('should replace observations with the same timestamp', () => {
+    store.record(40.7128, -74.0060, [observation(1, 5)]);
+    store.record(40.7128, -74.0060, [observation(1, 7)]);
+
+    const [result] = store.query(40.7128, -74.0060, new Date(NOW - HOUR_MS), new Date(NOW));
+
+    expect(result.metrics.temperature.current).toBe(7);
+    expect(store.getStats()).toEqual({ cells: 1, observations: 1, retentionHours: 24 });
+  });
+
+  test('should drop observations outside the retention window', () => {
+    expect(store.record(40.7128, -74.0060, [observation(30), observation(20)])).toBe(1);
+
+    Date.now.mockReturnValue(NOW + 5 * HOUR_MS);
+    expect(store.prune()).toBe(1);
+    expect(store.getStats().cells).toBe(0);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * @jest-environment node
+ */
+
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { OpenMeteoService } from '../../../src/services/OpenMeteoService.js';
+
+const FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures', 'open-meteo');
+const loadFixture = (name) => fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+
+// The fixture was recorded at 2025-01-25T12:00:00Z
+const RECORDED_AT = Date.parse('2025-01-25T12:00:00Z');
+
+describe('OpenMeteoService', () => {
+  let server;
+  let baseURL;
+  let requests;
+  let service;
+
+  // Local stub server replaying recorded Open-Meteo responses
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push(url);
+
+      const latitude = parseFloat(url.searchParams.get('latitude'));
+      const fixture = latitude > 90 ? 'error-invalid-latitude.json' : 'forecast-new-york.json';
+
+      res.writeHead(latitude > 90 ? 400 : 200, { 'Content-Type': 'application/json' });
+      res.end(loadFixture(fixture));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    service = new OpenMeteoService({ baseURL });
+    jest.spyOn(Date, 'now').mockReturnValue(RECORDED_AT);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should map current conditions to GroundData', async () => {
+    const result = await service.getCurrent(40.7128, -74.0060);
+
+    expect(requests[0].pathname).toBe('/v1/forecast');
+    expect(requests[0].searchParams.get('hourly')).toContain('apparent_temperature');
+    expect(result).toMatchObject({
+      timestamp: '2025-01-25T12:00:00.000Z',
+      location: { lat: 40.710335, lon: -73.99307, timezone: 'America/New_York' },
+      metrics: {
+        temperature: { current: -4.1, feelsLike: -8.6 },
+        humidity: expect.any(Number),
+        pressure: { current: expect.any(Number), seaLevel: expect.any(Number), trend: 'steady' }
+      },
+      conditions: { description: 'mainly clear', icon: '02d' }
+    });
+  });
+
+  test('should return past hours within a window', async () => {
+    const history = await service.getHistory(
+      40.7128, -74.0060,
+      new Date('2025-01-25T00:00:00Z'), new Date('2025-01-25T12:00:00Z')
+    );
+
+    expect(requests[0].searchParams.get('past_days')).toBe('1');
+    expect(history).toHaveLength(13);
+    expect(history[0].timestamp).toBe('2025-01-25T00:00:00.000Z');
+    expect(history[12].timestamp).toBe('2025-01-25T12:00:00.000Z');
+  });
+
+  test('should return true hourly steps centred on the current hour', async () => {
+    const timeline = await service.getTimeline(40.7128, -74.0060, 24);
+
+    expect(requests[0].searchParams.get('past_days')).toBe('1');
+    expect(timeline).toHaveLength(25);
+    expect(timeline[0].timestamp).toBe('2025-01-25T00:00:00.000Z');
+    expect(timeline[24].timestamp).toBe('2025-01-26T00:00:00.000Z');
+    for (let i = 1; i < timeline.length; i++) {
+      expect(new Date(timeline[i].timestamp) - new Date(timeline[i - 1].timestamp)).toBe(60 * 60 * 1000);
+    }
+  });
+
+  test('should use the local day for daily min/max', async () => {
+    const timeline = await service.getTimeline(40.7128, -74.0060, 24);
+    // 2025-01-25T03:00Z is still 2025-01-24 in New York
+    const lateEvening = timeline.find(point => point.timestamp === '2025-01-25T03:00:00.000Z');
+    const afternoon = timeline.find(point => point.timestamp === '2025-01-25T18:00:00.000Z');
+
+    expect(lateEvening.metrics.temperature.max24h).not.toBe(afternoon.metrics.temperature.max24h);
+    expect(afternoon.metrics.temperature.min24h).toBeLessThanOrEqual(afternoon.metrics.temperature.current);
+  });
+
+  test('should cache responses', async () => {
+    await service.getCurrent(40.7128, -74.0060);
+    await service.getCurrent(40.7128, -74.0060);
+
+    expect(requests).toHaveLength(1);
+    expect(service.getStats().cacheSize).toBe(1);
+  });
+
+  test('should wait for fresh data once cached data expires when CACHE_MAX_STALE is 0', async () => {
+    process.env.CACHE_MAX_STALE = '0';
+    service = new OpenMeteoService({ baseURL });
+    delete process.env.CACHE_MAX_STALE;
+
+    await service.getCurrent(40.7128, -74.0060);
+    Date.now.mockReturnValue(RECORDED_AT + service.cache.ttlMs + 60 * 1000);
+    const result = await service.getCurrent(40.7128, -74.0060);
+
+    expect(service.maxStaleMs).toBe(0);
+    expect(requests).toHaveLength(2);
+    expect(result.stale).toBeUndefined();
+  });
+
+  test('should surface the API error reason', async () => {
+    await expect(service.getCurrent(100, 0))
+      .rejects.toThrow('Failed to fetch Open-Meteo data: Latitude must be in range of -90 to 90°');
+  });
+
+  test('should map WMO weather codes', () => {
+    expect(service.mapWeatherCode(0, 1)).toEqual({ description: 'clear sky', icon: '01d' });
+    expect(service.mapWeatherCode(95, 0)).toEqual({ description: 'thunderstorm', icon: '11n' });
+    expect(service.mapWeatherCode(42, 1).description).toBe('unknown');
+  });
+});
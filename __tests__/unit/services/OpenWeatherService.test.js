@@ -1,4 +1,6 @@
 import { OpenWeatherService } from '../../../src/services/OpenWeatherService.js';
+import { ServerCache } from '../../../src/services/ServerCache.js';
+import { TokenBucketLimiter } from '../../../src/services/TokenBucketLimiter.js';
 
 // Mock axios for testing
 jest.mock('axios', () => ({
@@ -116,6 +118,29 @@ describe('OpenWeatherService', () => {
       expect(result).toBeDefined();
     });
 
+    test('should make one upstream request for concurrent identical calls', async () => {
+      mockAxiosInstance.get.mockResolvedValue({
+        data: {
+          dt: 1642694400,
+          coord: { lat: 40.7128, lon: -74.0060 },
+          name: 'New York',
+          sys: { country: 'US' },
+          main: { temp: 22.5, feels_like: 24.1, temp_min: 18.2, temp_max: 26.8, pressure: 1013, humidity: 68 },
+          weather: [{ description: 'clear sky', icon: '01d' }]
+        }
+      });
+
+      const results = await Promise.all([
+        service.getCurrentWeather(40.7128, -74.0060),
+        service.getCurrentWeather(40.7128, -74.0060),
+        service.getCurrentSky(40.7128, -74.0060)
+      ]);
+
+      expect(mockAxiosInstance.get).toHaveBeenCalledTimes(1);
+      expect(results[0]).toEqual(results[1]);
+      expect(service.getCacheStats()).toMatchObject({ requestCount: 1, coalescedRequests: 2 });
+    });
+
     test('should handle API errors gracefully', async () => {
       mockAxiosInstance.get.mockRejectedValue(new Error('API Error'));
 
@@ -124,11 +149,13 @@ describe('OpenWeatherService', () => {
     });
 
     test('should respect rate limiting', async () => {
-      // Simulate exceeding rate limit
-      service.requestCount = service.maxRequestsPerMinute;
+      // Simulate an empty bucket that refills too slowly to wait for
+      service = new OpenWeatherService({ rateLimiter: new TokenBucketLimiter({ capacity: 1, refillPerMinute: 1, maxWaitMs: 1000 }) });
+      service.rateLimiter.tokens = 0;
 
       await expect(service.getCurrentWeather(40.7128, -74.0060))
         .rejects.toThrow('Rate limit exceeded');
+      expect(service.getCacheStats().rateLimit.rejections).toBe(1);
     });
   });
 
@@ -184,6 +211,91 @@ describe('OpenWeatherService', () => {
     });
   });
 
+  describe('sky data', () => {
+    test('should transform wind, clouds, precipitation and visibility', async () => {
+      const mockApiResponse = {
+        data: {
+          dt: 1642694400,
+          coord: { lat: 40.7128, lon: -74.0060 },
+          name: 'New York',
+          sys: { country: 'US' },
+          main: { temp: 22.5, feels_like: 24.1, temp_min: 18.2, temp_max: 26.8, pressure: 1013, humidity: 68 },
+          wind: { speed: 5.14, deg: 225, gust: 8.23 },
+          clouds: { all: 75 },
+          rain: { '1h': 0.42 },
+          visibility: 8000,
+          weather: [{ description: 'light rain', icon: '10d' }]
+        }
+      };
+
+      mockAxiosInstance.get.mockResolvedValue(mockApiResponse);
+
+      const result = await service.getCurrentSky(40.7128, -74.0060);
+
+      expect(result).toMatchObject({
+        wind: { speed: 5.1, gust: 8.2, direction: 225, cardinal: 'SW' },
+        clouds: { cover: 75 },
+        precipitation: { rain: 0.42, snow: 0, periodHours: 1, type: 'rain' },
+        visibility: 8000,
+        conditions: { description: 'light rain', icon: '10d' }
+      });
+    });
+
+    test('should share the cached response between ground and sky data', async () => {
+      mockAxiosInstance.get.mockResolvedValue({
+        data: {
+          dt: 1642694400,
+          coord: { lat: 40.7128, lon: -74.0060 },
+          name: 'New York',
+          sys: { country: 'US' },
+          main: { temp: 22.5, feels_like: 24.1, temp_min: 18.2, temp_max: 26.8, pressure: 1013, humidity: 68 },
+          weather: [{ description: 'clear sky', icon: '01d' }]
+        }
+      });
+
+      await service.getCurrentWeather(40.7128, -74.0060);
+      const sky = await service.getCurrentSky(40.7128, -74.0060);
+
+      expect(mockAxiosInstance.get).toHaveBeenCalledTimes(1);
+      expect(sky.precipitation.type).toBe('none');
+      expect(sky.wind.gust).toBeNull();
+    });
+
+    test('should read 3-hour precipitation and probability from forecast steps', () => {
+      const result = service.transformSkyForecastData({
+        city: { coord: { lat: 40.7128, lon: -74.0060 }, name: 'New York', country: 'US' },
+        list: [{
+          dt: 1642694400,
+          wind: { speed: 3, deg: 10 },
+          clouds: { all: 100 },
+          snow: { '3h': 1.5 },
+          pop: 0.8,
+          visibility: 2000,
+          weather: [{ description: 'snow', icon: '13d' }]
+        }]
+      });
+
+      expect(result[0].precipitation).toEqual({
+        rain: 0,
+        snow: 1.5,
+        periodHours: 3,
+        probability: 0.8,
+        type: 'snow'
+      });
+      expect(result[0].wind.cardinal).toBe('N');
+    });
+
+    test('should tag the current conditions in a timeline as observed', () => {
+      const current = { timestamp: '2022-01-20T16:00:00.000Z', clouds: { cover: 75 } };
+      const forecast = [{ timestamp: '2022-01-20T18:00:00.000Z', clouds: { cover: 100 } }];
+
+      const result = service.combineTimeline(current, forecast, 6);
+
+      expect(result[0].provenance).toEqual({ provider: 'openweather', type: 'observed' });
+      expect(result[1].provenance).toBeUndefined();
+    });
+  });
+
   describe('validateLocation', () => {
     test('should validate correct coordinates', () => {
       expect(service.validateLocation(40.7128, -74.0060)).toBe(true);
@@ -202,15 +314,89 @@ describe('OpenWeatherService', () => {
 
   describe('cache management', () => {
     test('should clean up old cache entries', () => {
-      // Add some old cache entries
-      service.cache.set('test-key', {
-        data: { test: 'data' },
-        timestamp: Date.now() - (2 * 60 * 60 * 1000) // 2 hours ago
-      });
+      const now = Date.now();
+      service.cache.set('test-key', { test: 'data' });
 
+      // Expired entries are kept as a fallback for a while, then removed
+      jest.spyOn(Date, 'now').mockReturnValue(now + service.cache.ttlMs + 30 * 60 * 1000);
       service.cleanupCache();
+      expect(service.cache.getEntry('test-key')).toBeDefined();
+
+      Date.now.mockReturnValue(now + service.cache.ttlMs + 2 * 60 * 60 * 1000);
+      service.cleanupCache();
+      expect(service.cache.getEntry('test-key')).toBeUndefined();
+
+      Date.now.mockRestore();
+    });
+
+    test('should use a shared cache when given one', async () => {
+      const cache = new ServerCache({ ttlMs: 60000 });
+      service = new OpenWeatherService({ cache });
+      service.client.get.mockResolvedValue({
+        data: {
+          dt: 1642694400,
+          coord: { lat: 40.7128, lon: -74.0060 },
+          name: 'New York',
+          sys: { country: 'US' },
+          main: { temp: 22.5, feels_like: 24.1, temp_min: 18.2, temp_max: 26.8, pressure: 1013, humidity: 68 },
+          weather: [{ description: 'clear sky', icon: '01d' }]
+        }
+      });
+
+      await service.getCurrentWeather(40.7128, -74.0060);
+      await service.getCurrentWeather(40.7128, -74.0060);
+
+      expect(cache.has('openweather:current_40.71_-74.01')).toBe(true);
+      expect(cache.getStats()).toMatchObject({ hits: 1, misses: 1 });
+      expect(service.getCacheStats().cacheSize).toBe(1);
+    });
+
+    test('should serve expired data when the API fails', async () => {
+      const cache = new ServerCache({ ttlMs: 1 });
+      service = new OpenWeatherService({ cache });
+      cache.set('openweather:current_40.71_-74.01', {
+        dt: 1642694400,
+        coord: { lat: 40.7128, lon: -74.0060 },
+        name: 'New York',
+        sys: { country: 'US' },
+        main: { temp: 20, feels_like: 20, temp_min: 18, temp_max: 22, pressure: 1013, humidity: 60 },
+        weather: [{ description: 'clear sky', icon: '01d' }]
+      }, -1);
+      service.client.get.mockRejectedValue(new Error('API Error'));
+
+      const result = await service.getCurrentWeather(40.7128, -74.0060);
+
+      expect(result.metrics.temperature.current).toBe(20);
+      expect(result.stale).toBe(true);
+    });
+
+    test('should not serve expired data when CACHE_MAX_STALE is 0', async () => {
+      process.env.CACHE_MAX_STALE = '0';
+      const cache = new ServerCache({ ttlMs: 1 });
+      service = new OpenWeatherService({ cache });
+      delete process.env.CACHE_MAX_STALE;
+      cache.set('openweather:current_40.71_-74.01', { dt: 1642694400 }, -1);
+      service.client.get.mockRejectedValue(new Error('API Error'));
+
+      expect(service.maxStaleMs).toBe(0);
+      await expect(service.getCurrentWeather(40.7128, -74.0060)).rejects.toThrow('API Error');
+    });
+
+    test('should not mark fresh data as stale', async () => {
+      mockAxiosInstance.get.mockResolvedValue({
+        data: {
+          dt: 1642694400,
+          coord: { lat: 40.7128, lon: -74.0060 },
+          name: 'New York',
+          sys: { country: 'US' },
+          main: { temp: 22.5, feels_like: 24.1, temp_min: 18.2, temp_max: 26.8, pressure: 1013, humidity: 68 },
+          weather: [{ description: 'clear sky', icon: '01d' }]
+        }
+      });
+
+      const result = await service.getCurrentWeather(40.7128, -74.0060);
 
-      expect(service.cache.has('test-key')).toBe(false);
+      expect(result.stale).toBeUndefined();
     });
 
     test('should provide cache statistics', () => {
@@ -0,0 +1,93 @@
+import cron from 'node-cron';
+import { PrewarmScheduler } from '../../../src/services/PrewarmScheduler.js';
+
+jest.mock('node-cron', () => ({
+  validate: jest.fn(expression => expression !== 'not a cron'),
+  schedule: jest.fn(() => ({ stop: jest.fn() }))
+}));
+
+describe('PrewarmScheduler', () => {
+  let groundDataService;
+  let scheduler;
+
+  beforeEach(() => {
+    groundDataService = {
+      getCurrentConditions: jest.fn(async () => ({})),
+      getTimelineData: jest.fn(async () => ({})),
+      cleanup: jest.fn()
+    };
+    scheduler = new PrewarmScheduler({ groundDataService, topLocations: 2, hours: 12 });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  test('should rank locations by request count per grid cell', () => {
+    scheduler.trackRequest(40.7128, -74.0060);
+    scheduler.trackRequest(40.7150, -74.0100); // Same cell as New York
+    scheduler.trackRequest(51.5074, -0.1278);
+    scheduler.trackRequest(48.8566, 2.3522);
+    scheduler.trackRequest(48.8566, 2.3522);
+    scheduler.trackRequest(48.8566, 2.3522);
+    scheduler.trackRequest(95, 0); // Ignored
+
+    const popular = scheduler.getPopularLocations();
+
+    expect(popular.map(location => location.count)).toEqual([3, 2]);
+    expect(popular[1]).toMatchObject({ lat: 40.7150, lon: -74.0100 });
+  });
+
+  test('should refresh current and timeline data of popular locations', async () => {
+    scheduler.trackRequest(40.7128, -74.0060);
+    scheduler.trackRequest(51.5074, -0.1278);
+    groundDataService.getTimelineData.mockRejectedValueOnce(new Error('Upstream down'));
+
+    const summary = await scheduler.prewarm();
+
+    expect(groundDataService.getCurrentConditions).toHaveBeenCalledWith(40.7128, -74.0060, { prefetch: true });
+    expect(groundDataService.getTimelineData).toHaveBeenCalledWith(51.5074, -0.1278, 12, { prefetch: true });
+    expect(summary).toMatchObject({ locations: 2, failures: 1 });
+  });
+
+  test('should forget locations outside the tracking window on cleanup', () => {
+    const now = Date.now();
+    scheduler.trackRequest(40.7128, -74.0060);
+
+    jest.spyOn(Date, 'now').mockReturnValue(now + 25 * 60 * 60 * 1000);
+    scheduler.cleanup();
+
+    expect(groundDataService.cleanup).toHaveBeenCalled();
+    expect(scheduler.getStats().trackedLocations).toBe(0);
+  });
+
+  test('should replace the least requested location when the tracking limit is reached', () => {
+    scheduler = new PrewarmScheduler({ groundDataService, maxTrackedLocations: 2 });
+    scheduler.trackRequest(40.7128, -74.0060);
+    scheduler.trackRequest(40.7128, -74.0060);
+    scheduler.trackRequest(51.5074, -0.1278);
+
+    scheduler.trackRequest(48.8566, 2.3522);
+
+    expect(scheduler.getStats().trackedLocations).toBe(2);
+    expect(scheduler.getPopularLocations().map(location => location.lat)).toEqual([40.7128, 48.8566]);
+  });
+
+  test('should schedule the pre-warm and cleanup jobs', () => {
+    scheduler.start();
+
+    expect(cron.schedule).toHaveBeenCalledWith('*/10 * * * *', expect.any(Function));
+    expect(cron.schedule).toHaveBeenCalledWith('*/15 * * * *', expect.any(Function));
+    expect(scheduler.getStats().active).toBe(true);
+
+    scheduler.stop();
+    expect(scheduler.getStats().active).toBe(false);
+  });
+
+  test('should reject invalid cron expressions', () => {
+    scheduler = new PrewarmScheduler({ groundDataService, prewarmCron: 'not a cron' });
+
+    expect(() => scheduler.start()).toThrow("Invalid cron expression 'not a cron'");
+  });
+});
@@ -0,0 +1,55 @@
+import { ProviderRegistry, parseProviderConfig } from '../../../src/services/ProviderRegistry.js';
+
+const createProvider = (name, overrides = {}) => ({
+  name,
+  capabilities: { realtime: true, forecastStepHours: 1 },
+  getCurrent: jest.fn(),
+  getTimeline: jest.fn(),
+  ...overrides
+});
+
+describe('ProviderRegistry', () => {
+  test('should parse provider configuration', () => {
+    expect(parseProviderConfig('openweather:10, Mock:0,extra')).toEqual([
+      { name: 'openweather', priority: 10 },
+      { name: 'mock', priority: 0 },
+      { name: 'extra', priority: 0 }
+    ]);
+  });
+
+  test('should order providers by priority', () => {
+    const registry = new ProviderRegistry();
+    registry.register(createProvider('low'), { priority: 1 });
+    registry.register(createProvider('high'), { priority: 5 });
+
+    expect(registry.names()).toEqual(['high', 'low']);
+    expect(registry.getPreferred().name).toBe('high');
+  });
+
+  test('should skip unavailable providers when picking the preferred one', () => {
+    const registry = new ProviderRegistry();
+    registry.register(createProvider('keyless', { isAvailable: () => false }), { priority: 10 });
+    registry.register(createProvider('mock'), { priority: 0 });
+
+    expect(registry.getPreferred().name).toBe('mock');
+    expect(registry.isAvailable('keyless')).toBe(false);
+    expect(registry.describe()[0]).toMatchObject({ name: 'keyless', priority: 10, available: false });
+  });
+
+  test('should reject providers missing the interface', () => {
+    const registry = new ProviderRegistry();
+
+    expect(() => registry.register({ name: 'broken', getCurrent: jest.fn() }))
+      .toThrow("Provider 'broken' is missing required methods: getTimeline");
+    expect(() => registry.register(createProvider('nan'), { priority: NaN }))
+      .toThrow("Provider 'nan' has an invalid priority");
+  });
+
+  test('should build a registry from configuration', () => {
+    const factories = { alpha: () => createProvider('alpha'), beta: () => createProvider('beta') };
+    const registry = ProviderRegistry.fromConfig('beta:1,unknown:5,alpha:2', factories);
+
+    expect(registry.names()).toEqual(['alpha', 'beta']);
+    expect(registry.has('unknown')).toBe(false);
+  });
+});
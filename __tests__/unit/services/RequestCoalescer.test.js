@@ -0,0 +1,41 @@
+import { RequestCoalescer } from '../../../src/services/RequestCoalescer.js';
+
+describe('RequestCoalescer', () => {
+  let coalescer;
+
+  beforeEach(() => {
+    coalescer = new RequestCoalescer();
+  });
+
+  test('should share one call between concurrent identical requests', async () => {
+    let resolveCall;
+    const fn = jest.fn(() => new Promise(resolve => { resolveCall = resolve; }));
+
+    const first = coalescer.run('key', fn);
+    const second = coalescer.run('key', fn);
+    await Promise.resolve();
+    resolveCall('data');
+
+    await expect(Promise.all([first, second])).resolves.toEqual(['data', 'data']);
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(coalescer.getStats()).toEqual({ inFlight: 0, started: 1, coalesced: 1 });
+  });
+
+  test('should keep different keys apart', async () => {
+    const fn = jest.fn(async () => 'data');
+
+    await Promise.all([coalescer.run('a', fn), coalescer.run('b', fn)]);
+
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  test('should share failures and release the key afterwards', async () => {
+    const failing = jest.fn(async () => { throw new Error('Upstream down'); });
+
+    const results = await Promise.allSettled([coalescer.run('key', failing), coalescer.run('key', failing)]);
+    expect(results.map(result => result.reason?.message)).toEqual(['Upstream down', 'Upstream down']);
+
+    await expect(coalescer.run('key', async () => 'recovered')).resolves.toBe('recovered');
+    expect(failing).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,53 @@
+import { SeaDataService } from '../../../src/services/SeaDataService.js';
+
+describe('SeaDataService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new SeaDataService();
+  });
+
+  test('should predict tides at the nearest station', async () => {
+    const data = await service.getCurrentConditions(40.7128, -74.0060, new Date('2024-06-21T12:00:00Z'));
+
+    expect(data.isValid()).toBe(true);
+    expect(data.station.id).toBe('us-new-york-battery');
+    expect(data.station.distanceKm).toBeLessThan(5);
+    expect(Math.abs(data.tide.height)).toBeLessThan(1.5);
+    expect(['rising', 'falling']).toContain(data.tide.trend);
+    expect(data.tide.nextHigh.type).toBe('high');
+    expect(data.tide.nextLow.type).toBe('low');
+    expect(new Date(data.tide.nextHigh.time) > new Date(data.timestamp)).toBe(true);
+  });
+
+  test('should interpolate climatological water temperature', () => {
+    const station = { waterTemperature: [0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100, 110] };
+
+    expect(service.getWaterTemperature(station, new Date('2024-02-15T00:00:00Z'))).toBeCloseTo(9.7, 0);
+    expect(service.getWaterTemperature(station, new Date('2024-02-01T00:00:00Z'))).toBeCloseTo(5, 0);
+    expect(service.getWaterTemperature({}, new Date())).toBeNull();
+  });
+
+  test('should return no sea data for inland locations', async () => {
+    // Denver, Colorado
+    const current = await service.getCurrentConditions(39.7392, -104.9903);
+    const timeline = await service.getTimelineData(39.7392, -104.9903, 24);
+    const availability = service.getAvailability(39.7392, -104.9903);
+
+    expect(current).toBeNull();
+    expect(timeline).toEqual([]);
+    expect(availability.available).toBe(false);
+    expect(availability.message).toMatch('No sea data for this location');
+  });
+
+  test('should generate hourly timeline data', async () => {
+    const timeline = await service.getTimelineData(48.3829, -4.4948, 24);
+
+    expect(timeline).toHaveLength(25);
+    expect(timeline.every(point => point.isValid())).toBe(true);
+  });
+
+  test('should reject invalid coordinates', async () => {
+    await expect(service.getCurrentConditions(0, 200)).rejects.toThrow('Invalid coordinates provided');
+  });
+});
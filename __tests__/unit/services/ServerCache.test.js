@@ -0,0 +1,128 @@
+import { ServerCache } from '../../../src/services/ServerCache.js';
+
+describe('ServerCache', () => {
+  let cache;
+  let now;
+
+  beforeEach(() => {
+    now = Date.parse('2025-01-25T12:00:00Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    cache = new ServerCache({ ttlMs: 1000, maxEntries: 3 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should use CACHE_DURATION when no TTL is given', () => {
+    process.env.CACHE_DURATION = '120000';
+    expect(new ServerCache().ttlMs).toBe(120000);
+    delete process.env.CACHE_DURATION;
+  });
+
+  test('should count hits and misses', () => {
+    cache.set('a', 1);
+
+    expect(cache.get('a')).toBe(1);
+    expect(cache.get('b')).toBeUndefined();
+    expect(cache.getStats()).toMatchObject({ size: 1, hits: 1, misses: 1, hitRate: 0.5 });
+  });
+
+  test('should expire entries but keep them available as stale data', () => {
+    cache.set('a', 1);
+    now += 1000;
+
+    expect(cache.get('a')).toBeUndefined();
+    expect(cache.has('a')).toBe(false);
+    expect(cache.getEntry('a')).toMatchObject({ value: 1, expired: true });
+  });
+
+  test('should honour a per-entry TTL', () => {
+    cache.set('a', 1, 5000);
+    now += 2000;
+
+    expect(cache.get('a')).toBe(1);
+  });
+
+  test('should evict the least recently used entry', () => {
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.set('c', 3);
+    cache.get('a'); // "b" is now the least recently used
+
+    cache.set('d', 4);
+
+    expect(cache.getEntry('b')).toBeUndefined();
+    expect(cache.get('a')).toBe(1);
+    expect(cache.getStats().evictions).toBe(1);
+  });
+
+  test('should prune entries past the stale retention window', () => {
+    cache.set('old', 1);
+    now += 500;
+    cache.set('recent', 2);
+    now += 1000 + 60 * 1000;
+
+    expect(cache.prune({ staleRetentionMs: 60 * 1000 + 200 })).toBe(1);
+    expect(cache.getEntry('old')).toBeUndefined();
+    expect(cache.getEntry('recent')).toBeDefined();
+  });
+
+  test('should count entries by key prefix', () => {
+    cache.set('openweather:current', 1);
+    cache.set('openmeteo:forecast', 2);
+
+    expect(cache.countByPrefix('openweather:')).toBe(1);
+  });
+
+  describe('getOrFetch', () => {
+    test('should fetch on a miss and serve from cache afterwards', async () => {
+      const request = jest.fn(async () => 'fresh');
+
+      await expect(cache.getOrFetch('a', request)).resolves.toEqual({ data: 'fresh', stale: false });
+      await expect(cache.getOrFetch('a', request)).resolves.toEqual({ data: 'fresh', stale: false });
+      expect(request).toHaveBeenCalledTimes(1);
+    });
+
+    test('should serve recently expired data at once and refresh in the background', async () => {
+      cache.set('a', 'old');
+      now += 1500;
+      let resolveRefresh;
+      const request = jest.fn(() => new Promise(resolve => { resolveRefresh = resolve; }));
+
+      await expect(cache.getOrFetch('a', request, { maxStaleMs: 1000 })).resolves.toEqual({ data: 'old', stale: true });
+      expect(request).toHaveBeenCalledTimes(1);
+
+      resolveRefresh('new');
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(cache.get('a')).toBe('new');
+    });
+
+    test('should block once data is older than the maximum staleness', async () => {
+      cache.set('a', 'old');
+      now += 1000 + 5000;
+
+      const result = await cache.getOrFetch('a', async () => 'new', { maxStaleMs: 1000 });
+
+      expect(result).toEqual({ data: 'new', stale: false });
+    });
+
+    test('should serve stale data within the maximum staleness when the fetch fails', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      cache.set('a', 'old');
+      now += 1500;
+      const failing = async () => { throw new Error('Upstream down'); };
+
+      await expect(cache.getOrFetch('a', failing, { maxStaleMs: 1000 })).resolves.toEqual({ data: 'old', stale: true });
+      await expect(cache.getOrFetch('b', failing)).rejects.toThrow('Upstream down');
+    });
+
+    test('should fail rather than serve data past the maximum staleness', async () => {
+      cache.set('a', 'old');
+      now += 1000 + 5000;
+      const failing = async () => { throw new Error('Upstream down'); };
+
+      await expect(cache.getOrFetch('a', failing, { maxStaleMs: 1000 })).rejects.toThrow('Upstream down');
+    });
+  });
+});
@@ -0,0 +1,117 @@
+import { SkyDataService } from '../../../src/services/SkyDataService.js';
+import { ProviderRegistry } from '../../../src/services/ProviderRegistry.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const createSkyPoint = (hoursOffset = 0) => ({
+  timestamp: new Date(Date.now() + hoursOffset * HOUR_MS).toISOString(),
+  location: { lat: 51.5, lon: -0.12 },
+  wind: { speed: 5, direction: 200 },
+  clouds: { cover: 40 },
+  precipitation: { rain: 0, snow: 0 }
+});
+
+const createSkyProvider = (name) => ({
+  name,
+  capabilities: { realtime: true },
+  getCurrent: jest.fn(),
+  getTimeline: jest.fn(),
+  getCurrentSky: jest.fn(async () => createSkyPoint()),
+  getSkyTimelineData: jest.fn(async () => [
+    { ...createSkyPoint(), provenance: { provider: name, type: 'observed' } },
+    createSkyPoint(3)
+  ])
+});
+
+describe('SkyDataService', () => {
+  let primary;
+  let secondary;
+  let service;
+
+  beforeEach(() => {
+    primary = createSkyProvider('primary');
+    secondary = createSkyProvider('secondary');
+    const registry = new ProviderRegistry();
+    registry.register(primary, { priority: 10 });
+    registry.register(secondary, { priority: 5 });
+    registry.register({ name: 'ground-only', getCurrent: jest.fn(), getTimeline: jest.fn() }, { priority: 20 });
+    service = new SkyDataService({ registry, circuitBreaker: { failureThreshold: 1, resetTimeoutMs: 60000 } });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should serve the highest priority Sky provider with provenance by call', async () => {
+    const current = await service.getCurrentConditions(51.5, -0.12);
+    const timeline = await service.getTimelineData(51.5, -0.12, 6);
+
+    expect(current).toMatchObject({ source: 'primary', degraded: false, stale: false });
+    expect(current.data.provenance).toEqual({ provider: 'primary', type: 'observed' });
+    expect(timeline).toMatchObject({ source: 'primary', degraded: false });
+    expect(timeline.data.map(point => point.provenance.type)).toEqual(['observed', 'forecast']);
+  });
+
+  test('should fail over to the next provider and skip it while its circuit is open', async () => {
+    primary.getCurrentSky.mockRejectedValue(new Error('Upstream down'));
+
+    const first = await service.getCurrentConditions(51.5, -0.12);
+    const second = await service.getCurrentConditions(51.5, -0.12);
+
+    expect([first.source, second.source]).toEqual(['secondary', 'secondary']);
+    expect(first.degraded).toBe(true);
+    expect(primary.getCurrentSky).toHaveBeenCalledTimes(1);
+  });
+
+  test('should share circuit breakers when given', async () => {
+    const breakers = new Map();
+    service = new SkyDataService({
+      registry: service.registry,
+      getCircuitBreaker: name => breakers.get(name) || breakers.set(name, service.getOwnCircuitBreaker(name)).get(name)
+    });
+    primary.getCurrentSky.mockRejectedValue(new Error('Upstream down'));
+
+    await service.getCurrentConditions(51.5, -0.12);
+
+    expect(breakers.get('primary').getStats().failures).toBe(1);
+  });
+
+  test('should flag mock fallback data as degraded and synthetic when every provider fails', async () => {
+    for (const provider of [primary, secondary]) {
+      provider.getCurrentSky.mockRejectedValue(new Error('Upstream down'));
+      provider.getSkyTimelineData.mockRejectedValue(new Error('Upstream down'));
+    }
+
+    const current = await service.getCurrentConditions(51.5, -0.12);
+    const timeline = await service.getTimelineData(51.5, -0.12, 6);
+
+    expect(current).toMatchObject({ source: 'mock', degraded: true });
+    expect(current.data.provenance).toEqual({ provider: 'mock', type: 'synthetic' });
+    expect(timeline).toMatchObject({ source: 'mock', degraded: true });
+    expect(timeline.data.length).toBeGreaterThan(0);
+    timeline.data.forEach(point => expect(point.provenance).toEqual({ provider: 'mock', type: 'synthetic' }));
+  });
+
+  test('should flag stale provider data', async () => {
+    primary.getCurrentSky.mockResolvedValue({ ...createSkyPoint(), stale: true });
+
+    const current = await service.getCurrentConditions(51.5, -0.12);
+
+    expect(current).toMatchObject({ source: 'primary', degraded: false, stale: true });
+  });
+
+  test('should select providers by name and keep the legacy mock switch', async () => {
+    service.setProvider('secondary');
+    expect(service.getMode()).toEqual({ mode: 'secondary', selection: 'manual' });
+    expect((await service.getCurrentConditions(51.5, -0.12)).source).toBe('secondary');
+
+    service.setAPIMode(false);
+    const current = await service.getCurrentConditions(51.5, -0.12);
+    expect(current).toMatchObject({ source: 'mock', degraded: true, stale: false });
+
+    service.setAPIMode(true);
+    expect(service.getMode()).toEqual({ mode: 'primary', selection: 'auto' });
+    expect(() => service.setProvider('ground-only')).toThrow("Provider 'ground-only' cannot serve Sky data");
+  });
+});
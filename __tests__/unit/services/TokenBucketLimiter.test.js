@@ -0,0 +1,78 @@
+import { TokenBucketLimiter, REQUEST_PRIORITIES, resolvePriority, RATE_LIMITED } from '../../../src/services/TokenBucketLimiter.js';
+
+describe('TokenBucketLimiter', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should grant requests while tokens are left', async () => {
+    const limiter = new TokenBucketLimiter({ capacity: 2, maxWaitMs: 0 });
+
+    await limiter.acquire();
+    await limiter.acquire();
+
+    await expect(limiter.acquire()).rejects.toMatchObject({ message: expect.stringContaining('Rate limit exceeded'), code: RATE_LIMITED });
+    expect(limiter.getStats()).toMatchObject({ granted: 2, rejections: 1, queueDepth: 0 });
+  });
+
+  test('should queue requests until a token is refilled', async () => {
+    const limiter = new TokenBucketLimiter({ capacity: 1, refillPerMinute: 60, maxWaitMs: 5000 });
+    await limiter.acquire();
+
+    const granted = jest.fn();
+    limiter.acquire().then(granted);
+    expect(limiter.getStats().queueDepth).toBe(1);
+
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(granted).toHaveBeenCalled();
+    expect(limiter.getStats()).toMatchObject({ queueDepth: 0, queued: 1, granted: 2 });
+  });
+
+  test('should serve higher priorities first', async () => {
+    const limiter = new TokenBucketLimiter({ capacity: 1, refillPerMinute: 60, maxWaitMs: 5000 });
+    await limiter.acquire();
+
+    const order = [];
+    limiter.acquire(REQUEST_PRIORITIES.PREFETCH).then(() => order.push('prefetch'));
+    limiter.acquire(REQUEST_PRIORITIES.FORECAST).then(() => order.push('forecast'));
+    limiter.acquire(REQUEST_PRIORITIES.CURRENT).then(() => order.push('current'));
+
+    await jest.advanceTimersByTimeAsync(3000);
+
+    expect(order).toEqual(['current', 'forecast', 'prefetch']);
+  });
+
+  test('should reject requests whose wait would be too long', async () => {
+    const limiter = new TokenBucketLimiter({ capacity: 1, refillPerMinute: 60, maxWaitMs: 1500 });
+    await limiter.acquire();
+
+    const first = limiter.acquire(); // Next token in 1 second
+    await expect(limiter.acquire()).rejects.toThrow('Rate limit exceeded'); // Would wait 2 seconds
+
+    await jest.advanceTimersByTimeAsync(1000);
+    await expect(first).resolves.toBeUndefined();
+    expect(limiter.getStats()).toMatchObject({ queued: 1, rejections: 1 });
+  });
+
+  test('should let a higher priority request skip the wait of lower ones', async () => {
+    const limiter = new TokenBucketLimiter({ capacity: 1, refillPerMinute: 60, maxWaitMs: 1500 });
+    await limiter.acquire();
+
+    limiter.acquire(REQUEST_PRIORITIES.PREFETCH);
+    const current = limiter.acquire(REQUEST_PRIORITIES.CURRENT);
+    limiter.acquire(REQUEST_PRIORITIES.PREFETCH).catch(() => {});
+
+    await jest.advanceTimersByTimeAsync(1000);
+    await expect(current).resolves.toBeUndefined();
+  });
+
+  test('should demote prefetch work', () => {
+    expect(resolvePriority(REQUEST_PRIORITIES.CURRENT)).toBe(REQUEST_PRIORITIES.CURRENT);
+    expect(resolvePriority(REQUEST_PRIORITIES.CURRENT, { prefetch: true })).toBe(REQUEST_PRIORITIES.PREFETCH);
+  });
+});
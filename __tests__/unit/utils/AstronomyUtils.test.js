@@ -0,0 +1,83 @@
+import {
+  getSunTimes,
+  getSunPosition,
+  getMoonIllumination,
+  getMoonPhaseName,
+  getDaylightPeriod
+} from '../../../src/utils/AstronomyUtils.js';
+
+const minutesBetween = (a, b) => Math.abs(a.getTime() - b.getTime()) / 60000;
+
+describe('AstronomyUtils', () => {
+  describe('getSunTimes', () => {
+    test('should match published sunrise and sunset for New York', () => {
+      // Summer solstice 2024: sunrise 05:25 EDT, sunset 20:31 EDT
+      const times = getSunTimes(new Date('2024-06-21T16:00:00Z'), 40.7128, -74.0060);
+
+      expect(minutesBetween(times.sunrise, new Date('2024-06-21T09:25:00Z'))).toBeLessThan(3);
+      expect(minutesBetween(times.sunset, new Date('2024-06-22T00:31:00Z'))).toBeLessThan(3);
+    });
+
+    test('should order twilight events around sunrise and sunset', () => {
+      const times = getSunTimes(new Date('2024-03-20T12:00:00Z'), 51.5, 0);
+
+      expect(times.astronomicalDawn < times.nauticalDawn).toBe(true);
+      expect(times.nauticalDawn < times.civilDawn).toBe(true);
+      expect(times.civilDawn < times.sunrise).toBe(true);
+      expect(times.sunset < times.civilDusk).toBe(true);
+      expect(times.civilDusk < times.nauticalDusk).toBe(true);
+      expect(times.nauticalDusk < times.astronomicalDusk).toBe(true);
+    });
+
+    test('should return null events during polar day', () => {
+      const times = getSunTimes(new Date('2024-06-21T12:00:00Z'), 78.2, 15.6);
+
+      expect(times.sunrise).toBeNull();
+      expect(times.sunset).toBeNull();
+      expect(times.solarNoon).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('getSunPosition', () => {
+    test('should place the sun high at solar noon in summer', () => {
+      const times = getSunTimes(new Date('2024-06-21T16:00:00Z'), 40.7128, -74.0060);
+      const position = getSunPosition(times.solarNoon, 40.7128, -74.0060);
+
+      // 90 - 40.7 + 23.4 = 72.7 degrees
+      expect(position.elevation).toBeCloseTo(72.7, 0);
+      expect(position.azimuth).toBeCloseTo(180, -1);
+    });
+  });
+
+  describe('getMoonIllumination', () => {
+    test('should report a full moon', () => {
+      const moon = getMoonIllumination(new Date('2024-06-22T01:08:00Z'));
+
+      expect(moon.illumination).toBeGreaterThan(0.99);
+      expect(moon.phaseName).toBe('Full Moon');
+    });
+
+    test('should report a new moon', () => {
+      const moon = getMoonIllumination(new Date('2024-07-05T22:57:00Z'));
+
+      expect(moon.illumination).toBeLessThan(0.01);
+      expect(moon.phaseName).toBe('New Moon');
+    });
+  });
+
+  test('should name moon phases', () => {
+    expect(getMoonPhaseName(0)).toBe('New Moon');
+    expect(getMoonPhaseName(0.25)).toBe('First Quarter');
+    expect(getMoonPhaseName(0.5)).toBe('Full Moon');
+    expect(getMoonPhaseName(0.75)).toBe('Last Quarter');
+    expect(getMoonPhaseName(0.99)).toBe('New Moon');
+  });
+
+  test('should classify daylight periods', () => {
+    expect(getDaylightPeriod(10)).toBe('day');
+    expect(getDaylightPeriod(-3)).toBe('civil-twilight');
+    expect(getDaylightPeriod(-9)).toBe('nautical-twilight');
+    expect(getDaylightPeriod(-15)).toBe('astronomical-twilight');
+    expect(getDaylightPeriod(-30)).toBe('night');
+  });
+});
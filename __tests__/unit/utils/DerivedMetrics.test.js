@@ -0,0 +1,79 @@
+import {
+  dewPoint,
+  absoluteHumidity,
+  heatIndex,
+  windChill,
+  humidex,
+  comfortCategory,
+  deriveMetrics,
+  withDerivedMetrics
+} from '../../../src/utils/DerivedMetrics.js';
+
+describe('DerivedMetrics', () => {
+  test('should compute the dew point', () => {
+    expect(dewPoint(20, 100)).toBeCloseTo(20, 1);
+    expect(dewPoint(20, 50)).toBeCloseTo(9.3, 1);
+  });
+
+  test('should compute absolute humidity', () => {
+    expect(absoluteHumidity(20, 100)).toBeCloseTo(17.3, 1);
+  });
+
+  test('should match the NWS heat index table', () => {
+    expect(heatIndex(32.2, 70)).toBeCloseTo(41, 0); // 90 °F, 70 % -> 106 °F
+    expect(heatIndex(25, 90)).toBeNull();
+  });
+
+  test('should match the wind chill table', () => {
+    expect(windChill(-10, 30 / 3.6)).toBeCloseTo(-19.5, 1); // -10 °C at 30 km/h
+    expect(windChill(15, 10)).toBeNull();
+    expect(windChill(-10, 1)).toBeNull();
+    expect(windChill(-10, null)).toBeNull();
+  });
+
+  test('should compute humidex', () => {
+    expect(humidex(30, 70)).toBeCloseTo(41.2, 1);
+  });
+
+  test.each([
+    [-15, -20, 'very-cold'],
+    [0, -5, 'cold'],
+    [10, 5, 'cool'],
+    [20, 10, 'comfortable'],
+    [22, 19, 'humid'],
+    [26, 15, 'warm'],
+    [35, 24, 'hot'],
+    [45, 26, 'very-hot']
+  ])('should rate feels-like %p °C with dew point %p °C as %s', (feelsLike, dew, category) => {
+    expect(comfortCategory(feelsLike, dew)).toBe(category);
+  });
+
+  test('should take wind chill or heat index as the apparent temperature', () => {
+    expect(deriveMetrics({ temperature: -10, humidity: 50, windSpeed: 30 / 3.6 }).feelsLike).toBe(-19.5);
+    expect(deriveMetrics({ temperature: 32.2, humidity: 70 }).feelsLike).toBe(41);
+    expect(deriveMetrics({ temperature: 20, humidity: 60, windSpeed: 3 }).feelsLike).toBe(20);
+  });
+
+  test('should add derived metrics without modifying the point', () => {
+    const point = { metrics: { temperature: { current: 20, feelsLike: 25 }, humidity: 60, wind: { speed: 3 } } };
+    const result = withDerivedMetrics(point);
+
+    expect(result.metrics.temperature).toEqual({ current: 20, feelsLike: 20 });
+    expect(result.metrics.derived).toEqual({
+      dewPoint: 12,
+      absoluteHumidity: 10.4,
+      heatIndex: null,
+      windChill: null,
+      humidex: 22.3,
+      comfort: 'comfortable'
+    });
+    expect(point.metrics.temperature.feelsLike).toBe(25);
+  });
+
+  test('should leave points without temperature or humidity unchanged', () => {
+    const point = { metrics: { temperature: { current: 20 } } };
+
+    expect(withDerivedMetrics(point)).toBe(point);
+    expect(withDerivedMetrics([null])).toEqual([null]);
+  });
+});
@@ -0,0 +1,67 @@
+import {
+  classifyTendency,
+  barometerOutlook,
+  findReferencePoint,
+  withPressureTrends
+} from '../../../src/utils/PressureTrend.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const BASE = Date.UTC(2025, 0, 25, 12);
+
+const point = (hoursOffset, pressure) => ({
+  timestamp: new Date(BASE + hoursOffset * HOUR_MS).toISOString(),
+  metrics: { pressure: { current: pressure, seaLevel: pressure, trend: 'steady' } }
+});
+
+describe('PressureTrend', () => {
+  test.each([
+    [0.5, 'steady', 'steady'],
+    [-0.9, 'steady', 'steady'],
+    [1.8, 'rising', 'rising'],
+    [-3, 'falling', 'falling'],
+    [6, 'rising', 'rising-rapidly'],
+    [-7.2, 'falling', 'falling-rapidly']
+  ])('should classify %p hPa/3h as %s (%s)', (rate, trend, tendency) => {
+    expect(classifyTendency(rate)).toEqual({ trend, tendency });
+  });
+
+  test.each([
+    [970, null, 'stormy'],
+    [990, null, 'rain'],
+    [1013, null, 'change'],
+    [1025, null, 'fair'],
+    [1045, null, 'very-dry'],
+    [1013, -6.5, 'rain'],
+    [1013, 7, 'fair'],
+    [970, -8, 'stormy']
+  ])('should read %p hPa changing by %p hPa/3h as %s', (pressure, rate, outlook) => {
+    expect(barometerOutlook(pressure, rate)).toBe(outlook);
+  });
+
+  test('should compare with the reading closest to 3 hours earlier', () => {
+    const series = [point(-5, 1000), point(-3.5, 1001), point(-2, 1002), point(-0.5, 1003)];
+
+    expect(findReferencePoint(series, BASE)).toBe(series[1]);
+    expect(findReferencePoint([point(-0.5, 1003), point(-5, 1000)], BASE)).toBeNull();
+  });
+
+  test('should compute the rate over 3 hours from the series', () => {
+    const points = [0, 1, 2, 3, 4].map(hour => point(hour, 1010 - hour * 2.5));
+    const result = withPressureTrends(points);
+
+    expect(result[3].metrics.pressure).toMatchObject({ trend: 'falling', tendency: 'falling-rapidly', rate: -7.5, outlook: 'rain' });
+    expect(result[1].metrics.pressure).toMatchObject({ trend: 'falling', tendency: 'falling-rapidly', rate: -7.5 });
+  });
+
+  test('should compare the first points with earlier history', () => {
+    const [result] = withPressureTrends([point(0, 1022)], [point(-3, 1020)]);
+
+    expect(result.metrics.pressure).toMatchObject({ trend: 'rising', tendency: 'rising', rate: 2, outlook: 'fair' });
+  });
+
+  test('should not pass the provider trend through for a single reading', () => {
+    const [result] = withPressureTrends([{ ...point(0, 1013), metrics: { pressure: { current: 1013, trend: 'rising' } } }]);
+
+    expect(result.metrics.pressure).toEqual({ current: 1013, trend: null, tendency: null, rate: null, outlook: 'change' });
+  });
+});
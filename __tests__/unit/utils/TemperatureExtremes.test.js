@@ -0,0 +1,67 @@
+import {
+  getUtcOffsetMs,
+  withRollingExtremes,
+  getDailyExtremes
+} from '../../../src/utils/TemperatureExtremes.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const BASE = Date.UTC(2025, 0, 25, 0);
+
+const point = (hoursOffset, temperature, location = { lat: 40.7, lon: -74, utcOffset: -5 * 3600 }) => ({
+  timestamp: new Date(BASE + hoursOffset * HOUR_MS).toISOString(),
+  location,
+  metrics: { temperature: { current: temperature, min24h: -99, max24h: 99 } }
+});
+
+describe('TemperatureExtremes', () => {
+  test('should prefer the reported UTC offset over solar time', () => {
+    expect(getUtcOffsetMs({ lon: -74, utcOffset: -4 * 3600 })).toBe(-4 * HOUR_MS);
+    expect(getUtcOffsetMs({ lon: 30 })).toBe(2 * HOUR_MS);
+    expect(getUtcOffsetMs(undefined, -45)).toBe(-3 * HOUR_MS);
+  });
+
+  test('should take extremes over the 24 hours up to each point', () => {
+    const points = [point(0, 5), point(6, 1), point(12, 9), point(24, 4), point(30, 6)];
+    const result = withRollingExtremes(points);
+
+    expect(result[2].metrics.temperature).toMatchObject({
+      min24h: 1, max24h: 9, min24hAt: points[1].timestamp, max24hAt: points[2].timestamp, coverageHours: 12
+    });
+    // The 0h reading has left the window at 24h
+    expect(result[4].metrics.temperature).toMatchObject({ min24h: 4, max24h: 9, coverageHours: 18 });
+  });
+
+  test('should not report a lone reading as its own 24-hour extremes', () => {
+    const [result] = withRollingExtremes([point(0, 5)]);
+
+    expect(result.metrics.temperature).toEqual({
+      current: 5, min24h: null, max24h: null, min24hAt: null, max24hAt: null, coverageHours: 0
+    });
+  });
+
+  test('should use history for the first points', () => {
+    const [result] = withRollingExtremes([point(0, 5)], [point(-20, -2), point(-30, -10)]);
+
+    expect(result.metrics.temperature).toMatchObject({ min24h: -2, max24h: 5, min24hAt: point(-20, 0).timestamp });
+  });
+
+  test('should group daily highs and lows by local day', () => {
+    // 03:00 UTC is still the previous day in New York (UTC-5)
+    const points = [point(3, 2), point(12, 8), point(20, 11), point(28, 7), point(33, 3)];
+    const daily = getDailyExtremes(points);
+
+    expect(daily.map(day => day.date)).toEqual(['2025-01-24', '2025-01-25', '2025-01-26']);
+    expect(daily[1]).toEqual({
+      date: '2025-01-25',
+      low: { value: 7, time: points[3].timestamp },
+      high: { value: 11, time: points[2].timestamp },
+      points: 3
+    });
+  });
+
+  test('should fall back to solar time from the longitude', () => {
+    const daily = getDailyExtremes([point(3, 2, null)], -90);
+
+    expect(daily[0].date).toBe('2025-01-24');
+  });
+});
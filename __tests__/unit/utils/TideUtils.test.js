@@ -0,0 +1,58 @@
+import { predictTideHeight, findTideExtremes, CONSTITUENTS } from '../../../src/utils/TideUtils.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('TideUtils', () => {
+  const semidiurnalStation = {
+    meanLevel: 0.5,
+    constituents: {
+      M2: { amplitude: 1.0, phase: 0 }
+    }
+  };
+
+  test('should oscillate around the mean level within the amplitude', () => {
+    const start = new Date('2024-01-01T00:00:00Z');
+
+    for (let hour = 0; hour < 25; hour++) {
+      const height = predictTideHeight(semidiurnalStation, new Date(start.getTime() + hour * HOUR_MS));
+      expect(height).toBeGreaterThan(0.5 - 1.05);
+      expect(height).toBeLessThan(0.5 + 1.05);
+    }
+  });
+
+  test('should repeat with the M2 period', () => {
+    const date = new Date('2024-01-01T03:00:00Z');
+    const periodMs = (360 / CONSTITUENTS.M2.speed) * HOUR_MS;
+
+    expect(predictTideHeight(semidiurnalStation, new Date(date.getTime() + periodMs)))
+      .toBeCloseTo(predictTideHeight(semidiurnalStation, date), 2);
+  });
+
+  test('should ignore unknown constituents', () => {
+    const station = {
+      meanLevel: 0,
+      constituents: { M2: { amplitude: 1, phase: 0 }, XYZ: { amplitude: 5, phase: 0 } }
+    };
+    const date = new Date('2024-01-01T00:00:00Z');
+
+    expect(predictTideHeight(station, date)).toBeCloseTo(
+      predictTideHeight({ meanLevel: 0, constituents: { M2: { amplitude: 1, phase: 0 } } }, date)
+    );
+  });
+
+  test('should find alternating high and low tides about 6.2 hours apart', () => {
+    const extremes = findTideExtremes(
+      semidiurnalStation,
+      new Date('2024-01-01T00:00:00Z'),
+      new Date('2024-01-02T00:00:00Z')
+    );
+
+    expect(extremes.length).toBeGreaterThanOrEqual(3);
+    for (let i = 1; i < extremes.length; i++) {
+      expect(extremes[i].type).not.toBe(extremes[i - 1].type);
+      const gapHours = (extremes[i].time - extremes[i - 1].time) / HOUR_MS;
+      expect(gapHours).toBeCloseTo(6.21, 1);
+    }
+    expect(extremes.find(e => e.type === 'high').height).toBeCloseTo(1.5, 1);
+  });
+});
@@ -0,0 +1,168 @@
+import {
+  getHourlyTimestamps,
+  interpolateValues,
+  fillGapsByInterpolation,
+  summarizeProvenance,
+  createMonotoneSpline,
+  resampleSeries,
+  RESOLUTIONS
+} from '../../../src/utils/TimeSeriesUtils.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const BASE = Date.UTC(2025, 0, 25, 12);
+
+const point = (hoursOffset, temperature, description = 'clear sky') => ({
+  timestamp: new Date(BASE + hoursOffset * HOUR_MS).toISOString(),
+  metrics: { temperature: { current: temperature }, pressure: { trend: 'steady' } },
+  conditions: { description },
+  provenance: { provider: 'test', type: 'forecast' }
+});
+
+describe('TimeSeriesUtils', () => {
+  test('should build an hourly grid centred on the current hour', () => {
+    const timestamps = getHourlyTimestamps(4, BASE + 20 * 60 * 1000);
+
+    expect(timestamps).toHaveLength(5);
+    expect(timestamps[0]).toBe(BASE - 2 * HOUR_MS);
+    expect(timestamps[4]).toBe(BASE + 2 * HOUR_MS);
+  });
+
+  test('should interpolate numbers and take other fields from the nearer point', () => {
+    const result = interpolateValues(
+      { value: 10, nested: { value: 0 }, label: 'a' },
+      { value: 16, nested: { value: 3 }, label: 'b' },
+      1 / 3
+    );
+
+    expect(result).toEqual({ value: 12, nested: { value: 1 }, label: 'a' });
+  });
+
+  test('should fill gaps between real points only', () => {
+    const points = [point(0, 10), point(3, 16, 'rain')];
+    const timestamps = [-1, 0, 1, 2, 3, 4].map(offset => BASE + offset * HOUR_MS);
+
+    const filled = fillGapsByInterpolation(points, timestamps);
+
+    expect(filled.map(p => p.metrics.temperature.current)).toEqual([10, 12, 14, 16]);
+    expect(filled[1].provenance).toEqual({
+      provider: 'test',
+      type: 'interpolated',
+      between: [points[0].timestamp, points[1].timestamp]
+    });
+    expect(filled[1].conditions.description).toBe('clear sky');
+    expect(filled[2].conditions.description).toBe('rain');
+  });
+
+  test('should not interpolate across gaps longer than the maximum', () => {
+    const points = [point(0, 10), point(3, 16), point(10, 2)];
+    const timestamps = Array.from({ length: 11 }, (_, offset) => BASE + offset * HOUR_MS);
+
+    const filled = fillGapsByInterpolation(points, timestamps, undefined, 6 * HOUR_MS);
+
+    expect(filled.map(p => p.timestamp)).toEqual([0, 1, 2, 3, 10].map(offset => new Date(BASE + offset * HOUR_MS).toISOString()));
+    expect(fillGapsByInterpolation(points, timestamps, undefined, 7 * HOUR_MS)).toHaveLength(11);
+  });
+
+  test('should not fill timestamps already covered by a real point', () => {
+    const points = [point(0, 10), point(1.25, 12)];
+    const filled = fillGapsByInterpolation(points, [BASE, BASE + HOUR_MS]);
+
+    expect(filled).toHaveLength(2);
+  });
+
+  test('should summarise provenance types', () => {
+    expect(summarizeProvenance([
+      { provenance: { type: 'observed' } },
+      { provenance: { type: 'interpolated' } },
+      { provenance: { type: 'interpolated' } },
+      {}
+    ])).toEqual({ observed: 1, interpolated: 2, unknown: 1 });
+  });
+
+  test('should never overshoot the data with the monotone spline', () => {
+    const spline = createMonotoneSpline([0, 1, 2, 3], [0, 10, 10, 0]);
+
+    expect(spline(1.5)).toBe(10);
+    expect(spline(0.5)).toBeGreaterThan(0);
+    expect(spline(0.5)).toBeLessThan(10);
+    expect(spline(3)).toBe(0);
+  });
+
+  describe('resampleSeries', () => {
+    const threeHourly = () => [
+      { ...point(0, 10, 'clear sky'), metrics: { temperature: { current: 10 }, pressure: { current: 1000 } } },
+      { ...point(3, 16, 'few clouds'), metrics: { temperature: { current: 16 }, pressure: { current: 1003 } } },
+      { ...point(6, 14, 'rain'), metrics: { temperature: { current: 14 }, pressure: { current: 1006 } } }
+    ];
+
+    test('should fill every step between real points and mark the new ones', () => {
+      const points = threeHourly();
+      const result = resampleSeries(points, RESOLUTIONS['1h']);
+
+      expect(result).toHaveLength(7);
+      expect(result[0]).toBe(points[0]);
+      expect(result[3]).toBe(points[1]);
+      expect(result[1]).toMatchObject({
+        timestamp: new Date(BASE + HOUR_MS).toISOString(),
+        resampled: true,
+        provenance: { provider: 'test', type: 'forecast', between: [points[0].timestamp, points[1].timestamp] }
+      });
+    });
+
+    test('should only call points between observations interpolated', () => {
+      const tag = (entry, provider, type) => ({ ...entry, provenance: { provider, type } });
+      const observed = threeHourly().map(entry => tag(entry, 'test', 'observed'));
+      const synthetic = threeHourly().map(entry => tag(entry, 'mock', 'synthetic'));
+      const mixed = [observed[0], tag(observed[1], 'test', 'forecast')];
+
+      expect(resampleSeries(observed, RESOLUTIONS['1h'])[1].provenance.type).toBe('interpolated');
+      expect(resampleSeries(mixed, RESOLUTIONS['1h'])[1].provenance.type).toBe('forecast');
+      resampleSeries(synthetic, RESOLUTIONS['15m']).forEach(entry => {
+        expect(entry.provenance).toMatchObject({ provider: 'mock', type: 'synthetic' });
+      });
+    });
+
+    test('should move points near a step time onto the step grid', () => {
+      const points = threeHourly();
+      points[1] = { ...points[1], timestamp: new Date(BASE + 3 * HOUR_MS - 52 * 1000).toISOString() };
+
+      for (const step of Object.values(RESOLUTIONS)) {
+        resampleSeries(points, step).forEach(entry => {
+          expect(new Date(entry.timestamp).getTime() % step).toBe(0);
+        });
+      }
+      expect(resampleSeries(points, RESOLUTIONS['1h'])[3]).toMatchObject({
+        timestamp: new Date(BASE + 3 * HOUR_MS).toISOString(),
+        metrics: points[1].metrics
+      });
+    });
+
+    test('should use a spline for temperature, lines for pressure and the nearest point for conditions', () => {
+      const result = resampleSeries(threeHourly(), RESOLUTIONS['1h']);
+
+      // A straight line would give 12; the curve bends towards the peak at 3h
+      expect(result[1].metrics.temperature.current).toBeGreaterThan(12);
+      expect(result[4].metrics.temperature.current).toBeLessThanOrEqual(16);
+      expect(result.map(p => p.metrics.pressure.current)).toEqual([1000, 1001, 1002, 1003, 1004, 1005, 1006]);
+      expect(result.map(p => p.conditions.description)).toEqual([
+        'clear sky', 'clear sky', 'few clouds', 'few clouds', 'few clouds', 'rain', 'rain'
+      ]);
+    });
+
+    test('should resample to finer and coarser steps', () => {
+      expect(resampleSeries(threeHourly(), RESOLUTIONS['15m'])).toHaveLength(25);
+
+      const hourly = Array.from({ length: 7 }, (_, hour) => point(hour, 10 + hour));
+      expect(resampleSeries(hourly, RESOLUTIONS['3h'])).toEqual([hourly[0], hourly[3], hourly[6]]);
+    });
+
+    test('should recompute previously interpolated points', () => {
+      const points = threeHourly();
+      const interpolated = { ...point(1, 12), provenance: { provider: 'test', type: 'interpolated' } };
+      const result = resampleSeries([points[0], interpolated, points[1], points[2]], RESOLUTIONS['1h']);
+
+      expect(result[1].resampled).toBe(true);
+      expect(result[1].metrics.temperature.current).not.toBe(12);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+import {
+  resolveUnits,
+  getUnitLabels,
+  convertValue,
+  convertLayerData
+} from '../../../src/utils/UnitConverter.js';
+
+const groundPoint = () => ({
+  timestamp: '2025-01-25T12:00:00.000Z',
+  metrics: {
+    temperature: { current: 20, feelsLike: -40 },
+    humidity: 60,
+    pressure: { current: 1013.25, trend: 'steady' }
+  }
+});
+
+describe('UnitConverter', () => {
+  test('should default to metric', () => {
+    expect(resolveUnits({})).toEqual({
+      system: 'metric', temperature: 'C', pressure: 'hPa', speed: 'ms', distance: 'm', precipitation: 'mm', height: 'm'
+    });
+  });
+
+  test('should resolve the imperial system', () => {
+    expect(resolveUnits({ units: 'imperial' })).toMatchObject({ system: 'imperial', temperature: 'F', pressure: 'inHg', speed: 'mph' });
+  });
+
+  test('should apply per-quantity overrides as a custom system', () => {
+    const units = resolveUnits({ units: 'imperial', pressure: 'hPa', speed: 'kn' });
+
+    expect(units).toMatchObject({ system: 'custom', temperature: 'F', pressure: 'hPa', speed: 'kn' });
+    expect(getUnitLabels(units)).toMatchObject({ system: 'custom', temperature: '°F', pressure: 'hPa', speed: 'kn' });
+  });
+
+  test('should keep the system name when an override matches it', () => {
+    expect(resolveUnits({ units: 'imperial', temp: 'F' }).system).toBe('imperial');
+  });
+
+  test.each([
+    [20, 'temperature', 'F', 68],
+    [-40, 'temperature', 'F', -40],
+    [0, 'temperature', 'K', 273.2],
+    [1013.25, 'pressure', 'inHg', 29.92],
+    [10, 'speed', 'kmh', 36],
+    [10, 'speed', 'mph', 22.4],
+    [10000, 'distance', 'km', 10],
+    [25.4, 'precipitation', 'in', 1],
+    [1, 'height', 'ft', 3.28]
+  ])('should convert %p %s to %s', (value, quantity, unit, expected) => {
+    expect(convertValue(value, quantity, unit)).toBe(expected);
+  });
+
+  test('should pass base units and missing values through', () => {
+    expect(convertValue(1013.25, 'pressure', 'hPa')).toBe(1013.25);
+    expect(convertValue(null, 'temperature', 'F')).toBeNull();
+  });
+
+  test('should convert layer data without modifying it', () => {
+    const point = groundPoint();
+    const converted = convertLayerData('ground', point, resolveUnits({ units: 'imperial' }));
+
+    expect(converted.metrics.temperature).toEqual({ current: 68, feelsLike: -40 });
+    expect(converted.metrics.pressure).toEqual({ current: 29.92, trend: 'steady' });
+    expect(converted.metrics.humidity).toBe(60);
+    expect(point).toEqual(groundPoint());
+  });
+
+  test('should return metric data and empty points unchanged', () => {
+    const point = groundPoint();
+
+    expect(convertLayerData('ground', point, resolveUnits({}))).toBe(point);
+    expect(convertLayerData('sky', null, resolveUnits({ units: 'imperial' }))).toBeNull();
+    expect(convertLayerData('ground', [point, null], resolveUnits({ units: 'imperial' }))[1]).toBeNull();
+  });
+});
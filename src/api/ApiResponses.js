@@ -0,0 +1,67 @@
+import { DEFAULT_LOCATION } from '../models/GroundData.js';
+
+// Shared request/response helpers for the API routes
+
+/**
+ * Reads coordinates from the query string, defaulting to New York when a
+ * coordinate is not given. Values are checked by the request validator
+ * first, so 0 (the equator or prime meridian) is a real coordinate here.
+ * @param {Object} query - Express request query
+ * @returns {{lat: number, lon: number}} Parsed coordinates
+ */
+export function parseLocation(query) {
+  return {
+    lat: isGiven(query.lat) ? Number(query.lat) : DEFAULT_LOCATION.lat,
+    lon: isGiven(query.lon) ? Number(query.lon) : DEFAULT_LOCATION.lon
+  };
+}
+
+/**
+ * Reads the timeline length from the query string
+ * @param {Object} query - Express request query
+ * @param {number} [defaultHours] - Used when hours is not given (default: 24)
+ * @returns {number} Hours
+ */
+export function parseHours(query, defaultHours = 24) {
+  return isGiven(query.hours) ? Number(query.hours) : defaultHours;
+}
+
+/**
+ * Whether a query parameter was given with a value
+ */
+function isGiven(value) {
+  return value !== undefined && value !== '';
+}
+
+/**
+ * Sends a success envelope
+ * @param {Object} res - Express response
+ * @param {*} data - Response payload
+ * @param {Object} [meta] - Optional response metadata
+ */
+export function sendSuccess(res, data, meta) {
+  res.json({
+    status: 'success',
+    data: data,
+    ...(meta && { meta }),
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Sends an error envelope
+ * @param {Object} res - Express response
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @param {Array<Object>} [errors] - Machine-readable details as { field, in, code, message }
+ * @param {string} [code] - Machine-readable error code for errors that are not about the request, e.g. NO_PROVIDER
+ */
+export function sendError(res, statusCode, message, errors, code) {
+  res.status(statusCode).json({
+    status: 'error',
+    ...(code && { code }),
+    message: message,
+    ...(errors && { errors }),
+    timestamp: new Date().toISOString()
+  });
+}
@@ -0,0 +1,415 @@
+import express from 'express';
+import { openApiSpec } from './OpenApiSpec.js';
+import { OpenApiValidator, formatErrors } from './OpenApiValidator.js';
+import { parseLocation, parseHours, sendSuccess, sendError } from './ApiResponses.js';
+import { summarizeProvenance } from '../utils/TimeSeriesUtils.js';
+import { getDailyExtremes } from '../utils/TemperatureExtremes.js';
+import { resolveUnits, getUnitLabels, convertLayerData, convertValue } from '../utils/UnitConverter.js';
+
+/**
+ * Routes that can fan out to the paid upstream APIs, relative to the API root
+ */
+export const UPSTREAM_ROUTES = ['/ground/current', '/ground/timeline', '/sky/current', '/sky/timeline', '/layers'];
+
+/**
+ * Creates the v1 API router
+ *
+ * The contract is openApiSpec: requests are validated against it before
+ * they reach a handler and, outside production, responses are checked too.
+ * Breaking changes go into a new router mounted at /api/v2.
+ * @param {Object} deps
+ * @param {GroundDataService} deps.groundDataService
+ * @param {SkyDataService} deps.skyDataService
+ * @param {SeaDataService} deps.seaDataService
+ * @param {AstroDataService} deps.astroDataService
+ * @param {LayerDataService} deps.layerDataService
+ * @param {PrewarmScheduler} deps.prewarmScheduler - Counts requested locations, reported in stats
+ * @param {ClientRateLimiter} deps.rateLimiter - Inbound rate limiting, applied before validation
+ * @param {Object} [deps.config]
+ * @param {string} [deps.config.nodeEnv] - Environment name (default: NODE_ENV or development)
+ * @param {boolean} [deps.config.openWeatherApiConfigured] - Reported in stats
+ * @param {boolean} [deps.config.validateResponses] - Check responses against the spec (default: outside production)
+ * @returns {express.Router} Router to mount at /api/v1
+ */
+export function createApiV1Router({
+  groundDataService,
+  skyDataService,
+  seaDataService,
+  astroDataService,
+  layerDataService,
+  prewarmScheduler,
+  rateLimiter,
+  config = {}
+}) {
+  config = { nodeEnv: process.env.NODE_ENV || 'development', openWeatherApiConfigured: false, ...config };
+
+  const router = express.Router();
+  const validator = new OpenApiValidator({
+    spec: openApiSpec,
+    validateResponses: config.validateResponses ?? config.nodeEnv !== 'production',
+    onInvalidRequest: (req, res, errors) => sendError(res, 400, formatErrors(errors), errors)
+  });
+
+  router.use(rateLimiter.middleware());
+  router.use(validator.middleware());
+
+  // Count requested locations so the scheduler knows what to pre-warm
+  router.get(UPSTREAM_ROUTES, (req, res, next) => {
+    const { lat, lon } = parseLocation(req.query);
+    prewarmScheduler.trackRequest(lat, lon);
+    next();
+  });
+
+  /**
+   * GET /api/v1/openapi.json - OpenAPI document describing this API
+   */
+  router.get('/openapi.json', (req, res) => {
+    res.json(openApiSpec);
+  });
+
+  // Ground Layer API Endpoints
+
+  /**
+   * GET /api/v1/ground/current - Current weather conditions
+   * Query params: lat, lon (optional, defaults to New York), units
+   */
+  router.get('/ground/current', async (req, res) => {
+    try {
+      const { lat, lon } = parseLocation(req.query);
+      const units = resolveUnits(req.query);
+
+      const { data, source, degraded, stale } = await groundDataService.getCurrentConditions(lat, lon);
+
+      sendSuccess(res, convertLayerData('ground', data, units), { source, degraded, stale, units: getUnitLabels(units) });
+    } catch (error) {
+      sendError(res, 400, error.message);
+    }
+  });
+
+  /**
+   * GET /api/v1/ground/timeline - Timeline weather data, with the high and
+   * low of each local day in meta.daily
+   * Query params: lat, lon, hours (optional), resolution (optional: 15m, 1h, 3h), units
+   */
+  router.get('/ground/timeline', async (req, res) => {
+    try {
+      const { lat, lon } = parseLocation(req.query);
+      const hours = parseHours(req.query);
+      const units = resolveUnits(req.query);
+
+      const { data, source, degraded, stale, strict, history, resolution } = await groundDataService.getTimelineData(lat, lon, hours, {
+        resolution: req.query.resolution
+      });
+      const converted = convertLayerData('ground', data, units);
+
+      sendSuccess(res, converted, {
+        location: { lat, lon },
+        hours: hours,
+        dataPoints: data.length,
+        source,
+        degraded,
+        stale,
+        strict,
+        history,
+        resolution,
+        provenance: summarizeProvenance(data),
+        daily: getDailyExtremes(converted, lon),
+        units: getUnitLabels(units)
+      });
+    } catch (error) {
+      sendError(res, 400, error.message);
+    }
+  });
+
+  /**
+   * GET /api/v1/ground/history - Recorded observations for a past window,
+   * with the high and low of each local day in meta.daily
+   * Query params: lat, lon, start, end (ISO 8601, default: the last 24 hours), units
+   */
+  router.get('/ground/history', (req, res) => {
+    try {
+      const { lat, lon } = parseLocation(req.query);
+      const units = resolveUnits(req.query);
+      const end = req.query.end ? new Date(req.query.end) : new Date();
+      const start = req.query.start ? new Date(req.query.start) : new Date(end.getTime() - 24 * 60 * 60 * 1000);
+
+      const data = groundDataService.getHistory(lat, lon, start, end);
+      const converted = convertLayerData('ground', data, units);
+
+      sendSuccess(res, converted, {
+        location: { lat, lon },
+        start: start.toISOString(),
+        end: end.toISOString(),
+        dataPoints: data.length,
+        daily: getDailyExtremes(converted, lon),
+        units: getUnitLabels(units)
+      });
+    } catch (error) {
+      sendError(res, 400, error.message);
+    }
+  });
+
+  /**
+   * GET /api/v1/ground/location - Location validation and data
+   * Query params: lat, lon (required), city (not implemented in MVP)
+   * Missing, malformed and out-of-range coordinates are rejected by the request validator
+   */
+  router.get('/ground/location', async (req, res) => {
+    try {
+      const { lat, lon } = parseLocation(req.query);
+
+      sendSuccess(res, {
+        lat,
+        lon,
+        valid: true,
+        message: 'Coordinates are valid'
+      });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  });
+
+  /**
+   * GET /api/v1/ground/stats - Service statistics and health
+   */
+  router.get('/ground/stats', (req, res) => {
+    try {
+      const stats = groundDataService.getStats();
+
+      sendSuccess(res, {
+        service: stats,
+        scheduler: prewarmScheduler.getStats(),
+        rateLimit: rateLimiter.getStats(),
+        validation: validator.getStats(),
+        server: {
+          uptime: process.uptime(),
+          memory: process.memoryUsage(),
+          nodeVersion: process.version,
+          environment: config.nodeEnv,
+          openWeatherApiConfigured: config.openWeatherApiConfigured
+        }
+      });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  });
+
+  /**
+   * POST /api/v1/ground/mode - Select the weather provider (development only)
+   * Body: { provider: "<registered name>" | "auto" } or legacy { useRealAPI: boolean }
+   * The Sky layer switches too when the provider serves Sky data; its mode is in `sky`
+   */
+  router.post('/ground/mode', (req, res) => {
+    if (config.nodeEnv === 'production') {
+      return sendError(res, 403, 'API mode switching not allowed in production');
+    }
+
+    try {
+      const { provider, useRealAPI } = req.body || {};
+
+      if (provider !== undefined) {
+        groundDataService.setProvider(provider);
+      } else if (useRealAPI !== undefined) {
+        groundDataService.setAPIMode(useRealAPI);
+      } else {
+        return sendError(res, 400, `Provide "provider" (one of: auto, ${groundDataService.registry.names().join(', ')}) or "useRealAPI"`);
+      }
+
+      const active = groundDataService.getActiveProvider();
+      if (!active) {
+        return sendError(res, 503, 'No weather provider available', undefined, 'NO_PROVIDER');
+      }
+
+      // Sky follows the selection when it can serve Sky data and keeps its own provider otherwise
+      const selection = groundDataService.selectedProvider || 'auto';
+      if (skyDataService.canServe(selection)) {
+        skyDataService.setProvider(selection);
+      }
+
+      sendSuccess(res, {
+        mode: active.name,
+        selection: groundDataService.selectedProvider ? 'manual' : 'auto',
+        sky: skyDataService.getMode(),
+        message: `Switched to '${active.name}' provider`
+      });
+    } catch (error) {
+      sendError(res, 400, error.message);
+    }
+  });
+
+  // Sky Layer API Endpoints
+
+  /**
+   * GET /api/v1/sky/current - Current wind, clouds, precipitation and visibility
+   * Query params: lat, lon (optional, defaults to New York), units
+   */
+  router.get('/sky/current', async (req, res) => {
+    try {
+      const { lat, lon } = parseLocation(req.query);
+      const units = resolveUnits(req.query);
+
+      const { data, source, degraded, stale } = await skyDataService.getCurrentConditions(lat, lon);
+
+      sendSuccess(res, convertLayerData('sky', data, units), { source, degraded, stale, units: getUnitLabels(units) });
+    } catch (error) {
+      sendError(res, 400, error.message);
+    }
+  });
+
+  /**
+   * GET /api/v1/sky/timeline - Timeline sky data
+   * Query params: lat, lon, hours (optional), units
+   */
+  router.get('/sky/timeline', async (req, res) => {
+    try {
+      const { lat, lon } = parseLocation(req.query);
+      const hours = parseHours(req.query);
+      const units = resolveUnits(req.query);
+
+      const { data, source, degraded, stale } = await skyDataService.getTimelineData(lat, lon, hours);
+
+      sendSuccess(res, convertLayerData('sky', data, units), {
+        location: { lat, lon },
+        hours: hours,
+        dataPoints: data.length,
+        source,
+        degraded,
+        stale,
+        units: getUnitLabels(units)
+      });
+    } catch (error) {
+      sendError(res, 400, error.message);
+    }
+  });
+
+  // Sea Layer API Endpoints
+
+  /**
+   * GET /api/v1/sea/current - Current tide level and water temperature
+   * Query params: lat, lon (optional, defaults to New York), units
+   * Locations without a nearby tide station return data: null and meta.available: false
+   */
+  router.get('/sea/current', async (req, res) => {
+    try {
+      const { lat, lon } = parseLocation(req.query);
+      const units = resolveUnits(req.query);
+
+      const data = await seaDataService.getCurrentConditions(lat, lon);
+
+      sendSuccess(res, convertLayerData('sea', data, units), {
+        ...seaDataService.getAvailability(lat, lon),
+        units: getUnitLabels(units)
+      });
+    } catch (error) {
+      sendError(res, 400, error.message);
+    }
+  });
+
+  /**
+   * GET /api/v1/sea/timeline - Hourly tide levels with high/low tide times
+   * Query params: lat, lon, hours (optional), units
+   */
+  router.get('/sea/timeline', async (req, res) => {
+    try {
+      const { lat, lon } = parseLocation(req.query);
+      const hours = parseHours(req.query);
+      const units = resolveUnits(req.query);
+
+      const data = await seaDataService.getTimelineData(lat, lon, hours);
+      const extremes = seaDataService.getTideExtremes(lat, lon, hours)
+        .map(extreme => ({ ...extreme, height: convertValue(extreme.height, 'height', units.height) }));
+
+      sendSuccess(res, convertLayerData('sea', data, units), {
+        location: { lat, lon },
+        hours: hours,
+        dataPoints: data.length,
+        extremes,
+        ...seaDataService.getAvailability(lat, lon),
+        units: getUnitLabels(units)
+      });
+    } catch (error) {
+      sendError(res, 400, error.message);
+    }
+  });
+
+  // Astro Layer API Endpoints
+
+  /**
+   * GET /api/v1/astro/current - Sun and moon conditions right now
+   * Query params: lat, lon (optional, defaults to New York)
+   */
+  router.get('/astro/current', async (req, res) => {
+    try {
+      const { lat, lon } = parseLocation(req.query);
+
+      const data = await astroDataService.getCurrentConditions(lat, lon);
+
+      sendSuccess(res, data);
+    } catch (error) {
+      sendError(res, 400, error.message);
+    }
+  });
+
+  /**
+   * GET /api/v1/astro/timeline - Hourly sun and moon data
+   * Query params: lat, lon, hours (optional)
+   */
+  router.get('/astro/timeline', async (req, res) => {
+    try {
+      const { lat, lon } = parseLocation(req.query);
+      const hours = parseHours(req.query);
+
+      const data = await astroDataService.getTimelineData(lat, lon, hours);
+
+      sendSuccess(res, data, {
+        location: { lat, lon },
+        hours: hours,
+        dataPoints: data.length
+      });
+    } catch (error) {
+      sendError(res, 400, error.message);
+    }
+  });
+
+  // Multi-layer API Endpoint
+
+  /**
+   * GET /api/v1/layers - All requested layers aligned on one hourly timeline
+   * Query params: lat, lon, hours (optional), layers (optional, e.g. "ground,sky,sea,astro"), units
+   */
+  router.get('/layers', async (req, res) => {
+    try {
+      const { lat, lon } = parseLocation(req.query);
+      const hours = parseHours(req.query);
+      const layers = layerDataService.parseLayers(req.query.layers);
+      const units = resolveUnits(req.query);
+
+      const { timeline, layers: layerStatus } = await layerDataService.getTimelineData(lat, lon, hours, layers);
+
+      const converted = timeline.map(entry => {
+        const point = { ...entry };
+        layers.forEach(name => {
+          point[name] = convertLayerData(name, entry[name], units);
+        });
+        return point;
+      });
+
+      sendSuccess(res, converted, {
+        location: { lat, lon },
+        hours: hours,
+        layers: layerStatus,
+        dataPoints: timeline.length,
+        units: getUnitLabels(units)
+      });
+    } catch (error) {
+      sendError(res, 400, error.message);
+    }
+  });
+
+  // Anything else under the API root is not an endpoint
+  router.use((req, res) => {
+    sendError(res, 404, `Unknown API endpoint: ${req.method} ${req.originalUrl}`);
+  });
+
+  return router;
+}
@@ -0,0 +1,670 @@
+import { LAYER_NAMES } from '../services/LayerDataService.js';
+import { VALIDATION_CODES } from './OpenApiValidator.js';
+import { QUANTITIES, UNIT_SYSTEMS } from '../utils/UnitConverter.js';
+import { COMFORT_CATEGORIES } from '../utils/DerivedMetrics.js';
+import { PRESSURE_TENDENCIES, BAROMETER_OUTLOOKS } from '../utils/PressureTrend.js';
+import { RESOLUTIONS } from '../utils/TimeSeriesUtils.js';
+
+/**
+ * OpenAPI description of the v1 API
+ *
+ * This document is the contract of /api/v1: it is served at
+ * /api/v1/openapi.json and OpenApiValidator checks requests (and, outside
+ * production, responses) against it. Additive changes (new optional fields,
+ * parameters or endpoints) can go into v1; anything that removes, renames or
+ * retypes a field belongs in a new version.
+ *
+ * Paths are relative to the server URL (/api/v1). Data schemas only require
+ * the fields every provider returns and allow additional properties.
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => ({ anyOf: [schema, { type: 'null' }] });
+const number = { type: 'number' };
+const optionalNumber = { type: ['number', 'null'] };
+const string = { type: 'string' };
+const timestamp = { type: 'string', format: 'date-time' };
+
+/**
+ * Success envelope around a payload
+ * @param {Object} data - Schema of `data`
+ * @param {Object} [meta] - Schema of `meta`, when the endpoint sends one
+ */
+const success = (data, meta) => ({
+  description: 'Success',
+  content: {
+    'application/json': {
+      schema: {
+        type: 'object',
+        required: ['status', 'data', 'timestamp'],
+        properties: {
+          status: { type: 'string', enum: ['success'] },
+          data,
+          ...(meta && { meta }),
+          timestamp
+        }
+      }
+    }
+  }
+});
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: ref('Error') } }
+});
+
+const errors = {
+  400: errorResponse('Invalid request'),
+  429: errorResponse('Too many requests from this client')
+};
+
+const timelineMeta = (properties = {}) => ({
+  type: 'object',
+  required: ['location', 'hours', 'dataPoints'],
+  properties: {
+    location: ref('Coordinates'),
+    hours: { type: 'integer' },
+    dataPoints: { type: 'integer' },
+    ...properties
+  }
+});
+
+const latitude = {
+  name: 'lat',
+  in: 'query',
+  description: 'Latitude (default: New York)',
+  schema: { type: 'number', minimum: -90, maximum: 90 }
+};
+const longitude = {
+  name: 'lon',
+  in: 'query',
+  description: 'Longitude (default: New York)',
+  schema: { type: 'number', minimum: -180, maximum: 180 }
+};
+
+const locationParameters = [
+  { $ref: '#/components/parameters/lat' },
+  { $ref: '#/components/parameters/lon' }
+];
+const timelineParameters = [...locationParameters, { $ref: '#/components/parameters/hours' }];
+
+// Unit system plus one override per quantity, e.g. units=metric&temp=F
+const unitParameterSchemas = {
+  units: {
+    name: 'units',
+    in: 'query',
+    description: 'Unit system of the response (default: metric)',
+    schema: { type: 'string', enum: Object.keys(UNIT_SYSTEMS) }
+  },
+  ...Object.fromEntries(Object.entries(QUANTITIES).map(([quantity, { param, units }]) => [param, {
+    name: param,
+    in: 'query',
+    description: `Unit for ${quantity}, overriding the unit system`,
+    schema: { type: 'string', enum: Object.keys(units) }
+  }]))
+};
+const unitParameters = Object.keys(unitParameterSchemas).map(name => ({ $ref: `#/components/parameters/${name}` }));
+const unitsMeta = { units: ref('UnitLabels') };
+
+export const openApiSpec = {
+  openapi: '3.1.0',
+  info: {
+    title: '4layers.earth API',
+    version: '1.0.0',
+    description: 'Ground, sky, sea and astro layer data on a shared hourly timeline. ' +
+      'Every response uses the { status, data, meta, timestamp } envelope; errors use { status: "error", message, errors?, timestamp }, ' +
+      'where `errors` lists invalid parameters with a machine-readable code.'
+  },
+  servers: [{ url: '/api/v1' }],
+  paths: {
+    '/ground/current': {
+      get: {
+        summary: 'Current ground weather conditions',
+        parameters: [...locationParameters, ...unitParameters],
+        responses: {
+          200: success(ref('GroundData'), ref('ProviderMeta')),
+          ...errors
+        }
+      }
+    },
+    '/ground/timeline': {
+      get: {
+        summary: 'Hourly ground weather centred on the current hour',
+        parameters: [
+          ...timelineParameters,
+          {
+            name: 'resolution',
+            in: 'query',
+            description: 'Resample to a fixed step: temperature along a spline, other numbers linearly, conditions from the nearest point (default: as provided)',
+            schema: { type: 'string', enum: Object.keys(RESOLUTIONS) }
+          },
+          ...unitParameters
+        ],
+        responses: {
+          200: success({ type: 'array', items: ref('GroundData') }, timelineMeta({
+            source: { type: ['string', 'null'] },
+            degraded: { type: 'boolean' },
+            stale: { type: 'boolean' },
+            strict: { type: 'boolean' },
+            resolution: { type: ['string', 'null'], enum: [...Object.keys(RESOLUTIONS), null] },
+            history: {
+              type: 'object',
+              properties: {
+                observations: { type: 'integer' },
+                source: { type: ['string', 'null'] }
+              }
+            },
+            provenance: { type: 'object', additionalProperties: { type: 'integer' } },
+            daily: { type: 'array', items: ref('DailyExtremes') },
+            ...unitsMeta
+          })),
+          ...errors
+        }
+      }
+    },
+    '/ground/history': {
+      get: {
+        summary: 'Recorded ground observations for a past window',
+        parameters: [
+          ...locationParameters,
+          { name: 'start', in: 'query', description: 'Window start (default: 24 hours before end)', schema: timestamp },
+          { name: 'end', in: 'query', description: 'Window end (default: now)', schema: timestamp },
+          ...unitParameters
+        ],
+        responses: {
+          200: success({ type: 'array', items: ref('GroundData') }, {
+            type: 'object',
+            required: ['location', 'start', 'end', 'dataPoints'],
+            properties: {
+              location: ref('Coordinates'),
+              start: timestamp,
+              end: timestamp,
+              dataPoints: { type: 'integer' },
+              daily: { type: 'array', items: ref('DailyExtremes') },
+              ...unitsMeta
+            }
+          }),
+          ...errors
+        }
+      }
+    },
+    '/ground/location': {
+      get: {
+        summary: 'Validate coordinates',
+        parameters: [
+          { ...latitude, description: 'Latitude', required: true },
+          { ...longitude, description: 'Longitude', required: true }
+        ],
+        responses: {
+          200: success({
+            type: 'object',
+            required: ['lat', 'lon', 'valid'],
+            properties: { lat: number, lon: number, valid: { type: 'boolean' }, message: string }
+          }),
+          ...errors
+        }
+      }
+    },
+    '/ground/stats': {
+      get: {
+        summary: 'Service statistics and health',
+        responses: {
+          200: success({
+            type: 'object',
+            required: ['service', 'server'],
+            properties: {
+              service: { type: 'object' },
+              scheduler: { type: 'object' },
+              rateLimit: { type: 'object' },
+              server: { type: 'object' }
+            }
+          }),
+          429: errors[429]
+        }
+      }
+    },
+    '/ground/mode': {
+      post: {
+        summary: 'Select the weather provider (not available in production)',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  provider: { type: 'string', description: 'Registered provider name or "auto"' },
+                  useRealAPI: { type: 'boolean', description: 'Legacy switch between OpenWeatherMap and mock data' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: success({
+            type: 'object',
+            required: ['mode', 'selection'],
+            properties: {
+              mode: string,
+              selection: { type: 'string', enum: ['manual', 'auto'] },
+              sky: {
+                type: 'object',
+                description: 'Sky layer provider, unchanged when the selected provider cannot serve Sky data',
+                required: ['mode', 'selection'],
+                properties: { mode: string, selection: { type: 'string', enum: ['manual', 'auto'] } }
+              },
+              message: string
+            }
+          }),
+          ...errors,
+          403: errorResponse('Not available in production'),
+          503: errorResponse('No weather provider available (code NO_PROVIDER)')
+        }
+      }
+    },
+    '/sky/current': {
+      get: {
+        summary: 'Current wind, clouds, precipitation and visibility',
+        parameters: [...locationParameters, ...unitParameters],
+        responses: {
+          200: success(ref('SkyData'), ref('ProviderMeta')),
+          ...errors
+        }
+      }
+    },
+    '/sky/timeline': {
+      get: {
+        summary: 'Sky data centred on the current hour',
+        parameters: [...timelineParameters, ...unitParameters],
+        responses: {
+          200: success({ type: 'array', items: ref('SkyData') }, timelineMeta({
+            source: { type: ['string', 'null'] },
+            degraded: { type: 'boolean' },
+            stale: { type: 'boolean' },
+            ...unitsMeta
+          })),
+          ...errors
+        }
+      }
+    },
+    '/sea/current': {
+      get: {
+        summary: 'Current tide level and water temperature',
+        description: 'Locations without a nearby tide station return data: null and meta.available: false.',
+        parameters: [...locationParameters, ...unitParameters],
+        responses: {
+          200: success(nullable(ref('SeaData')), {
+            allOf: [ref('SeaAvailability'), { type: 'object', properties: unitsMeta }]
+          }),
+          ...errors
+        }
+      }
+    },
+    '/sea/timeline': {
+      get: {
+        summary: 'Hourly tide levels with high and low tide times',
+        parameters: [...timelineParameters, ...unitParameters],
+        responses: {
+          200: success({ type: 'array', items: ref('SeaData') }, {
+            allOf: [
+              timelineMeta({ extremes: { type: 'array', items: ref('TideExtreme') }, ...unitsMeta }),
+              ref('SeaAvailability')
+            ]
+          }),
+          ...errors
+        }
+      }
+    },
+    '/astro/current': {
+      get: {
+        summary: 'Sun and moon conditions right now',
+        parameters: locationParameters,
+        responses: {
+          200: success(ref('AstroData')),
+          ...errors
+        }
+      }
+    },
+    '/astro/timeline': {
+      get: {
+        summary: 'Hourly sun and moon data',
+        parameters: timelineParameters,
+        responses: {
+          200: success({ type: 'array', items: ref('AstroData') }, timelineMeta()),
+          ...errors
+        }
+      }
+    },
+    '/layers': {
+      get: {
+        summary: 'All requested layers aligned on one hourly timeline',
+        parameters: [
+          ...timelineParameters,
+          {
+            name: 'layers',
+            in: 'query',
+            description: 'Comma-separated layers (default: all)',
+            style: 'form',
+            explode: false,
+            schema: { type: 'array', minItems: 1, items: { type: 'string', enum: LAYER_NAMES } }
+          },
+          ...unitParameters
+        ],
+        responses: {
+          200: success({
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['timestamp'],
+              properties: {
+                timestamp,
+                ground: nullable(ref('GroundData')),
+                sky: nullable(ref('SkyData')),
+                sea: nullable(ref('SeaData')),
+                astro: nullable(ref('AstroData'))
+              }
+            }
+          }, {
+            type: 'object',
+            required: ['location', 'hours', 'layers', 'dataPoints'],
+            properties: {
+              location: ref('Coordinates'),
+              hours: { type: 'integer' },
+              dataPoints: { type: 'integer' },
+              ...unitsMeta,
+              layers: {
+                type: 'object',
+                additionalProperties: {
+                  type: 'object',
+                  required: ['available', 'dataPoints'],
+                  properties: { available: { type: 'boolean' }, dataPoints: { type: 'integer' }, message: string }
+                }
+              }
+            }
+          }),
+          ...errors
+        }
+      }
+    },
+    '/openapi.json': {
+      get: {
+        summary: 'This document',
+        responses: {
+          200: { description: 'OpenAPI document', content: { 'application/json': { schema: { type: 'object' } } } }
+        }
+      }
+    }
+  },
+  components: {
+    parameters: {
+      lat: latitude,
+      lon: longitude,
+      ...unitParameterSchemas,
+      hours: {
+        name: 'hours',
+        in: 'query',
+        description: 'Timeline length in hours, centred on the current hour',
+        schema: { type: 'integer', minimum: 1, maximum: 168, default: 24 }
+      }
+    },
+    schemas: {
+      Error: {
+        type: 'object',
+        required: ['status', 'message', 'timestamp'],
+        properties: {
+          status: { type: 'string', enum: ['error'] },
+          code: { type: 'string', description: 'Machine-readable error code, e.g. NO_PROVIDER when no weather provider is available' },
+          message: string,
+          errors: {
+            type: 'array',
+            description: 'Invalid request details, one per problem',
+            items: ref('ValidationError')
+          },
+          timestamp
+        }
+      },
+      ValidationError: {
+        type: 'object',
+        required: ['field', 'code', 'message'],
+        properties: {
+          field: { type: 'string', description: 'Parameter name, or property path within the body' },
+          in: { type: 'string', enum: ['query', 'body'] },
+          code: {
+            type: 'string',
+            enum: Object.values(VALIDATION_CODES),
+            description: 'MISSING: required but not given; INVALID: wrong type, format or value; OUT_OF_RANGE: outside the allowed range or too few items'
+          },
+          message: string
+        }
+      },
+      Coordinates: {
+        type: 'object',
+        required: ['lat', 'lon'],
+        properties: { lat: number, lon: number }
+      },
+      Location: {
+        type: 'object',
+        required: ['lat', 'lon'],
+        properties: {
+          lat: number,
+          lon: number,
+          city: string,
+          country: string,
+          timezone: string,
+          utcOffset: { type: 'integer', description: 'Seconds east of UTC' }
+        }
+      },
+      Conditions: {
+        type: 'object',
+        properties: { description: string, icon: string }
+      },
+      Provenance: {
+        type: 'object',
+        required: ['type'],
+        properties: {
+          provider: string,
+          type: { type: 'string', enum: ['observed', 'forecast', 'interpolated', 'synthetic'] }
+        }
+      },
+      ProviderMeta: {
+        type: 'object',
+        properties: {
+          source: { type: ['string', 'null'] },
+          degraded: { type: 'boolean' },
+          stale: { type: 'boolean' },
+          ...unitsMeta
+        }
+      },
+      UnitLabels: {
+        type: 'object',
+        description: 'Units of the values in data. Layer data is metric unless units or a per-quantity override is given',
+        required: ['system', ...Object.keys(QUANTITIES)],
+        properties: {
+          system: { type: 'string', enum: [...Object.keys(UNIT_SYSTEMS), 'custom'] },
+          ...Object.fromEntries(Object.entries(QUANTITIES).map(([quantity, { units }]) => [quantity, {
+            type: 'string',
+            enum: Object.values(units).map(unit => unit.label)
+          }]))
+        }
+      },
+      GroundData: {
+        type: 'object',
+        required: ['timestamp', 'location', 'metrics'],
+        properties: {
+          timestamp,
+          location: ref('Location'),
+          metrics: {
+            type: 'object',
+            required: ['temperature', 'humidity', 'pressure'],
+            properties: {
+              temperature: {
+                type: 'object',
+                required: ['current'],
+                properties: {
+                  current: number,
+                  feelsLike: optionalNumber,
+                  min24h: optionalNumber,
+                  max24h: optionalNumber,
+                  min24hAt: nullable(timestamp),
+                  max24hAt: nullable(timestamp),
+                  coverageHours: { type: 'number', description: 'Hours of the 24-hour window covered by readings; extremes are null without an earlier reading' }
+                }
+              },
+              humidity: number,
+              pressure: {
+                type: 'object',
+                required: ['current'],
+                properties: {
+                  current: number,
+                  seaLevel: optionalNumber,
+                  trend: { type: ['string', 'null'], enum: ['rising', 'falling', 'steady', null], description: 'Null without a reading 1-4 hours earlier' },
+                  tendency: { type: ['string', 'null'], enum: [...PRESSURE_TENDENCIES, null] },
+                  rate: { type: ['number', 'null'], description: 'Change over the last 3 hours, null without an earlier reading' },
+                  outlook: { type: 'string', enum: BAROMETER_OUTLOOKS }
+                }
+              },
+              wind: { type: 'object', properties: { speed: optionalNumber } },
+              derived: ref('DerivedMetrics')
+            }
+          },
+          conditions: ref('Conditions'),
+          provenance: ref('Provenance'),
+          resampled: { type: 'boolean', description: 'Computed for a resampled timeline rather than provided' }
+        }
+      },
+      DailyExtremes: {
+        type: 'object',
+        description: 'High and low of one local calendar day; days at the edges of a series may be partial',
+        required: ['date', 'low', 'high', 'points'],
+        properties: {
+          date: { type: 'string', description: 'Local date, YYYY-MM-DD' },
+          low: { type: 'object', required: ['value', 'time'], properties: { value: number, time: timestamp } },
+          high: { type: 'object', required: ['value', 'time'], properties: { value: number, time: timestamp } },
+          points: { type: 'integer' }
+        }
+      },
+      DerivedMetrics: {
+        type: 'object',
+        description: 'Computed from temperature, humidity and wind; heatIndex and windChill are null where their formulas do not apply',
+        required: ['dewPoint', 'absoluteHumidity', 'humidex', 'comfort'],
+        properties: {
+          dewPoint: number,
+          absoluteHumidity: { type: 'number', description: 'g/m³' },
+          heatIndex: optionalNumber,
+          windChill: optionalNumber,
+          humidex: number,
+          comfort: { type: 'string', enum: COMFORT_CATEGORIES }
+        }
+      },
+      SkyData: {
+        type: 'object',
+        required: ['timestamp', 'location', 'wind', 'clouds', 'precipitation'],
+        properties: {
+          timestamp,
+          location: ref('Location'),
+          wind: {
+            type: 'object',
+            required: ['speed', 'direction'],
+            properties: { speed: number, gust: optionalNumber, direction: number, cardinal: string }
+          },
+          clouds: { type: 'object', properties: { cover: number } },
+          precipitation: {
+            type: 'object',
+            properties: {
+              rain: number,
+              snow: number,
+              periodHours: number,
+              probability: optionalNumber,
+              type: { type: 'string', enum: ['none', 'rain', 'snow', 'mixed'] }
+            }
+          },
+          visibility: optionalNumber,
+          conditions: ref('Conditions'),
+          provenance: ref('Provenance'),
+          stale: { type: 'boolean' }
+        }
+      },
+      TideExtreme: {
+        type: 'object',
+        required: ['type', 'time', 'height'],
+        properties: { type: { type: 'string', enum: ['high', 'low'] }, time: timestamp, height: number }
+      },
+      SeaData: {
+        type: 'object',
+        required: ['timestamp', 'location', 'station', 'tide'],
+        properties: {
+          timestamp,
+          location: ref('Coordinates'),
+          station: {
+            type: 'object',
+            required: ['id', 'name'],
+            properties: { id: string, name: string, country: string, lat: number, lon: number, distanceKm: number }
+          },
+          tide: {
+            type: 'object',
+            required: ['height'],
+            properties: {
+              height: number,
+              datum: string,
+              trend: { type: 'string', enum: ['rising', 'falling'] },
+              nextHigh: nullable(ref('TideExtreme')),
+              nextLow: nullable(ref('TideExtreme'))
+            }
+          },
+          waterTemperature: {
+            type: 'object',
+            properties: { current: optionalNumber, source: string }
+          }
+        }
+      },
+      SeaAvailability: {
+        type: 'object',
+        required: ['available'],
+        properties: {
+          available: { type: 'boolean' },
+          nearestStation: {
+            type: 'object',
+            properties: { id: string, name: string, distanceKm: number }
+          },
+          message: string
+        }
+      },
+      AstroData: {
+        type: 'object',
+        required: ['timestamp', 'location', 'sun', 'moon'],
+        properties: {
+          timestamp,
+          location: ref('Coordinates'),
+          sun: {
+            type: 'object',
+            required: ['elevation', 'azimuth', 'period'],
+            properties: {
+              elevation: number,
+              azimuth: number,
+              period: { type: 'string', enum: ['day', 'civil-twilight', 'nautical-twilight', 'astronomical-twilight', 'night'] },
+              sunrise: { type: ['string', 'null'] },
+              sunset: { type: ['string', 'null'] },
+              solarNoon: { type: ['string', 'null'] },
+              dayLength: number,
+              polarDay: { type: 'boolean' },
+              polarNight: { type: 'boolean' }
+            }
+          },
+          moon: {
+            type: 'object',
+            required: ['elevation', 'azimuth', 'illumination', 'phase'],
+            properties: {
+              elevation: number,
+              azimuth: number,
+              moonrise: { type: ['string', 'null'] },
+              moonset: { type: ['string', 'null'] },
+              illumination: number,
+              phase: number,
+              phaseName: string
+            }
+          }
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,176 @@
+import { VALIDATION_CODES, validationError, validateSchema, resolveRef } from '../utils/SchemaValidator.js';
+
+export { VALIDATION_CODES, validateSchema };
+
+/**
+ * Converts a query string value to the type its schema expects, so
+ * "40.7" can be checked as a number and "ground,sky" as an array.
+ * Values that do not convert are returned as is and fail the type check.
+ */
+function coerceQueryValue(schema, value) {
+  const types = [].concat(schema.type || []);
+
+  if (types.includes('array') && typeof value === 'string') {
+    return value.split(',').map(item => coerceQueryValue(schema.items || {}, item.trim())).filter(item => item !== '');
+  }
+
+  if ((types.includes('number') || types.includes('integer')) && typeof value === 'string' && value.trim() !== '') {
+    const number = Number(value);
+    return isNaN(number) ? value : number;
+  }
+
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+
+  return value;
+}
+
+/**
+ * Joins validation errors into one human-readable message
+ * @param {Array<Object>} errors - Errors as { message }
+ * @returns {string} e.g. "Invalid request: lat must be number; hours must be <= 168"
+ */
+export function formatErrors(errors) {
+  return `Invalid request: ${errors.map(error => error.message).join('; ')}`;
+}
+
+/**
+ * OpenApiValidator - Request and response validation derived from an OpenAPI document
+ *
+ * Requests to documented operations are checked against their query
+ * parameters and JSON body and rejected through `onInvalidRequest` when they
+ * do not match. Responses can be checked too (meant for development and
+ * tests): mismatches are reported through `onInvalidResponse`, never sent
+ * to the client. Paths are matched relative to where the middleware is mounted.
+ */
+export class OpenApiValidator {
+  /**
+   * @param {Object} options
+   * @param {Object} options.spec - OpenAPI document
+   * @param {boolean} [options.validateResponses] - Check responses as well (default: outside production)
+   * @param {Function} [options.onInvalidRequest] - (req, res, errors) => void, sends the error response
+   * @param {Function} [options.onInvalidResponse] - (req, errors) => void (default: log a warning)
+   */
+  constructor(options) {
+    this.spec = options.spec;
+    this.validateResponses = options.validateResponses ?? process.env.NODE_ENV !== 'production';
+    this.onInvalidRequest = options.onInvalidRequest || ((req, res, errors) => {
+      res.status(400).json({ status: 'error', message: formatErrors(errors), errors, timestamp: new Date().toISOString() });
+    });
+    this.onInvalidResponse = options.onInvalidResponse || ((req, errors) => {
+      console.warn(`OpenApiValidator: Response to ${req.method} ${req.originalUrl} does not match the spec:`, errors.slice(0, 5).map(error => error.message).join('; '));
+    });
+
+    this.invalidRequests = 0;
+    this.invalidResponses = 0;
+  }
+
+  /**
+   * Finds the documented operation for a request
+   * @param {string} method - HTTP method
+   * @param {string} path - Path relative to the API root, e.g. "/ground/current"
+   * @returns {Object|null} OpenAPI operation object
+   */
+  getOperation(method, path) {
+    return this.spec.paths[path]?.[method.toLowerCase()] || null;
+  }
+
+  /**
+   * Checks a request's query parameters and body
+   * @param {Object} req - Express request
+   * @param {Object} operation - OpenAPI operation object
+   * @returns {Array<Object>} Errors as { field, in, code, message }
+   */
+  validateRequest(req, operation) {
+    const errors = [];
+
+    for (const parameter of (operation.parameters || []).map(item => (item.$ref ? resolveRef(this.spec, item.$ref) : item))) {
+      if (parameter.in !== 'query') {
+        continue;
+      }
+
+      const value = req.query[parameter.name];
+
+      if (value === undefined || value === '') {
+        if (parameter.required) {
+          errors.push({ in: 'query', ...validationError(parameter.name, VALIDATION_CODES.MISSING, 'is required') });
+        }
+        continue;
+      }
+
+      const path = parameter.name;
+      errors.push(...validateSchema(parameter.schema, coerceQueryValue(parameter.schema, value), { root: this.spec, path })
+        .map(error => ({ in: 'query', ...error })));
+    }
+
+    const body = operation.requestBody?.content?.['application/json'];
+    if (body) {
+      errors.push(...validateSchema(body.schema, req.body ?? {}, { root: this.spec, path: 'body' })
+        .map(error => ({ in: 'body', ...error, field: error.field.replace(/^body\.?/, '') })));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Checks a response body against the documented response of its status code
+   * @param {Object} operation - OpenAPI operation object
+   * @param {number} statusCode - HTTP status code
+   * @param {*} body - Response body
+   * @returns {Array<Object>} Errors as { field, code, message }
+   */
+  validateResponse(operation, statusCode, body) {
+    const response = operation.responses[statusCode] || operation.responses.default;
+    if (!response) {
+      return [validationError('status', VALIDATION_CODES.INVALID, `${statusCode} is not documented`)];
+    }
+
+    const schema = response.content?.['application/json']?.schema;
+    return schema ? validateSchema(schema, body, { root: this.spec, path: 'response' }) : [];
+  }
+
+  /**
+   * Express middleware validating requests and, when enabled, responses
+   * @returns {Function} (req, res, next) => void
+   */
+  middleware() {
+    return (req, res, next) => {
+      const operation = this.getOperation(req.method, req.path);
+      if (!operation) {
+        return next();
+      }
+
+      const errors = this.validateRequest(req, operation);
+      if (errors.length > 0) {
+        this.invalidRequests++;
+        return this.onInvalidRequest(req, res, errors);
+      }
+
+      if (this.validateResponses) {
+        const json = res.json.bind(res);
+        res.json = (body) => {
+          const responseErrors = this.validateResponse(operation, res.statusCode, body);
+          if (responseErrors.length > 0) {
+            this.invalidResponses++;
+            this.onInvalidResponse(req, responseErrors);
+          }
+          return json(body);
+        };
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Get validation statistics
+   */
+  getStats() {
+    return {
+      validateResponses: this.validateResponses,
+      invalidRequests: this.invalidRequests,
+      invalidResponses: this.invalidResponses
+    };
+  }
+}
@@ -0,0 +1,98 @@
+import express from 'express';
+import path from 'path';
+import { ClientRateLimiter } from './middleware/ClientRateLimiter.js';
+import { createSecurityMiddleware } from './middleware/SecurityMiddleware.js';
+import { createApiV1Router, UPSTREAM_ROUTES } from './api/ApiV1Router.js';
+import { sendError } from './api/ApiResponses.js';
+
+/**
+ * Creates the Express app: security headers and compression, static files,
+ * the v1 API with its deprecated /api alias and the SPA catch-all.
+ *
+ * server.js builds the services and listens; keeping the wiring here lets
+ * tests exercise the app exactly as it is served.
+ * @param {Object} deps
+ * @param {GroundDataService} deps.groundDataService
+ * @param {SkyDataService} deps.skyDataService
+ * @param {SeaDataService} deps.seaDataService
+ * @param {AstroDataService} deps.astroDataService
+ * @param {LayerDataService} deps.layerDataService
+ * @param {PrewarmScheduler} deps.prewarmScheduler
+ * @param {string} deps.publicDir - Directory of the static frontend
+ * @param {Object} [deps.config]
+ * @param {string} [deps.config.nodeEnv] - Environment name (default: NODE_ENV or development)
+ * @param {boolean} [deps.config.openWeatherApiConfigured] - Reported in stats
+ * @param {string} [deps.config.trustProxy] - Reverse proxies in front of the server (default: TRUST_PROXY)
+ * @returns {express.Application} App ready to listen
+ */
+export function createApp({
+  groundDataService,
+  skyDataService,
+  seaDataService,
+  astroDataService,
+  layerDataService,
+  prewarmScheduler,
+  publicDir,
+  config = {}
+}) {
+  config = {
+    nodeEnv: process.env.NODE_ENV || 'development',
+    openWeatherApiConfigured: false,
+    trustProxy: process.env.TRUST_PROXY,
+    ...config
+  };
+
+  const app = express();
+
+  // Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so client IPs come from X-Forwarded-For
+  if (config.trustProxy) {
+    const hops = parseInt(config.trustProxy);
+    app.set('trust proxy', isNaN(hops) ? config.trustProxy : hops);
+  }
+
+  // Security headers (CSP, HSTS in production) and response compression
+  app.use(createSecurityMiddleware({ production: config.nodeEnv === 'production' }));
+
+  app.use(express.static(publicDir));
+  app.use(express.json());
+
+  // Per-client inbound rate limiting, tighter on the routes calling upstream APIs
+  const clientRateLimiter = new ClientRateLimiter({
+    groups: [
+      { name: 'upstream', paths: UPSTREAM_ROUTES, limit: parseInt(process.env.CLIENT_RATE_LIMIT_UPSTREAM) || 60 },
+      { name: 'default', limit: parseInt(process.env.CLIENT_RATE_LIMIT_DEFAULT) || 300 }
+    ],
+    onLimitReached: (req, res, retryAfterSeconds) => {
+      sendError(res, 429, `Too many requests. Please try again in ${retryAfterSeconds} seconds.`);
+    }
+  });
+
+  const apiV1Router = createApiV1Router({
+    groundDataService,
+    skyDataService,
+    seaDataService,
+    astroDataService,
+    layerDataService,
+    prewarmScheduler,
+    rateLimiter: clientRateLimiter,
+    config: { nodeEnv: config.nodeEnv, openWeatherApiConfigured: config.openWeatherApiConfigured }
+  });
+
+  app.use('/api/v1', apiV1Router);
+
+  // Unversioned routes from before /api/v1, kept as a deprecated alias of v1
+  app.use('/api', (req, res, next) => {
+    res.set({
+      Deprecation: 'true',
+      Link: `</api/v1${req.path}>; rel="successor-version"`
+    });
+    next();
+  }, apiV1Router);
+
+  // Catch-all: serve index.html for any non-API route (for SPA/PWA)
+  app.get('*', (req, res) => {
+    res.sendFile(path.join(publicDir, 'index.html'));
+  });
+
+  return app;
+}
@@ -0,0 +1,167 @@
+/**
+ * Bundled tide stations for offline harmonic tide prediction
+ *
+ * Amplitudes are in meters and phases are Greenwich (UTC) phase lags in
+ * degrees, with heights relative to mean sea level. Values are rounded
+ * approximations for display only and must not be used for navigation.
+ *
+ * waterTemperature holds the monthly mean sea surface temperature
+ * climatology in Celsius, January to December.
+ */
+export const TIDE_STATIONS = [
+  {
+    id: "us-new-york-battery",
+    name: "The Battery, New York",
+    country: "US",
+    lat: 40.7006,
+    lon: -74.0142,
+    meanLevel: 0,
+    constituents: {
+      M2: { amplitude: 0.666, phase: 227.4 },
+      S2: { amplitude: 0.131, phase: 253.8 },
+      N2: { amplitude: 0.15, phase: 208.4 },
+      K2: { amplitude: 0.036, phase: 252.0 },
+      K1: { amplitude: 0.098, phase: 99.6 },
+      O1: { amplitude: 0.052, phase: 103.9 },
+      P1: { amplitude: 0.032, phase: 101.0 },
+      M4: { amplitude: 0.03, phase: 6.0 }
+    },
+    waterTemperature: [4, 3, 5, 9, 14, 19, 23, 24, 22, 17, 12, 7]
+  },
+  {
+    id: "us-boston",
+    name: "Boston",
+    country: "US",
+    lat: 42.3539,
+    lon: -71.0503,
+    meanLevel: 0,
+    constituents: {
+      M2: { amplitude: 1.37, phase: 110.0 },
+      S2: { amplitude: 0.21, phase: 150.0 },
+      N2: { amplitude: 0.32, phase: 80.0 },
+      K2: { amplitude: 0.06, phase: 148.0 },
+      K1: { amplitude: 0.14, phase: 200.0 },
+      O1: { amplitude: 0.12, phase: 190.0 }
+    },
+    waterTemperature: [4, 3, 4, 7, 11, 15, 18, 19, 17, 13, 9, 6]
+  },
+  {
+    id: "us-san-francisco",
+    name: "San Francisco",
+    country: "US",
+    lat: 37.8063,
+    lon: -122.4659,
+    meanLevel: 0,
+    constituents: {
+      M2: { amplitude: 0.58, phase: 331.4 },
+      S2: { amplitude: 0.135, phase: 333.0 },
+      N2: { amplitude: 0.123, phase: 305.0 },
+      K2: { amplitude: 0.038, phase: 326.0 },
+      K1: { amplitude: 0.37, phase: 106.0 },
+      O1: { amplitude: 0.23, phase: 89.0 },
+      P1: { amplitude: 0.115, phase: 104.0 }
+    },
+    waterTemperature: [11, 11, 12, 12, 13, 14, 15, 16, 16, 15, 13, 12]
+  },
+  {
+    id: "us-honolulu",
+    name: "Honolulu",
+    country: "US",
+    lat: 21.3067,
+    lon: -157.867,
+    meanLevel: 0,
+    constituents: {
+      M2: { amplitude: 0.17, phase: 110.0 },
+      S2: { amplitude: 0.05, phase: 100.0 },
+      N2: { amplitude: 0.03, phase: 90.0 },
+      K1: { amplitude: 0.15, phase: 235.0 },
+      O1: { amplitude: 0.08, phase: 220.0 }
+    },
+    waterTemperature: [24, 24, 24, 25, 25, 26, 26, 27, 27, 27, 26, 25]
+  },
+  {
+    id: "fr-brest",
+    name: "Brest",
+    country: "FR",
+    lat: 48.3829,
+    lon: -4.4948,
+    meanLevel: 0,
+    constituents: {
+      M2: { amplitude: 2.05, phase: 141.0 },
+      S2: { amplitude: 0.75, phase: 182.0 },
+      N2: { amplitude: 0.41, phase: 122.0 },
+      K2: { amplitude: 0.21, phase: 178.0 },
+      K1: { amplitude: 0.065, phase: 77.0 },
+      O1: { amplitude: 0.067, phase: 328.0 },
+      M4: { amplitude: 0.05, phase: 120.0 }
+    },
+    waterTemperature: [11, 11, 11, 12, 13, 15, 17, 18, 17, 15, 13, 12]
+  },
+  {
+    id: "gb-dover",
+    name: "Dover",
+    country: "GB",
+    lat: 51.1144,
+    lon: 1.3225,
+    meanLevel: 0,
+    constituents: {
+      M2: { amplitude: 2.26, phase: 330.0 },
+      S2: { amplitude: 0.71, phase: 19.0 },
+      N2: { amplitude: 0.42, phase: 309.0 },
+      K2: { amplitude: 0.2, phase: 15.0 },
+      K1: { amplitude: 0.07, phase: 354.0 },
+      O1: { amplitude: 0.06, phase: 191.0 }
+    },
+    waterTemperature: [8, 7, 8, 9, 12, 15, 17, 18, 17, 15, 12, 10]
+  },
+  {
+    id: "es-santander",
+    name: "Santander",
+    country: "ES",
+    lat: 43.4614,
+    lon: -3.7913,
+    meanLevel: 0,
+    constituents: {
+      M2: { amplitude: 1.31, phase: 95.0 },
+      S2: { amplitude: 0.46, phase: 127.0 },
+      N2: { amplitude: 0.27, phase: 76.0 },
+      K2: { amplitude: 0.13, phase: 124.0 },
+      K1: { amplitude: 0.07, phase: 62.0 },
+      O1: { amplitude: 0.065, phase: 318.0 }
+    },
+    waterTemperature: [12, 12, 12, 13, 15, 18, 20, 21, 20, 17, 15, 13]
+  },
+  {
+    id: "pt-cascais",
+    name: "Cascais, Lisbon",
+    country: "PT",
+    lat: 38.6931,
+    lon: -9.4183,
+    meanLevel: 0,
+    constituents: {
+      M2: { amplitude: 1.02, phase: 62.0 },
+      S2: { amplitude: 0.36, phase: 90.0 },
+      N2: { amplitude: 0.22, phase: 44.0 },
+      K2: { amplitude: 0.1, phase: 88.0 },
+      K1: { amplitude: 0.07, phase: 50.0 },
+      O1: { amplitude: 0.06, phase: 310.0 }
+    },
+    waterTemperature: [15, 14, 15, 15, 16, 17, 18, 19, 19, 18, 17, 15]
+  },
+  {
+    id: "au-sydney-fort-denison",
+    name: "Fort Denison, Sydney",
+    country: "AU",
+    lat: -33.855,
+    lon: 151.2258,
+    meanLevel: 0,
+    constituents: {
+      M2: { amplitude: 0.505, phase: 250.0 },
+      S2: { amplitude: 0.12, phase: 290.0 },
+      N2: { amplitude: 0.11, phase: 230.0 },
+      K1: { amplitude: 0.17, phase: 100.0 },
+      O1: { amplitude: 0.1, phase: 80.0 }
+    },
+    waterTemperature: [23, 23, 23, 22, 20, 19, 18, 18, 18, 19, 20, 22]
+  }
+];
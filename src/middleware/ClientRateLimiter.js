@@ -0,0 +1,148 @@
+/**
+ * ClientRateLimiter - Inbound request limits per client
+ *
+ * Counts requests per client in fixed windows of `windowMs`, separately for
+ * each route group, so the routes that fan out to paid upstream APIs can get
+ * a tighter limit than cheap ones. Clients are identified by API key (the
+ * `X-API-Key` header) when the key is one of `apiKeys`, otherwise by IP:
+ * unknown keys are counted against their IP so rotating made-up keys does
+ * not reset the limit.
+ *
+ * Every response gets the standard `RateLimit-Policy`, `RateLimit-Limit`,
+ * `RateLimit-Remaining` and `RateLimit-Reset` headers; requests over the
+ * limit also get `Retry-After` and are answered by `onLimitReached`.
+ */
+export class ClientRateLimiter {
+  /**
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.groups] - Route groups as { name, limit, paths? }, checked in order;
+   *   a group without `paths` matches every request (default: one group of CLIENT_RATE_LIMIT_DEFAULT or 300)
+   * @param {number} [options.windowMs] - Window length (default: CLIENT_RATE_LIMIT_WINDOW or 1 minute)
+   * @param {Array<string>} [options.apiKeys] - Keys that get their own limit (default: comma-separated API_KEYS)
+   * @param {Function} [options.onLimitReached] - (req, res, retryAfterSeconds) => void, sends the 429 response
+   */
+  constructor(options = {}) {
+    this.windowMs = options.windowMs || parseInt(process.env.CLIENT_RATE_LIMIT_WINDOW) || 60000;
+    this.groups = options.groups || [
+      { name: 'default', limit: parseInt(process.env.CLIENT_RATE_LIMIT_DEFAULT) || 300 }
+    ];
+    this.apiKeys = new Set(options.apiKeys || (process.env.API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean));
+    this.onLimitReached = options.onLimitReached || ((req, res) => {
+      res.status(429).json({
+        status: 'error',
+        message: 'Too many requests. Please try again later.',
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    this.windows = new Map(); // "<group>|<client>" -> { count, resetAt }
+    this.nextSweep = 0;
+    this.limited = 0;
+  }
+
+  /**
+   * Finds the route group of a request path
+   * @param {string} path - Path relative to where the middleware is mounted, e.g. "/ground/current"
+   * @returns {Object|null} Matching group, or null when no group applies
+   */
+  getGroup(path) {
+    return this.groups.find(group => !group.paths || group.paths.includes(path)) || null;
+  }
+
+  /**
+   * Identifies the client of a request
+   * @param {Object} req - Express request
+   * @returns {string} "key:<api key>" for known API keys, otherwise "ip:<address>"
+   */
+  getClientKey(req) {
+    const apiKey = req.get?.('X-API-Key');
+    return apiKey && this.apiKeys.has(apiKey) ? `key:${apiKey}` : `ip:${req.ip}`;
+  }
+
+  /**
+   * Counts a request against a client's window
+   * @param {Object} group - Route group
+   * @param {string} clientKey - Client identifier
+   * @returns {{allowed: boolean, remaining: number, resetAt: number}}
+   */
+  hit(group, clientKey) {
+    const now = Date.now();
+    this.sweep(now);
+
+    const key = `${group.name}|${clientKey}`;
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + this.windowMs };
+      this.windows.set(key, window);
+    }
+
+    window.count++;
+
+    return {
+      allowed: window.count <= group.limit,
+      remaining: Math.max(0, group.limit - window.count),
+      resetAt: window.resetAt
+    };
+  }
+
+  /**
+   * Drops expired windows, at most once per window length
+   * @param {number} now - Current time in epoch milliseconds
+   */
+  sweep(now) {
+    if (now < this.nextSweep) {
+      return;
+    }
+
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) {
+        this.windows.delete(key);
+      }
+    }
+    this.nextSweep = now + this.windowMs;
+  }
+
+  /**
+   * Express middleware applying the limits
+   * @returns {Function} (req, res, next) => void
+   */
+  middleware() {
+    return (req, res, next) => {
+      const group = this.getGroup(req.path);
+      if (!group) {
+        return next();
+      }
+
+      const { allowed, remaining, resetAt } = this.hit(group, this.getClientKey(req));
+      const resetSeconds = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+
+      res.set({
+        'RateLimit-Policy': `${group.limit};w=${Math.ceil(this.windowMs / 1000)}`,
+        'RateLimit-Limit': String(group.limit),
+        'RateLimit-Remaining': String(remaining),
+        'RateLimit-Reset': String(resetSeconds)
+      });
+
+      if (!allowed) {
+        this.limited++;
+        res.set('Retry-After', String(resetSeconds));
+        return this.onLimitReached(req, res, resetSeconds);
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Get rate limiting statistics
+   */
+  getStats() {
+    return {
+      windowMs: this.windowMs,
+      groups: this.groups.map(({ name, limit }) => ({ name, limit })),
+      apiKeys: this.apiKeys.size,
+      activeWindows: this.windows.size,
+      limited: this.limited
+    };
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * AstroData - Data structure for Astro layer information
+ *
+ * Describes the sun and moon for a single point in time at a location.
+ * All event times are ISO 8601 strings, or null when the event does not
+ * happen on that day (e.g. no sunset during polar day).
+ */
+
+export class AstroData {
+  constructor({
+    timestamp,
+    location,
+    sun,
+    moon
+  }) {
+    this.timestamp = timestamp;
+    this.location = location;
+    this.sun = sun;
+    this.moon = moon;
+  }
+
+  /**
+   * Validates that the AstroData object has all required fields
+   * @returns {boolean} True if valid, false otherwise
+   */
+  isValid() {
+    return Boolean(
+      this.timestamp &&
+      this.location?.lat !== undefined &&
+      this.location?.lon !== undefined &&
+      this.sun?.elevation !== undefined &&
+      this.moon?.illumination !== undefined &&
+      this.moon?.phaseName
+    );
+  }
+
+  /**
+   * Creates an AstroData instance from a plain object
+   * @param {Object} data - Plain object with AstroData structure
+   * @returns {AstroData} New AstroData instance
+   */
+  static fromObject(data) {
+    return new AstroData(data);
+  }
+}
+
+/**
+ * Template for creating new AstroData objects
+ */
+export const createAstroDataTemplate = (overrides = {}) => ({
+  timestamp: new Date().toISOString(),
+  location: { lat: 40.7128, lon: -74.0060 },
+  sun: {
+    elevation: 45.2,
+    azimuth: 180.4,
+    period: "day", // "day", "civil-twilight", "nautical-twilight", "astronomical-twilight", "night"
+    sunrise: "2025-01-25T12:10:00.000Z",
+    sunset: "2025-01-25T22:11:00.000Z",
+    solarNoon: "2025-01-25T17:10:00.000Z",
+    dayLength: 601, // minutes
+    polarDay: false,
+    polarNight: false,
+    twilight: {
+      civil: { dawn: "2025-01-25T11:40:00.000Z", dusk: "2025-01-25T22:40:00.000Z" },
+      nautical: { dawn: "2025-01-25T11:08:00.000Z", dusk: "2025-01-25T23:12:00.000Z" },
+      astronomical: { dawn: "2025-01-25T10:37:00.000Z", dusk: "2025-01-25T23:43:00.000Z" }
+    }
+  },
+  moon: {
+    elevation: -12.3,
+    azimuth: 95.1,
+    moonrise: "2025-01-25T08:30:00.000Z",
+    moonset: "2025-01-25T19:02:00.000Z",
+    alwaysUp: false,
+    alwaysDown: false,
+    illumination: 0.21,
+    phase: 0.85,
+    phaseName: "Waning Crescent"
+  },
+  ...overrides
+});
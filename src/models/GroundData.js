@@ -1,8 +1,12 @@
+import { validateSchema, VALIDATION_CODES } from '../utils/SchemaValidator.js';
+
 /**
  * GroundData - Data structure for Ground layer weather information
  * 
  * This interface defines the standardized format for all Ground layer data,
  * ensuring consistency between mock data, API responses, and frontend consumption.
+ * GROUND_DATA_SCHEMA describes it in full; normalizeGroundData() brings
+ * provider output in line with it.
  */
 
 export class GroundData {
@@ -19,18 +23,11 @@ export class GroundData {
   }
 
   /**
-   * Validates that the GroundData object has all required fields
+   * Validates the GroundData object against GROUND_DATA_SCHEMA
    * @returns {boolean} True if valid, false otherwise
    */
   isValid() {
-    return (
-      this.timestamp &&
-      this.location?.lat !== undefined &&
-      this.location?.lon !== undefined &&
-      this.metrics?.temperature?.current !== undefined &&
-      this.metrics?.humidity !== undefined &&
-      this.metrics?.pressure?.current !== undefined
-    );
+    return validateGroundData(this).length === 0;
   }
 
   /**
@@ -55,22 +52,26 @@ export const DEFAULT_LOCATION = {
 
 /**
  * Template for creating new GroundData objects
+ * Values are metric (°C, hPa, m/s); the API converts them when other units are requested
  */
 export const createGroundDataTemplate = (overrides = {}) => ({
   timestamp: new Date().toISOString(),
   location: DEFAULT_LOCATION,
   metrics: {
-    temperature: {
+    temperature: { // Celsius
       current: 22.5,
       feelsLike: 24.1,
       min24h: 18.2,
       max24h: 26.8
     },
-    humidity: 68,
-    pressure: {
+    humidity: 68, // percent
+    pressure: { // hPa
       current: 1013.25,
       seaLevel: 1013.25,
       trend: "steady" // "rising", "falling", "steady"
+    },
+    wind: { // m/s
+      speed: 3.6
     }
   },
   conditions: {
@@ -79,3 +80,177 @@ export const createGroundDataTemplate = (overrides = {}) => ({
   },
   ...overrides
 });
+
+/**
+ * Pressure trend values
+ */
+export const PRESSURE_TRENDS = ['rising', 'falling', 'steady'];
+
+// Plausible ranges: beyond the recorded extremes on Earth, so anything
+// outside is a unit mix-up or a missing value sent as 0
+const temperature = { type: 'number', minimum: -90, maximum: 60 }; // °C
+const optionalTemperature = { ...temperature, type: ['number', 'null'] };
+
+/**
+ * JSON Schema of GroundData, as produced by providers (metric units)
+ */
+export const GROUND_DATA_SCHEMA = {
+  type: 'object',
+  required: ['timestamp', 'location', 'metrics'],
+  properties: {
+    timestamp: { type: 'string', format: 'date-time' },
+    location: {
+      type: 'object',
+      required: ['lat', 'lon'],
+      properties: {
+        lat: { type: 'number', minimum: -90, maximum: 90 },
+        lon: { type: 'number', minimum: -180, maximum: 180 },
+        city: { type: 'string' },
+        country: { type: 'string' },
+        timezone: { type: 'string' },
+        utcOffset: { type: 'integer', minimum: -12 * 3600, maximum: 14 * 3600 } // Seconds
+      }
+    },
+    metrics: {
+      type: 'object',
+      required: ['temperature', 'humidity', 'pressure'],
+      properties: {
+        temperature: {
+          type: 'object',
+          required: ['current'],
+          properties: {
+            current: temperature,
+            feelsLike: { type: ['number', 'null'], minimum: -100, maximum: 80 },
+            min24h: optionalTemperature,
+            max24h: optionalTemperature
+          }
+        },
+        humidity: { type: 'number', minimum: 0, maximum: 100 }, // Percent
+        pressure: {
+          type: 'object',
+          required: ['current'],
+          properties: {
+            current: { type: 'number', minimum: 300, maximum: 1100 }, // hPa, station level (up to ~9 km altitude)
+            seaLevel: { type: ['number', 'null'], minimum: 850, maximum: 1090 },
+            trend: { type: 'string', enum: PRESSURE_TRENDS }
+          }
+        },
+        wind: {
+          type: 'object',
+          properties: {
+            speed: { type: ['number', 'null'], minimum: 0, maximum: 120 } // m/s
+          }
+        }
+      }
+    },
+    conditions: {
+      type: 'object',
+      properties: {
+        description: { type: 'string' },
+        icon: { type: 'string' }
+      }
+    }
+  }
+};
+
+/**
+ * Fields brought into range instead of dropped: small overshoots there are
+ * rounding or sensor saturation, not garbage
+ */
+const CLAMPED_FIELDS = {
+  'metrics.humidity': [0, 100],
+  'metrics.wind.speed': [0, Infinity]
+};
+
+/**
+ * Validates a data point against GROUND_DATA_SCHEMA
+ * @param {Object} point - Data point
+ * @returns {Array<Object>} Errors as { field, code, message }, with field paths relative to the point
+ */
+export function validateGroundData(point) {
+  return validateSchema(GROUND_DATA_SCHEMA, point, { path: 'point' })
+    .map(error => ({ ...error, field: error.field.replace(/^point\.?/, '') }));
+}
+
+/**
+ * Normalizes a provider data point: out-of-range values of CLAMPED_FIELDS
+ * are clamped, other invalid optional fields are dropped, and the point is
+ * rejected when a required field is missing or invalid. Timestamps are
+ * rewritten as ISO 8601 UTC.
+ * @param {Object} point - Data point
+ * @returns {{data: Object|null, issues: Array<Object>}} Normalized point (null when rejected)
+ *   and what was done, as { field, code, message, action: "clamped"|"dropped"|"rejected"|"reformatted" }
+ */
+export function normalizeGroundData(point) {
+  const errors = validateGroundData(point);
+  if (errors.some(error => error.field === '')) {
+    return { data: null, issues: errors.map(error => ({ ...error, action: 'rejected' })) }; // Not an object at all
+  }
+
+  const isoTimestamp = !errors.some(error => error.field === 'timestamp') && new Date(point.timestamp).toISOString();
+
+  if (errors.length === 0 && isoTimestamp === point.timestamp) {
+    return { data: point, issues: [] };
+  }
+
+  const data = JSON.parse(JSON.stringify(point));
+  const issues = [];
+
+  for (const error of errors) {
+    const keys = error.field.split('.');
+    const value = keys.reduce((node, key) => node?.[key], data);
+    const range = CLAMPED_FIELDS[error.field];
+    const clamped = range && Number.isFinite(value) ? Math.min(range[1], Math.max(range[0], value)) : value;
+
+    if (clamped !== value) {
+      setPath(data, keys, clamped);
+      issues.push({ ...error, action: 'clamped' });
+      continue;
+    }
+
+    const droppable = findOptionalPath(keys);
+    if (!droppable) {
+      return { data: null, issues: [...issues, { ...error, action: 'rejected' }] };
+    }
+
+    deletePath(data, droppable);
+    issues.push({ ...error, action: 'dropped' });
+  }
+
+  if (isoTimestamp && isoTimestamp !== point.timestamp) {
+    data.timestamp = isoTimestamp;
+    issues.push({ field: 'timestamp', code: VALIDATION_CODES.INVALID, message: 'timestamp is not ISO 8601 UTC', action: 'reformatted' });
+  }
+
+  return { data, issues };
+}
+
+/**
+ * Finds the outermost optional field along a path, the one to drop when
+ * something inside it is invalid
+ * @returns {Array<string>|null} Path of that field, or null when every field on the way is required
+ */
+function findOptionalPath(keys) {
+  let schema = GROUND_DATA_SCHEMA;
+
+  for (let i = 0; i < keys.length; i++) {
+    if (!(schema.required || []).includes(keys[i])) {
+      return keys.slice(0, i + 1);
+    }
+    schema = schema.properties?.[keys[i]] || {};
+  }
+
+  return null;
+}
+
+function setPath(object, keys, value) {
+  const parent = keys.slice(0, -1).reduce((node, key) => node[key], object);
+  parent[keys[keys.length - 1]] = value;
+}
+
+function deletePath(object, keys) {
+  const parent = keys.slice(0, -1).reduce((node, key) => node?.[key], object);
+  if (parent) {
+    delete parent[keys[keys.length - 1]];
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * SeaData - Data structure for Sea layer information
+ *
+ * Tide level predicted from the nearest tide station's harmonic constants,
+ * plus climatological water temperature. Heights are in meters relative to
+ * mean sea level at the station.
+ */
+
+export class SeaData {
+  constructor({
+    timestamp,
+    location,
+    station,
+    tide,
+    waterTemperature
+  }) {
+    this.timestamp = timestamp;
+    this.location = location;
+    this.station = station;
+    this.tide = tide;
+    this.waterTemperature = waterTemperature;
+  }
+
+  /**
+   * Validates that the SeaData object has all required fields
+   * @returns {boolean} True if valid, false otherwise
+   */
+  isValid() {
+    return Boolean(
+      this.timestamp &&
+      this.location?.lat !== undefined &&
+      this.location?.lon !== undefined &&
+      this.station?.id &&
+      this.tide?.height !== undefined &&
+      this.tide?.trend
+    );
+  }
+
+  /**
+   * Creates a SeaData instance from a plain object
+   * @param {Object} data - Plain object with SeaData structure
+   * @returns {SeaData} New SeaData instance
+   */
+  static fromObject(data) {
+    return new SeaData(data);
+  }
+}
+
+/**
+ * Template for creating new SeaData objects
+ */
+export const createSeaDataTemplate = (overrides = {}) => ({
+  timestamp: new Date().toISOString(),
+  location: { lat: 40.7128, lon: -74.0060 },
+  station: {
+    id: "us-new-york-battery",
+    name: "The Battery, New York",
+    country: "US",
+    lat: 40.7006,
+    lon: -74.0142,
+    distanceKm: 1.5
+  },
+  tide: {
+    height: 0.42, // meters relative to mean sea level
+    datum: "MSL",
+    trend: "rising", // "rising", "falling"
+    nextHigh: { time: "2025-01-25T16:12:00.000Z", height: 0.81 },
+    nextLow: { time: "2025-01-25T22:30:00.000Z", height: -0.77 }
+  },
+  waterTemperature: {
+    current: 4.2, // Celsius
+    source: "climatology"
+  },
+  ...overrides
+});
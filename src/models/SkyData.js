@@ -0,0 +1,115 @@
+/**
+ * SkyData - Data structure for Sky layer weather information
+ *
+ * Standardized format for wind, cloud cover, precipitation and visibility,
+ * shared by mock data, API responses and frontend consumption.
+ */
+
+export class SkyData {
+  constructor({
+    timestamp,
+    location,
+    wind,
+    clouds,
+    precipitation,
+    visibility,
+    conditions
+  }) {
+    this.timestamp = timestamp;
+    this.location = location;
+    this.wind = wind;
+    this.clouds = clouds;
+    this.precipitation = precipitation;
+    this.visibility = visibility;
+    this.conditions = conditions;
+  }
+
+  /**
+   * Validates that the SkyData object has all required fields
+   * @returns {boolean} True if valid, false otherwise
+   */
+  isValid() {
+    return Boolean(
+      this.timestamp &&
+      this.location?.lat !== undefined &&
+      this.location?.lon !== undefined &&
+      this.wind?.speed !== undefined &&
+      this.clouds?.cover !== undefined &&
+      this.precipitation?.type
+    );
+  }
+
+  /**
+   * Creates a SkyData instance from a plain object
+   * @param {Object} data - Plain object with SkyData structure
+   * @returns {SkyData} New SkyData instance
+   */
+  static fromObject(data) {
+    return new SkyData(data);
+  }
+}
+
+/**
+ * Compass points used to describe wind direction
+ */
+export const CARDINAL_DIRECTIONS = [
+  'N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
+  'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'
+];
+
+/**
+ * Converts a wind direction in degrees to a compass point
+ * @param {number} degrees - Direction the wind blows from (0 = north)
+ * @returns {string|null} Compass point such as "NE", or null if unknown
+ */
+export const toCardinalDirection = (degrees) => {
+  if (degrees === undefined || degrees === null) {
+    return null;
+  }
+
+  const index = Math.round((((degrees % 360) + 360) % 360) / 22.5) % CARDINAL_DIRECTIONS.length;
+  return CARDINAL_DIRECTIONS[index];
+};
+
+/**
+ * Classifies precipitation from rain and snow amounts
+ * @param {number} rain - Rain amount in mm
+ * @param {number} snow - Snow amount in mm
+ * @returns {string} "none", "rain", "snow" or "mixed"
+ */
+export const getPrecipitationType = (rain, snow) => {
+  if (rain > 0 && snow > 0) return "mixed";
+  if (snow > 0) return "snow";
+  if (rain > 0) return "rain";
+  return "none";
+};
+
+/**
+ * Template for creating new SkyData objects
+ */
+export const createSkyDataTemplate = (overrides = {}) => ({
+  timestamp: new Date().toISOString(),
+  location: { lat: 40.7128, lon: -74.0060, city: "New York", country: "US" },
+  wind: {
+    speed: 4.1, // m/s
+    gust: 6.3, // m/s, null when not reported
+    direction: 230, // degrees, meteorological (wind blowing from)
+    cardinal: "SW"
+  },
+  clouds: {
+    cover: 40 // percent
+  },
+  precipitation: {
+    rain: 0, // mm over periodHours
+    snow: 0, // mm over periodHours
+    periodHours: 1,
+    probability: null, // 0-1, forecasts only
+    type: "none" // "none", "rain", "snow", "mixed"
+  },
+  visibility: 10000, // meters
+  conditions: {
+    description: "Scattered clouds",
+    icon: "03d"
+  },
+  ...overrides
+});
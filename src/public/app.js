@@ -1,12 +1,14 @@
 // Simplified app for MVP - removing over-engineered Phase 1.5 complexity
 import { Timeline } from './components/Timeline.js';
 import { CounterAnimation, TextTransition } from './utils/AnimationUtils.js';
+import { loadUnitSystem, saveUnitSystem, nextUnitSystem, getPressureDecimals } from './utils/UnitPreference.js';
 
 class WeatherApp {
   constructor() {
     this.currentLocation = { lat: 40.7128, lon: -74.0060 }; // New York default
     this.timeline = null;
     this.groundData = null;
+    this.units = loadUnitSystem();
     
     // Simple animation controllers
     this.animations = {
@@ -33,6 +35,9 @@ class WeatherApp {
       // Initialize animations
       this.initializeAnimations();
       
+      // Initialize units toggle
+      this.initializeUnitsToggle();
+      
       // Load initial weather data
       await this.loadCurrentWeather();
       
@@ -87,7 +92,7 @@ class WeatherApp {
   async getLocationName() {
     try {
       // Use reverse geocoding to get location name
-      const response = await fetch(`/api/ground/current?lat=${this.currentLocation.lat}&lon=${this.currentLocation.lon}`);
+      const response = await fetch(`/api/v1/ground/current?lat=${this.currentLocation.lat}&lon=${this.currentLocation.lon}&units=${this.units}`);
       
       if (response.ok) {
         const result = await response.json();
@@ -187,9 +192,44 @@ class WeatherApp {
     console.log('Animation controllers initialized');
   }
 
+  initializeUnitsToggle() {
+    const toggle = document.getElementById('units-toggle');
+    if (!toggle) {
+      return;
+    }
+
+    this.updateUnitsToggle(toggle);
+    toggle.addEventListener('click', async () => {
+      this.units = nextUnitSystem(this.units);
+      saveUnitSystem(this.units);
+      this.updateUnitsToggle(toggle);
+      await this.loadCurrentWeather();
+    });
+  }
+
+  updateUnitsToggle(toggle) {
+    toggle.textContent = this.units === 'imperial' ? '°F' : '°C';
+    toggle.setAttribute('aria-label', `Units: ${this.units}. Switch to ${nextUnitSystem(this.units)}`);
+  }
+
+  applyUnitLabels(labels) {
+    if (!labels) {
+      return;
+    }
+
+    const pressureUnit = document.querySelector('#pressure-display .metric-details');
+    if (pressureUnit) {
+      pressureUnit.textContent = labels.pressure;
+    }
+
+    if (this.animations.pressure) {
+      this.animations.pressure.setFormat({ decimals: getPressureDecimals(labels.pressure) });
+    }
+  }
+
   async loadCurrentWeather() {
     try {
-      const response = await fetch(`/api/ground/current?lat=${this.currentLocation.lat}&lon=${this.currentLocation.lon}`);
+      const response = await fetch(`/api/v1/ground/current?lat=${this.currentLocation.lat}&lon=${this.currentLocation.lon}&units=${this.units}`);
       
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: Failed to fetch weather data`);
@@ -202,6 +242,7 @@ class WeatherApp {
       }
       
       this.groundData = result.data;
+      this.applyUnitLabels(result.meta?.units);
       
       // Set initial values without animation
       this.setInitialValues(this.groundData);
@@ -235,7 +276,7 @@ class WeatherApp {
     }
     
     if (data.metrics?.pressure?.current && this.animations.pressure) {
-      this.animations.pressure.setValue(Math.round(data.metrics.pressure.current));
+      this.animations.pressure.setValue(data.metrics.pressure.current);
     }
     
     if (data.metrics?.temperature?.feelsLike && this.animations.temperatureDetails) {
@@ -247,7 +288,7 @@ class WeatherApp {
   async loadTimelineData(timestamp) {
     try {
       // Simple API call - let the backend handle caching
-      const response = await fetch(`/api/ground/timeline?lat=${this.currentLocation.lat}&lon=${this.currentLocation.lon}&hours=48`);
+      const response = await fetch(`/api/v1/ground/timeline?lat=${this.currentLocation.lat}&lon=${this.currentLocation.lon}&hours=48&resolution=1h&units=${this.units}`);
       
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: Failed to fetch timeline data`);
@@ -307,7 +348,7 @@ class WeatherApp {
 
     // Animate pressure value
     if (data.metrics?.pressure?.current && this.animations.pressure) {
-      this.animations.pressure.animateTo(Math.round(data.metrics.pressure.current));
+      this.animations.pressure.animateTo(data.metrics.pressure.current);
     }
   }
 
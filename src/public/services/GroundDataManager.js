@@ -170,7 +170,7 @@ export class GroundDataManager {
     
     if (isCurrentTime) {
       // Fetch current weather
-      const response = await fetch(`/api/ground/current?lat=${lat}&lon=${lon}`);
+      const response = await fetch(`/api/v1/ground/current?lat=${lat}&lon=${lon}`);
       
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: Failed to fetch current weather`);
@@ -187,7 +187,7 @@ export class GroundDataManager {
     } else {
       // Fetch timeline data (includes forecast and historical simulation)
       const hoursFromNow = Math.round((timestamp.getTime() - now.getTime()) / (1000 * 60 * 60));
-      const response = await fetch(`/api/ground/timeline?lat=${lat}&lon=${lon}&hours=24&center=${hoursFromNow}`);
+      const response = await fetch(`/api/v1/ground/timeline?lat=${lat}&lon=${lon}&hours=24&center=${hoursFromNow}`);
       
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: Failed to fetch timeline data`);
@@ -78,6 +78,16 @@ export class CounterAnimation {
     this.updateDisplay(this.currentValue);
   }
 
+  /**
+   * Change the number format and redraw the current value
+   */
+  setFormat({ decimals = this.decimals, suffix = this.suffix, prefix = this.prefix } = {}) {
+    this.decimals = decimals;
+    this.suffix = suffix;
+    this.prefix = prefix;
+    this.updateDisplay(this.currentValue);
+  }
+
   /**
    * Easing function for smooth animation
    */
@@ -0,0 +1,49 @@
+// Unit system preference, kept in localStorage and sent to the API as `units`
+
+const STORAGE_KEY = 'weather.units';
+
+export const UNIT_SYSTEMS = ['metric', 'imperial'];
+
+// Decimals to show per pressure unit label, as returned in meta.units
+const PRESSURE_DECIMALS = { hPa: 0, kPa: 1, inHg: 2, mmHg: 0 };
+
+/**
+ * Load the saved unit system
+ * @returns {string} "metric" or "imperial" (default: metric)
+ */
+export function loadUnitSystem() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return UNIT_SYSTEMS.includes(saved) ? saved : 'metric';
+  } catch {
+    return 'metric';
+  }
+}
+
+/**
+ * Save the unit system
+ * @param {string} system - "metric" or "imperial"
+ */
+export function saveUnitSystem(system) {
+  try {
+    localStorage.setItem(STORAGE_KEY, system);
+  } catch {
+    // Storage can be unavailable (private mode); the choice lasts for this page only
+  }
+}
+
+/**
+ * The other unit system, for the toggle
+ */
+export function nextUnitSystem(system) {
+  return system === 'imperial' ? 'metric' : 'imperial';
+}
+
+/**
+ * Decimals to display for a pressure unit
+ * @param {string} label - Pressure unit label, e.g. "inHg"
+ * @returns {number}
+ */
+export function getPressureDecimals(label) {
+  return PRESSURE_DECIMALS[label] ?? 0;
+}
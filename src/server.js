@@ -1,8 +1,15 @@
-import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
 import { GroundDataService } from './services/GroundDataService.js';
+import { SkyDataService } from './services/SkyDataService.js';
+import { SeaDataService } from './services/SeaDataService.js';
+import { AstroDataService } from './services/AstroDataService.js';
+import { LayerDataService } from './services/LayerDataService.js';
+import { ObservationArchive } from './services/ObservationArchive.js';
+import { ServerCache } from './services/ServerCache.js';
+import { PrewarmScheduler } from './services/PrewarmScheduler.js';
+import { createApp } from './app.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -26,7 +33,6 @@ function loadEnvironment() {
 
 loadEnvironment();
 
-const app = express();
 const PORT = process.env.PORT || 8080;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 const OPENWEATHER_API_KEY = process.env.OPENWEATHER_API_KEY || null;
@@ -38,187 +44,38 @@ if (!OPENWEATHER_API_KEY && NODE_ENV !== 'test') {
   console.warn('   Using mock data only. Add OPENWEATHER_API_KEY to .env file for real weather data.');
 }
 
-// Initialize Ground Data Service
-const groundDataService = new GroundDataService();
-
-// Periodic cache cleanup (every 15 minutes)
-setInterval(() => {
-  groundDataService.cleanup();
-}, 15 * 60 * 1000);
-
-app.use(express.static(path.join(__dirname, 'public')));
-app.use(express.json());
-
-// Ground Layer API Endpoints
-
-/**
- * GET /api/ground/current - Current weather conditions
- * Query params: lat, lon (optional, defaults to New York)
- */
-app.get('/api/ground/current', async (req, res) => {
-  try {
-    const lat = parseFloat(req.query.lat) || 40.7128;
-    const lon = parseFloat(req.query.lon) || -74.0060;
-    
-    const data = await groundDataService.getCurrentConditions(lat, lon);
-    
-    res.json({
-      status: 'success',
-      data: data,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    res.status(400).json({
-      status: 'error',
-      message: error.message,
-      timestamp: new Date().toISOString()
-    });
-  }
-});
-
-/**
- * GET /api/ground/timeline - Timeline weather data
- * Query params: lat, lon, hours (optional)
- */
-app.get('/api/ground/timeline', async (req, res) => {
-  try {
-    const lat = parseFloat(req.query.lat) || 40.7128;
-    const lon = parseFloat(req.query.lon) || -74.0060;
-    const hours = parseInt(req.query.hours) || 24;
-    
-    const data = await groundDataService.getTimelineData(lat, lon, hours);
-    
-    res.json({
-      status: 'success',
-      data: data,
-      meta: {
-        location: { lat, lon },
-        hours: hours,
-        dataPoints: data.length
-      },
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    res.status(400).json({
-      status: 'error',
-      message: error.message,
-      timestamp: new Date().toISOString()
-    });
-  }
-});
-
-/**
- * GET /api/ground/location - Location validation and data
- * Query params: lat, lon, city (city not implemented in MVP)
- */
-app.get('/api/ground/location', async (req, res) => {
-  try {
-    const lat = parseFloat(req.query.lat);
-    const lon = parseFloat(req.query.lon);
-    
-    if (isNaN(lat) || isNaN(lon)) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Valid latitude and longitude required',
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    const isValid = groundDataService.validateLocation(lat, lon);
-    
-    if (!isValid) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Invalid coordinates. Latitude must be -90 to 90, longitude -180 to 180',
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    res.json({
-      status: 'success',
-      data: {
-        lat,
-        lon,
-        valid: true,
-        message: 'Coordinates are valid'
-      },
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    res.status(500).json({
-      status: 'error',
-      message: error.message,
-      timestamp: new Date().toISOString()
-    });
-  }
+// Initialize layer data services around one shared cache
+const serverCache = new ServerCache({ ttlMs: CACHE_DURATION });
+const groundDataService = new GroundDataService({
+  cache: serverCache,
+  observationStore: new ObservationArchive() // Persist observations so history survives restarts
 });
-
-/**
- * GET /api/ground/stats - Service statistics and health
- */
-app.get('/api/ground/stats', (req, res) => {
-  try {
-    const stats = groundDataService.getStats();
-    
-    res.json({
-      status: 'success',
-      data: {
-        service: stats,
-        server: {
-          uptime: process.uptime(),
-          memory: process.memoryUsage(),
-          nodeVersion: process.version,
-          environment: NODE_ENV,
-          openWeatherApiConfigured: !!OPENWEATHER_API_KEY
-        }
-      },
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    res.status(500).json({
-      status: 'error',
-      message: error.message,
-      timestamp: new Date().toISOString()
-    });
-  }
+const skyDataService = new SkyDataService({
+  registry: groundDataService.registry, // Share providers and their cached responses
+  getCircuitBreaker: name => groundDataService.getCircuitBreaker(name) // Same upstreams, same health
 });
-
-/**
- * POST /api/ground/mode - Switch between real API and mock data (development only)
- */
-app.post('/api/ground/mode', (req, res) => {
-  if (NODE_ENV === 'production') {
-    return res.status(403).json({
-      status: 'error',
-      message: 'API mode switching not allowed in production',
-      timestamp: new Date().toISOString()
-    });
-  }
-
-  try {
-    const { useRealAPI } = req.body;
-    groundDataService.setAPIMode(useRealAPI);
-    
-    res.json({
-      status: 'success',
-      data: {
-        mode: useRealAPI ? 'real-api' : 'mock',
-        message: `Switched to ${useRealAPI ? 'real API' : 'mock data'} mode`
-      },
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    res.status(400).json({
-      status: 'error',
-      message: error.message,
-      timestamp: new Date().toISOString()
-    });
-  }
+const seaDataService = new SeaDataService({ cache: serverCache });
+const astroDataService = new AstroDataService({ cache: serverCache });
+const layerDataService = new LayerDataService({
+  groundDataService,
+  skyDataService,
+  seaDataService,
+  astroDataService
 });
 
-// Catch-all: serve index.html for any non-API route (for SPA/PWA)
-app.get('*', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+// Scheduled pre-warming of popular locations and periodic cache cleanup
+const prewarmScheduler = new PrewarmScheduler({ groundDataService, skyDataService });
+prewarmScheduler.start();
+
+const app = createApp({
+  groundDataService,
+  skyDataService,
+  seaDataService,
+  astroDataService,
+  layerDataService,
+  prewarmScheduler,
+  publicDir: path.join(__dirname, 'public'),
+  config: { nodeEnv: NODE_ENV, openWeatherApiConfigured: !!OPENWEATHER_API_KEY }
 });
 
 app.listen(PORT, () => {
@@ -226,11 +83,24 @@ app.listen(PORT, () => {
   console.log(`Environment: ${NODE_ENV}`);
   console.log(`OpenWeatherMap API: ${OPENWEATHER_API_KEY ? '✅ Configured' : '❌ Not configured (using mock data)'}`);
   console.log('Ground Layer API endpoints:');
-  console.log('  GET /api/ground/current');
-  console.log('  GET /api/ground/timeline');
-  console.log('  GET /api/ground/location');
-  console.log('  GET /api/ground/stats');
+  console.log('  GET /api/v1/ground/current');
+  console.log('  GET /api/v1/ground/timeline');
+  console.log('  GET /api/v1/ground/history');
+  console.log('  GET /api/v1/ground/location');
+  console.log('  GET /api/v1/ground/stats');
   if (NODE_ENV !== 'production') {
-    console.log('  POST /api/ground/mode (dev only)');
+    console.log(`  POST /api/v1/ground/mode (dev only, providers: ${groundDataService.registry.names().join(', ')})`);
   }
+  console.log('Sky Layer API endpoints:');
+  console.log('  GET /api/v1/sky/current');
+  console.log('  GET /api/v1/sky/timeline');
+  console.log('Sea Layer API endpoints:');
+  console.log('  GET /api/v1/sea/current');
+  console.log('  GET /api/v1/sea/timeline');
+  console.log('Astro Layer API endpoints:');
+  console.log('  GET /api/v1/astro/current');
+  console.log('  GET /api/v1/astro/timeline');
+  console.log('Multi-layer API endpoint:');
+  console.log('  GET /api/v1/layers');
+  console.log('API contract: GET /api/v1/openapi.json (unversioned /api/* routes are a deprecated alias)');
 });
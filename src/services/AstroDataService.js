@@ -0,0 +1,177 @@
+import { AstroData } from '../models/AstroData.js';
+import { isValidLocation } from '../utils/GeoUtils.js';
+import { ServerCache } from './ServerCache.js';
+import {
+  getSunPosition,
+  getSunTimes,
+  getDaylightPeriod,
+  getMoonPosition,
+  getMoonIllumination,
+  getMoonTimes,
+  getLocalDayStart
+} from '../utils/AstronomyUtils.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * AstroDataService - Sun and moon ephemeris for the Astro layer
+ *
+ * Computes sunrise/sunset, twilight, solar elevation, moonrise/moonset and
+ * moon phase locally from coordinates and time. No external API is involved,
+ * so results are deterministic and always available.
+ */
+export class AstroDataService {
+  /**
+   * @param {Object} [options]
+   * @param {ServerCache} [options.cache] - Shared server cache for computed timelines (default: a private one)
+   */
+  constructor(options = {}) {
+    this.cache = options.cache || new ServerCache();
+  }
+
+  /**
+   * Gets the astro conditions for a moment in time
+   * @param {number} lat - Latitude (default: New York)
+   * @param {number} lon - Longitude (default: New York)
+   * @param {Date} date - Time of observation (default: now)
+   * @returns {Promise<AstroData>} Astro data for the given time
+   */
+  async getCurrentConditions(lat = 40.7128, lon = -74.0060, date = new Date()) {
+    if (!this.validateLocation(lat, lon)) {
+      throw new Error('Invalid coordinates provided');
+    }
+
+    return this.calculateDataPoint(lat, lon, date, new Map());
+  }
+
+  /**
+   * Gets hourly astro data centred on the current hour
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {number} hours - Number of hours to include
+   * @returns {Promise<Array<AstroData>>} Array of astro data points
+   */
+  async getTimelineData(lat = 40.7128, lon = -74.0060, hours = 24) {
+    if (!this.validateLocation(lat, lon)) {
+      throw new Error('Invalid coordinates provided');
+    }
+
+    if (hours < 1 || hours > 168) { // Limit to 1 week max
+      throw new Error('Hours must be between 1 and 168');
+    }
+
+    const currentHour = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+    const cacheKey = `astro:timeline_${lat.toFixed(4)}_${lon.toFixed(4)}_${hours}_${currentHour}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    const startHour = Math.floor(-hours / 2);
+    const endHour = Math.ceil(hours / 2);
+    const dayCache = new Map(); // Rise/set events are shared by every hour of a day
+    const dataPoints = [];
+
+    for (let hour = startHour; hour <= endHour; hour++) {
+      const date = new Date(currentHour + hour * HOUR_MS);
+      dataPoints.push(this.calculateDataPoint(lat, lon, date, dayCache));
+    }
+
+    this.cache.set(cacheKey, dataPoints);
+    return dataPoints;
+  }
+
+  /**
+   * Builds a single astro data point
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {Date} date - Time of observation
+   * @param {Map} dayCache - Per-day event cache keyed by local day start
+   * @returns {AstroData} Complete astro data point
+   */
+  calculateDataPoint(lat, lon, date, dayCache) {
+    const dayStart = getLocalDayStart(date, lon);
+    const dayKey = dayStart.getTime();
+
+    if (!dayCache.has(dayKey)) {
+      dayCache.set(dayKey, this.calculateDailyEvents(lat, lon, dayStart));
+    }
+
+    const daily = dayCache.get(dayKey);
+    const sunPosition = getSunPosition(date, lat, lon);
+    const moonPosition = getMoonPosition(date, lat, lon);
+    const illumination = getMoonIllumination(date);
+
+    return new AstroData({
+      timestamp: date.toISOString(),
+      location: { lat, lon },
+      sun: {
+        elevation: sunPosition.elevation,
+        azimuth: sunPosition.azimuth,
+        period: getDaylightPeriod(sunPosition.elevation),
+        ...daily.sun
+      },
+      moon: {
+        elevation: moonPosition.elevation,
+        azimuth: moonPosition.azimuth,
+        ...daily.moon,
+        ...illumination
+      }
+    });
+  }
+
+  /**
+   * Calculates the rise/set events for one local day
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {Date} dayStart - Local midnight of the day
+   * @returns {Object} Sun and moon daily events with ISO timestamps
+   */
+  calculateDailyEvents(lat, lon, dayStart) {
+    const midday = new Date(dayStart.getTime() + 12 * HOUR_MS);
+    const sunTimes = getSunTimes(midday, lat, lon);
+    const moonTimes = getMoonTimes(dayStart, lat, lon);
+    const noonElevation = getSunPosition(sunTimes.solarNoon, lat, lon).elevation;
+    const toISO = (date) => date ? date.toISOString() : null;
+
+    const hasSunrise = sunTimes.sunrise !== null;
+    let dayLength = 0;
+    if (hasSunrise) {
+      dayLength = Math.round((sunTimes.sunset - sunTimes.sunrise) / 60000);
+    } else if (noonElevation > 0) {
+      dayLength = 24 * 60;
+    }
+
+    return {
+      sun: {
+        sunrise: toISO(sunTimes.sunrise),
+        sunset: toISO(sunTimes.sunset),
+        solarNoon: toISO(sunTimes.solarNoon),
+        dayLength,
+        polarDay: !hasSunrise && noonElevation > 0,
+        polarNight: !hasSunrise && noonElevation <= 0,
+        twilight: {
+          civil: { dawn: toISO(sunTimes.civilDawn), dusk: toISO(sunTimes.civilDusk) },
+          nautical: { dawn: toISO(sunTimes.nauticalDawn), dusk: toISO(sunTimes.nauticalDusk) },
+          astronomical: { dawn: toISO(sunTimes.astronomicalDawn), dusk: toISO(sunTimes.astronomicalDusk) }
+        }
+      },
+      moon: {
+        moonrise: toISO(moonTimes.moonrise),
+        moonset: toISO(moonTimes.moonset),
+        alwaysUp: moonTimes.alwaysUp,
+        alwaysDown: moonTimes.alwaysDown
+      }
+    };
+  }
+
+  /**
+   * Validates location coordinates
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {boolean} True if valid coordinates
+   */
+  validateLocation(lat, lon) {
+    return isValidLocation(lat, lon);
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * Circuit breaker states
+ */
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed', // Requests flow normally
+  OPEN: 'open', // Requests are rejected until the reset timeout elapses
+  HALF_OPEN: 'half-open' // A single probe request decides whether to close again
+};
+
+/**
+ * CircuitBreaker - Stops calling a failing dependency for a while
+ *
+ * After `failureThreshold` consecutive failures the circuit opens and calls
+ * are skipped. Once `resetTimeoutMs` has passed, one probe call is let
+ * through (half-open): success closes the circuit, failure re-opens it.
+ * Errors that `isFailure` rejects (e.g. local rate limiting) are passed on
+ * without counting against the dependency.
+ */
+export class CircuitBreaker {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.name] - Name used in logs and errors
+   * @param {number} [options.failureThreshold] - Consecutive failures before opening (default: 3)
+   * @param {number} [options.resetTimeoutMs] - Time to wait before probing (default: 60 seconds)
+   * @param {Function} [options.isFailure] - (error) => whether the error counts as a failure (default: every error)
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'circuit';
+    this.failureThreshold = options.failureThreshold || 3;
+    this.resetTimeoutMs = options.resetTimeoutMs || 60000;
+    this.isFailure = options.isFailure || (() => true);
+
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.lastError = null;
+  }
+
+  /**
+   * Checks whether a call may go through, moving open circuits to
+   * half-open once the reset timeout has elapsed
+   * @returns {boolean} True if the call is allowed
+   */
+  canRequest() {
+    if (this.state === CIRCUIT_STATES.CLOSED) {
+      return true;
+    }
+
+    if (this.state === CIRCUIT_STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = CIRCUIT_STATES.HALF_OPEN;
+      console.log(`CircuitBreaker: '${this.name}' half-open, probing`);
+    }
+
+    return this.state === CIRCUIT_STATES.HALF_OPEN && !this.probeInFlight;
+  }
+
+  /**
+   * Runs a call through the breaker
+   * @param {Function} fn - Async function to call
+   * @returns {Promise<*>} Result of the call
+   */
+  async execute(fn) {
+    if (!this.canRequest()) {
+      throw new Error(`Circuit open for '${this.name}'`);
+    }
+
+    const isProbe = this.state === CIRCUIT_STATES.HALF_OPEN;
+    if (isProbe) {
+      this.probeInFlight = true;
+    }
+
+    try {
+      const result = await fn();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      if (this.isFailure(error)) {
+        this.recordFailure(error);
+      }
+      throw error;
+    } finally {
+      if (isProbe) {
+        this.probeInFlight = false;
+      }
+    }
+  }
+
+  /**
+   * Records a successful call, closing the circuit
+   */
+  recordSuccess() {
+    if (this.state !== CIRCUIT_STATES.CLOSED) {
+      console.log(`CircuitBreaker: '${this.name}' closed`);
+    }
+
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Records a failed call, opening the circuit when the threshold is reached
+   * @param {Error} [error] - The failure
+   */
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error?.message || null;
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      if (this.state !== CIRCUIT_STATES.OPEN) {
+        console.warn(`CircuitBreaker: '${this.name}' opened after ${this.failures} failure(s)`);
+      }
+      this.state = CIRCUIT_STATES.OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Get breaker statistics
+   */
+  getStats() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      lastError: this.lastError,
+      nextAttemptAt: this.state === CIRCUIT_STATES.OPEN
+        ? new Date(this.openedAt + this.resetTimeoutMs).toISOString()
+        : null
+    };
+  }
+}
@@ -1,60 +1,310 @@
-import { MockDataService } from './MockDataService.js';
-import { OpenWeatherService } from './OpenWeatherService.js';
+import { ProviderRegistry } from './ProviderRegistry.js';
+import { CircuitBreaker } from './CircuitBreaker.js';
+import { ObservationStore } from './ObservationStore.js';
+import { ServerCache } from './ServerCache.js';
+import { RATE_LIMITED } from './TokenBucketLimiter.js';
+import { normalizeGroundData } from '../models/GroundData.js';
+import { isValidLocation } from '../utils/GeoUtils.js';
+import { withDerivedMetrics } from '../utils/DerivedMetrics.js';
+import { withPressureTrends, TENDENCY_LOOKBACK_MS } from '../utils/PressureTrend.js';
+import { withRollingExtremes, EXTREMES_WINDOW_MS } from '../utils/TemperatureExtremes.js';
+import {
+  PROVENANCE_TYPES,
+  getHourlyTimestamps,
+  findUncoveredTimestamps,
+  fillGapsByInterpolation,
+  MAX_INTERPOLATION_GAP_MS,
+  resampleSeries,
+  RESOLUTIONS
+} from '../utils/TimeSeriesUtils.js';
+
+/**
+ * Error code of provider responses rejected by normalization
+ */
+export const INVALID_DATA = 'INVALID_DATA';
+
+// Errors raised on our side of the provider call, not by the upstream
+const LOCAL_ERROR_CODES = [RATE_LIMITED, INVALID_DATA];
+
+/**
+ * Whether an error counts against a provider's circuit breaker: only
+ * upstream errors do, not local rate limiting or rejected data
+ * @param {Error} error - Error thrown by a provider call
+ * @returns {boolean}
+ */
+export function isProviderFailure(error) {
+  return !LOCAL_ERROR_CODES.includes(error?.code);
+}
 
 /**
  * GroundDataService - Abstraction layer for weather data
- * 
- * Provides a consistent interface for fetching Ground layer data
- * that can switch between mock data and real API implementations.
- * This allows frontend development with mock data before API integration.
+ *
+ * Provides a consistent interface for fetching Ground layer data from any
+ * provider registered in the ProviderRegistry. By default the highest
+ * priority available provider is used; a specific provider can be selected
+ * with setProvider() (e.g. mock data for frontend development).
+ *
+ * When a provider fails, the next one in priority order is tried. Each
+ * provider sits behind a circuit breaker so a failing upstream is skipped
+ * until it recovers. Results carry their `source`, a `degraded` flag and a
+ * `stale` flag when any point was served from an expired cache entry.
+ *
+ * Every data point carries `provenance: { provider, type }` (observed,
+ * forecast, interpolated or synthetic). The type follows from the call:
+ * current conditions and history are observed, timeline steps are forecast
+ * even once their time has passed, and mock data is synthetic. Points a
+ * provider tags itself (the current observation at the start of an
+ * OpenWeatherMap timeline) keep their provenance. In strict mode (the default) gaps in
+ * a real timeline are filled by interpolating between real points, up to a
+ * maximum gap beyond which hours stay missing; with
+ * strict mode off they are padded with points from the next providers.
+ *
+ * Provider output is normalized against the GroundData schema before use:
+ * implausible values are clamped or dropped, and points missing required
+ * values are rejected. A response with nothing usable fails over to the next
+ * provider. Corrections are logged and counted per provider in the stats.
+ *
+ * Only upstream errors count against a provider's circuit breaker: requests
+ * held back by the provider's own rate limiter and responses rejected by
+ * normalization fail over without opening the circuit.
+ *
+ * Current conditions and history are recorded in an ObservationStore. The
+ * past half of a timeline is served from those recordings, topped up from
+ * the first provider offering getHistory() when hours are missing.
+ *
+ * Every point leaving the service carries derived comfort metrics (dew
+ * point, heat index, wind chill, ...), a pressure tendency computed from
+ * the pressure 3 hours earlier and temperature extremes over the 24 hours
+ * before it, using the same series and recorded observations. `feelsLike`,
+ * `pressure.trend` and `min24h`/`max24h` are recomputed rather than taken
+ * from the provider.
  */
 export class GroundDataService {
-  constructor() {
-    this.mockService = new MockDataService();
-    this.openWeatherService = new OpenWeatherService();
-    this.useRealAPI = !!process.env.OPENWEATHER_API_KEY; // Auto-enable if API key is present
-    
-    if (this.useRealAPI) {
-      console.log('GroundDataService: Real API mode enabled with OpenWeatherMap');
+  /**
+   * @param {Object} [options]
+   * @param {ServerCache} [options.cache] - Cache shared by the providers (default: from CACHE_DURATION)
+   * @param {ProviderRegistry} [options.registry] - Provider registry (default: from WEATHER_PROVIDERS)
+   * @param {Object} [options.circuitBreaker] - Circuit breaker options (default: from environment)
+   * @param {ObservationStore} [options.observationStore] - Store for recorded observations (default: in-memory)
+   * @param {boolean} [options.strict] - Never pad timelines with other providers' data (default: GROUND_STRICT_MODE, on unless "false")
+   * @param {number} [options.maxInterpolationGapHours] - Longest gap between real points strict mode interpolates
+   *   across; longer gaps stay missing (default: GROUND_MAX_INTERPOLATION_GAP_HOURS or 6)
+   */
+  constructor(options = {}) {
+    this.cache = options.cache || new ServerCache();
+    this.registry = options.registry || ProviderRegistry.fromConfig(undefined, undefined, { cache: this.cache });
+    this.selectedProvider = null; // null = automatic (highest priority available)
+    this.strict = options.strict ?? process.env.GROUND_STRICT_MODE !== 'false';
+    const maxGapHours = options.maxInterpolationGapHours ?? parseFloat(process.env.GROUND_MAX_INTERPOLATION_GAP_HOURS);
+    this.maxInterpolationGapMs = Number.isFinite(maxGapHours) ? maxGapHours * 60 * 60 * 1000 : MAX_INTERPOLATION_GAP_MS;
+    this.observationStore = options.observationStore || new ObservationStore();
+    this.circuitBreakers = new Map();
+    this.normalization = new Map(); // provider name -> { points, corrected, rejected }
+    this.circuitBreakerOptions = options.circuitBreaker || {
+      failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 3,
+      resetTimeoutMs: parseInt(process.env.CIRCUIT_RESET_TIMEOUT) || 60000
+    };
+
+    const provider = this.getActiveProvider();
+    if (provider) {
+      console.log(`GroundDataService: Using '${provider.name}' provider (registered: ${this.registry.names().join(', ')})`);
     } else {
-      console.log('GroundDataService: Mock data mode (set OPENWEATHER_API_KEY to enable real API)');
+      console.warn('GroundDataService: No weather provider available. Check WEATHER_PROVIDERS configuration.');
+    }
+  }
+
+  /**
+   * Gets the provider currently serving requests
+   * @returns {Object|undefined} Provider instance
+   */
+  getActiveProvider() {
+    if (this.selectedProvider) {
+      return this.registry.get(this.selectedProvider);
     }
+    return this.registry.getPreferred();
+  }
+
+  /**
+   * Gets the failover chain: the active provider first, then every other
+   * available provider by priority
+   * @returns {Array<Object>} Provider instances
+   */
+  getProviderChain() {
+    const active = this.getActiveProvider();
+    const others = this.registry.getOrdered().filter(provider => provider !== active);
+    return active ? [active, ...others] : others;
+  }
+
+  /**
+   * Gets (or creates) the circuit breaker guarding a provider
+   * @param {string} name - Provider name
+   * @returns {CircuitBreaker} Circuit breaker
+   */
+  getCircuitBreaker(name) {
+    if (!this.circuitBreakers.has(name)) {
+      this.circuitBreakers.set(name, new CircuitBreaker({
+        name,
+        isFailure: isProviderFailure,
+        ...this.circuitBreakerOptions
+      }));
+    }
+    return this.circuitBreakers.get(name);
+  }
+
+  /**
+   * Runs an operation against the failover chain, skipping providers whose
+   * circuit is open
+   * @param {string} label - Operation name for logs
+   * @param {string} type - Provenance type of the data the operation returns, one of PROVENANCE_TYPES
+   * @param {Function} operation - (provider) => Promise<data>
+   * @param {Array<Object>} [chain] - Providers to try in order (default: full chain)
+   * @returns {Promise<{data: *, source: string, degraded: boolean, stale: boolean}>} Data and where it came from
+   */
+  async runWithFailover(label, type, operation, chain = this.getProviderChain()) {
+    if (chain.length === 0) {
+      throw new Error('No weather provider available');
+    }
+
+    const failures = [];
+
+    for (const provider of chain) {
+      const breaker = this.getCircuitBreaker(provider.name);
+
+      if (!breaker.canRequest()) {
+        failures.push(`${provider.name}: circuit open`);
+        continue;
+      }
+
+      try {
+        const data = await breaker.execute(async () => this.normalizeProviderData(await operation(provider), provider, label));
+
+        if (failures.length > 0) {
+          console.warn(`GroundDataService: ${label} served by '${provider.name}' after failures (${failures.join('; ')})`);
+        }
+
+        return {
+          data: this.withProvenance(data, provider, type),
+          source: provider.name,
+          degraded: this.isDegraded(provider, chain),
+          stale: [].concat(data).some(point => point?.stale === true)
+        };
+      } catch (error) {
+        failures.push(`${provider.name}: ${error.message}`);
+      }
+    }
+
+    throw new Error(`All weather providers failed for ${label} (${failures.join('; ')})`);
+  }
+
+  /**
+   * Normalizes provider output against the GroundData schema, leaving out
+   * rejected points and logging what was corrected
+   * @param {Object|Array<Object>} data - Data point(s) returned by the provider
+   * @param {Object} provider - Provider that returned the data
+   * @param {string} label - Operation name for logs
+   * @returns {Object|Array<Object>} Normalized data point(s)
+   * @throws {Error} With code INVALID_DATA when the only point, or every point of a list, is rejected
+   */
+  normalizeProviderData(data, provider, label) {
+    const points = [].concat(data);
+    const normalized = [];
+    const issues = [];
+    let corrected = 0;
+
+    for (const point of points) {
+      const result = normalizeGroundData(point);
+      issues.push(...result.issues);
+
+      if (result.data) {
+        normalized.push(result.data);
+        corrected += result.issues.length > 0 ? 1 : 0;
+      }
+    }
+
+    const rejected = points.length - normalized.length;
+    const counts = this.normalization.get(provider.name) || { points: 0, corrected: 0, rejected: 0 };
+    this.normalization.set(provider.name, {
+      points: counts.points + points.length,
+      corrected: counts.corrected + corrected,
+      rejected: counts.rejected + rejected
+    });
+
+    if (issues.length > 0) {
+      const details = issues.slice(0, 5).map(issue => `${issue.action}: ${issue.message}`).join('; ');
+      console.warn(`GroundDataService: Invalid ${label} data from '${provider.name}', ${rejected} of ${points.length} point(s) rejected, ${corrected} corrected (${details})`);
+    }
+
+    if (points.length > 0 && normalized.length === 0) {
+      const error = new Error(`Invalid data (${issues[0].message})`);
+      error.code = INVALID_DATA;
+      throw error;
+    }
+
+    return Array.isArray(data) ? normalized : normalized[0];
+  }
+
+  /**
+   * Data is degraded when it does not come from the first provider of the
+   * chain, or when it is not live data at all (e.g. mock)
+   */
+  isDegraded(provider, chain) {
+    return provider !== chain[0] || provider.capabilities?.realtime === false;
+  }
+
+  /**
+   * Tags data points with the provider they came from and their type.
+   * Points that already carry provenance are left untouched.
+   * @param {Object|Array<Object>} data - Data point(s)
+   * @param {Object} provider - Provider that returned the data
+   * @param {string} type - Provenance type for the call that returned the data; synthetic for mock providers
+   * @returns {Object|Array<Object>} Data point(s) with provenance
+   */
+  withProvenance(data, provider, type) {
+    if (Array.isArray(data)) {
+      return data.map(point => this.withProvenance(point, provider, type));
+    }
+
+    if (!data || data.provenance) {
+      return data;
+    }
+
+    return {
+      ...data,
+      provenance: {
+        provider: provider.name,
+        type: provider.capabilities?.realtime === false ? PROVENANCE_TYPES.SYNTHETIC : type
+      }
+    };
   }
 
   /**
    * Gets current weather conditions
    * @param {number} lat - Latitude (default: New York)
    * @param {number} lon - Longitude (default: New York)
-   * @returns {Promise<GroundData>} Current weather data
+   * @param {Object} [options] - Passed to the provider, e.g. { prefetch: true } for background work
+   * @returns {Promise<{data: GroundData, source: string, degraded: boolean, stale: boolean}>} Current weather data and its source
    */
-  async getCurrentConditions(lat = 40.7128, lon = -74.0060) {
+  async getCurrentConditions(lat = 40.7128, lon = -74.0060, options = {}) {
     if (!this.validateLocation(lat, lon)) {
       throw new Error('Invalid coordinates provided');
     }
 
-    if (!this.useRealAPI) {
-      // Simulate API delay for realistic development experience
-      await new Promise(resolve => setTimeout(resolve, 50));
-      return this.mockService.getCurrentConditions();
-    }
+    const result = await this.runWithFailover('current conditions', PROVENANCE_TYPES.OBSERVED, provider => provider.getCurrent(lat, lon, options));
+    this.recordObservations(lat, lon, [result.data]);
 
-    try {
-      return await this.openWeatherService.getCurrentWeather(lat, lon);
-    } catch (error) {
-      console.warn('Real API failed, falling back to mock data:', error.message);
-      // Fallback to mock data if real API fails
-      return this.mockService.getCurrentConditions();
-    }
+    return { ...result, data: this.withComputedMetrics(lat, lon, [result.data])[0] };
   }
 
   /**
    * Gets timeline weather data
    * @param {number} lat - Latitude
-   * @param {number} lon - Longitude  
+   * @param {number} lon - Longitude
    * @param {number} hours - Number of hours to include
-   * @returns {Promise<Array<GroundData>>} Array of weather data points
+   * @param {Object} [options] - Passed to the provider, e.g. { prefetch: true } for background work
+   * @param {string} [options.resolution] - Resample to a fixed step, a key of RESOLUTIONS (e.g. "15m")
+   * @returns {Promise<{data: Array<GroundData>, source: string, degraded: boolean, stale: boolean, strict: boolean, history: Object, resolution: string|null}>} Weather data points and their source
    */
-  async getTimelineData(lat = 40.7128, lon = -74.0060, hours = 24) {
+  async getTimelineData(lat = 40.7128, lon = -74.0060, hours = 24, options = {}) {
     if (!this.validateLocation(lat, lon)) {
       throw new Error('Invalid coordinates provided');
     }
@@ -63,34 +313,185 @@ export class GroundDataService {
       throw new Error('Hours must be between 1 and 168');
     }
 
-    if (!this.useRealAPI) {
-      // Simulate API delay
-      await new Promise(resolve => setTimeout(resolve, 100));
-      return this.mockService.getTimelineData(hours);
+    const { resolution = null, ...providerOptions } = options;
+    if (resolution && !RESOLUTIONS[resolution]) {
+      throw new Error(`Resolution must be one of ${Object.keys(RESOLUTIONS).join(', ')}`);
+    }
+
+    const result = await this.assembleTimeline(lat, lon, hours, providerOptions);
+    const data = resolution ? resampleSeries(result.data, RESOLUTIONS[resolution]) : result.data;
+
+    return { ...result, data: this.withComputedMetrics(lat, lon, data), resolution };
+  }
+
+  /**
+   * Fetches a timeline and completes it with recorded observations and,
+   * depending on strict mode, interpolated or other providers' points
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {number} hours - Number of hours to include
+   * @param {Object} options - Passed to the provider
+   * @returns {Promise<Object>} Same shape as getTimelineData()
+   */
+  async assembleTimeline(lat, lon, hours, options) {
+    const chain = this.getProviderChain();
+    const fetched = await this.runWithFailover('timeline', PROVENANCE_TYPES.FORECAST, provider => provider.getTimeline(lat, lon, hours, options), chain);
+    const provider = this.registry.get(fetched.source);
+
+    const history = await this.getPastObservations(lat, lon, hours, fetched.data, provider);
+    const data = this.mergeObservations(fetched.data, history.data);
+    const result = {
+      ...fetched,
+      data,
+      history: { observations: data.length - fetched.data.length, source: history.source }
+    };
+    const expectedPoints = Math.ceil(hours / (provider.capabilities?.forecastStepHours || 1));
+
+    if (this.strict) {
+      return { ...result, data: fillGapsByInterpolation(data, getHourlyTimestamps(hours), undefined, this.maxInterpolationGapMs), strict: true };
+    }
+
+    if (result.data.length >= expectedPoints) {
+      return { ...result, strict: false };
+    }
+
+    // If we get less data than requested hours, fill with the next providers for the missing time slots
+    const remainingChain = chain.slice(chain.indexOf(provider) + 1);
+    if (remainingChain.length === 0) {
+      return { ...result, strict: false };
     }
 
     try {
-      const timelineData = await this.openWeatherService.getTimelineData(lat, lon, hours);
-      
-      // If we get less data than requested hours, fill with mock data for the missing time slots
-      if (timelineData.length < Math.ceil(hours / 3)) {
-        console.log(`Real API returned ${timelineData.length} data points, filling remaining with mock data`);
-        const mockData = this.mockService.getTimelineData(hours);
-        const realTimestamps = new Set(timelineData.map(d => d.timestamp));
-        
-        // Add mock data for time slots not covered by real API
-        const fillerData = mockData.filter(mock => !realTimestamps.has(mock.timestamp));
-        return [...timelineData, ...fillerData].slice(0, hours);
-      }
-      
-      return timelineData;
+      const filler = await this.runWithFailover('timeline filler', PROVENANCE_TYPES.FORECAST, next => next.getTimeline(lat, lon, hours, options), remainingChain);
+      console.log(`Provider '${result.source}' returned ${result.data.length} data points, filling remaining with '${filler.source}' data`);
+
+      const realTimestamps = new Set(result.data.map(d => d.timestamp));
+      const fillerData = filler.data.filter(point => !realTimestamps.has(point.timestamp));
+
+      return {
+        ...result,
+        data: [...result.data, ...fillerData].slice(0, hours),
+        degraded: true,
+        strict: false
+      };
     } catch (error) {
-      console.warn('Real API timeline failed, falling back to mock data:', error.message);
-      // Fallback to mock data if real API fails
-      return this.mockService.getTimelineData(hours);
+      console.warn('GroundDataService: Timeline filler unavailable:', error.message);
+      return { ...result, strict: false };
+    }
+  }
+
+  /**
+   * Gets recorded observations for an arbitrary past window
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {Date} start - Window start
+   * @param {Date} end - Window end
+   * @returns {Array<GroundData>} Recorded observations sorted by time
+   */
+  getHistory(lat, lon, start, end) {
+    if (!this.validateLocation(lat, lon)) {
+      throw new Error('Invalid coordinates provided');
+    }
+
+    if (isNaN(start?.getTime()) || isNaN(end?.getTime()) || start > end) {
+      throw new Error('Invalid time range provided');
+    }
+
+    return this.withComputedMetrics(lat, lon, this.observationStore.query(lat, lon, start, end));
+  }
+
+  /**
+   * Adds the metrics computed from the data: 24-hour temperature extremes,
+   * pressure tendency and derived comfort metrics. The first points are
+   * completed with observations recorded before them.
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {Array<Object>} points - Data points sorted by time
+   * @returns {Array<Object>} Data points with computed metrics
+   */
+  withComputedMetrics(lat, lon, points) {
+    if (points.length === 0) {
+      return points;
+    }
+
+    const first = new Date(points[0].timestamp).getTime();
+    const lookback = Math.max(TENDENCY_LOOKBACK_MS, EXTREMES_WINDOW_MS);
+    const history = this.observationStore.query(lat, lon, new Date(first - lookback), new Date(first - 1));
+
+    return withDerivedMetrics(withPressureTrends(withRollingExtremes(points, history), history));
+  }
+
+  /**
+   * Records the observed points of a response in the observation store.
+   * Only getCurrent() and getHistory() results are recorded; timelines are
+   * never, even when a provider tags some of their points as observed.
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {Array<Object>} points - Data points with provenance
+   */
+  recordObservations(lat, lon, points) {
+    const observed = points.filter(point => point?.provenance?.type === PROVENANCE_TYPES.OBSERVED);
+    if (observed.length > 0) {
+      this.observationStore.record(lat, lon, observed);
     }
   }
 
+  /**
+   * Gets recorded observations for the past half of a timeline, asking a
+   * history provider when the store and the fetched data leave hours uncovered
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {number} hours - Timeline length
+   * @param {Array<Object>} fetched - Points already returned by the provider
+   * @param {Object} provider - Provider that served the timeline
+   * @returns {Promise<{data: Array<Object>, source: string|null}>} Observations and where they came from
+   */
+  async getPastObservations(lat, lon, hours, fetched, provider) {
+    if (provider.capabilities?.realtime === false) {
+      return { data: [], source: null }; // Don't mix recordings into synthetic timelines
+    }
+
+    const now = Date.now();
+    const pastTimestamps = getHourlyTimestamps(hours, now).filter(time => time <= now);
+    const start = new Date(pastTimestamps[0]);
+    const end = new Date(now);
+
+    const stored = this.observationStore.query(lat, lon, start, end);
+    if (findUncoveredTimestamps([...fetched, ...stored], pastTimestamps).length === 0) {
+      return { data: stored, source: stored.length > 0 ? 'store' : null };
+    }
+
+    const historyProviders = this.getProviderChain().filter(candidate => typeof candidate.getHistory === 'function');
+    for (const historyProvider of historyProviders) {
+      try {
+        const history = await this.getCircuitBreaker(historyProvider.name)
+          .execute(async () => this.normalizeProviderData(await historyProvider.getHistory(lat, lon, start, end), historyProvider, 'history'));
+        this.recordObservations(lat, lon, this.withProvenance(history, historyProvider, PROVENANCE_TYPES.OBSERVED));
+
+        return { data: this.observationStore.query(lat, lon, start, end), source: historyProvider.name };
+      } catch (error) {
+        console.warn(`GroundDataService: History from '${historyProvider.name}' unavailable:`, error.message);
+      }
+    }
+
+    return { data: stored, source: stored.length > 0 ? 'store' : null };
+  }
+
+  /**
+   * Merges recorded observations into fetched data, keeping the fetched
+   * point wherever both cover the same time
+   * @param {Array<Object>} fetched - Points returned by the provider
+   * @param {Array<Object>} observations - Recorded observations
+   * @returns {Array<Object>} Merged points sorted by time
+   */
+  mergeObservations(fetched, observations) {
+    const extra = observations.filter(observation =>
+      findUncoveredTimestamps(fetched, [new Date(observation.timestamp).getTime()]).length > 0
+    );
+
+    return [...fetched, ...extra].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+
   /**
    * Validates location coordinates
    * @param {number} lat - Latitude
@@ -98,29 +499,77 @@ export class GroundDataService {
    * @returns {boolean} True if valid coordinates
    */
   validateLocation(lat, lon) {
-    return this.openWeatherService.validateLocation(lat, lon);
+    return isValidLocation(lat, lon);
   }
 
   /**
-   * Switches between mock and real API data
-   * @param {boolean} useReal - True to use real API, false for mock
+   * Selects the provider serving requests
+   * @param {string|null} name - Registered provider name, or null/"auto" for automatic selection
+   */
+  setProvider(name) {
+    if (!name || name === 'auto') {
+      this.selectedProvider = null;
+      console.log(`Provider selection switched to automatic ('${this.getActiveProvider()?.name}')`);
+      return;
+    }
+
+    if (!this.registry.has(name)) {
+      throw new Error(`Unknown provider '${name}'. Registered providers: ${this.registry.names().join(', ')}`);
+    }
+
+    if (!this.registry.isAvailable(name)) {
+      throw new Error(`Provider '${name}' is not available (check its API key configuration)`);
+    }
+
+    this.selectedProvider = name;
+    console.log(`Provider switched to: ${name}`);
+  }
+
+  /**
+   * Switches between mock and real API data (legacy toggle)
+   * @param {boolean} useReal - True to use the best real provider, false for mock
    */
   setAPIMode(useReal) {
-    this.useRealAPI = useReal && !!process.env.OPENWEATHER_API_KEY;
-    console.log(`API mode switched to: ${this.useRealAPI ? 'Real API' : 'Mock data'}`);
+    const realProvider = this.registry.getOrdered().find(provider => provider.name !== 'mock');
+
+    if (useReal && realProvider) {
+      this.setProvider(realProvider.name);
+    } else if (this.registry.has('mock')) {
+      this.setProvider('mock');
+    }
   }
 
   /**
    * Get service statistics
    */
   getStats() {
+    const active = this.getActiveProvider();
     const stats = {
-      mode: this.useRealAPI ? 'real-api' : 'mock',
-      apiKeyConfigured: !!process.env.OPENWEATHER_API_KEY
+      mode: active?.name || 'none',
+      selection: this.selectedProvider ? 'manual' : 'auto',
+      strict: this.strict,
+      apiKeyConfigured: !!process.env.OPENWEATHER_API_KEY,
+      providers: this.registry.describe()
     };
 
-    if (this.useRealAPI) {
-      stats.openWeatherStats = this.openWeatherService.getCacheStats();
+    if (active && typeof active.getStats === 'function') {
+      stats.providerStats = active.getStats();
+    }
+
+    stats.rateLimits = {};
+    for (const provider of this.registry.getOrdered({ includeUnavailable: true })) {
+      if (provider.rateLimiter) {
+        stats.rateLimits[provider.name] = provider.rateLimiter.getStats();
+      }
+    }
+
+    stats.cache = this.cache.getStats();
+    stats.observations = this.observationStore.getStats();
+    stats.normalization = Object.fromEntries(this.normalization);
+
+    stats.circuits = {};
+    for (const [name, breaker] of this.circuitBreakers) {
+      stats.circuits[name] = breaker.getStats();
     }
 
     return stats;
@@ -130,8 +579,13 @@ export class GroundDataService {
    * Clean up resources and cache
    */
   cleanup() {
-    if (this.openWeatherService) {
-      this.openWeatherService.cleanupCache();
+    this.cache.prune();
+    this.observationStore.prune();
+
+    for (const provider of this.registry.getOrdered({ includeUnavailable: true })) {
+      if (typeof provider.cleanup === 'function') {
+        provider.cleanup();
+      }
     }
   }
 }
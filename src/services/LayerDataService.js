@@ -0,0 +1,153 @@
+import { isValidLocation } from '../utils/GeoUtils.js';
+import { getHourlyTimestamps } from '../utils/TimeSeriesUtils.js';
+
+/**
+ * Layer names accepted by the multi-layer endpoint, in response order
+ */
+export const LAYER_NAMES = ['ground', 'sky', 'sea', 'astro'];
+
+/**
+ * LayerDataService - Combines all layer services into one aligned timeline
+ *
+ * Fetches the requested layers in parallel and aligns them on a shared
+ * hourly grid, so a timeline scrub needs a single request. Layers with
+ * coarser data (e.g. 3-hourly forecasts) use the closest point within
+ * `toleranceMs`; timestamps with nothing close enough get null.
+ */
+export class LayerDataService {
+  /**
+   * @param {Object} services
+   * @param {GroundDataService} services.groundDataService
+   * @param {SkyDataService} services.skyDataService
+   * @param {SeaDataService} services.seaDataService
+   * @param {AstroDataService} services.astroDataService
+   * @param {number} [services.toleranceMs] - Max distance to the closest point (default: 90 minutes)
+   */
+  constructor({ groundDataService, skyDataService, seaDataService, astroDataService, toleranceMs }) {
+    this.services = {
+      ground: groundDataService,
+      sky: skyDataService,
+      sea: seaDataService,
+      astro: astroDataService
+    };
+    this.toleranceMs = toleranceMs || 90 * 60 * 1000; // Half of a 3-hour forecast step
+  }
+
+  /**
+   * Parses a comma-separated list of layer names
+   * @param {string} [value] - e.g. "ground,sky" (default: all layers)
+   * @returns {Array<string>} Layer names in response order
+   */
+  parseLayers(value) {
+    if (!value) {
+      return [...LAYER_NAMES];
+    }
+
+    const requested = value.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+    const unknown = requested.filter(name => !LAYER_NAMES.includes(name));
+
+    if (unknown.length > 0) {
+      throw new Error(`Unknown layers: ${unknown.join(', ')}. Valid layers are ${LAYER_NAMES.join(', ')}`);
+    }
+
+    if (requested.length === 0) {
+      throw new Error(`At least one layer is required. Valid layers are ${LAYER_NAMES.join(', ')}`);
+    }
+
+    return LAYER_NAMES.filter(name => requested.includes(name));
+  }
+
+  /**
+   * Gets all requested layers aligned on an hourly timeline
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {number} hours - Number of hours to include
+   * @param {Array<string>} layers - Layers to include
+   * @returns {Promise<Object>} { timeline: [{ timestamp, ground, sky, ... }], layers: { name: status } }
+   */
+  async getTimelineData(lat, lon, hours = 24, layers = LAYER_NAMES) {
+    // Validate up front so bad input is an error, not a per-layer outage
+    if (!isValidLocation(lat, lon)) {
+      throw new Error('Invalid coordinates provided');
+    }
+
+    if (hours < 1 || hours > 168) { // Limit to 1 week max
+      throw new Error('Hours must be between 1 and 168');
+    }
+
+    const results = await Promise.allSettled(
+      layers.map(name => this.services[name].getTimelineData(lat, lon, hours))
+    );
+
+    const series = {};
+    const status = {};
+
+    layers.forEach((name, index) => {
+      const result = results[index];
+
+      if (result.status === 'fulfilled') {
+        // Services with failover return { data, source, degraded } instead of a plain array
+        const { data, ...provenance } = Array.isArray(result.value) ? { data: result.value } : result.value;
+        series[name] = this.indexByTime(data);
+        status[name] = { available: data.length > 0, dataPoints: data.length, ...provenance };
+      } else {
+        console.warn(`LayerDataService: ${name} layer failed:`, result.reason?.message);
+        series[name] = [];
+        status[name] = { available: false, dataPoints: 0, message: result.reason?.message };
+      }
+    });
+
+    if (status.sea && !status.sea.available && this.services.sea.getAvailability) {
+      status.sea = { ...status.sea, ...this.services.sea.getAvailability(lat, lon) };
+    }
+
+    const timeline = this.getTimestamps(hours).map(time => {
+      const entry = { timestamp: new Date(time).toISOString() };
+      layers.forEach(name => {
+        entry[name] = this.findClosest(series[name], time);
+      });
+      return entry;
+    });
+
+    return { timeline, layers: status };
+  }
+
+  /**
+   * Hourly timestamps centred on the current hour, matching the layer services
+   * @param {number} hours - Number of hours to include
+   * @returns {Array<number>} Epoch milliseconds
+   */
+  getTimestamps(hours) {
+    return getHourlyTimestamps(hours);
+  }
+
+  /**
+   * Pairs data points with their epoch time, sorted chronologically
+   */
+  indexByTime(dataPoints) {
+    return dataPoints
+      .map(point => ({ time: new Date(point.timestamp).getTime(), point }))
+      .sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Finds the data point closest to a time, within tolerance
+   * @param {Array<Object>} indexed - Output of indexByTime
+   * @param {number} time - Epoch milliseconds
+   * @returns {Object|null} Closest data point or null
+   */
+  findClosest(indexed, time) {
+    let closest = null;
+    let closestDiff = Infinity;
+
+    for (const entry of indexed) {
+      const diff = Math.abs(entry.time - time);
+      if (diff < closestDiff) {
+        closest = entry.point;
+        closestDiff = diff;
+      }
+    }
+
+    return closestDiff <= this.toleranceMs ? closest : null;
+  }
+}
@@ -7,10 +7,12 @@ import { GroundData, DEFAULT_LOCATION } from '../models/GroundData.js';
  * - Realistic temperature cycles (sinusoidal with daily patterns)
  * - Humidity inverse correlation with temperature
  * - Pressure variations simulating weather systems
+ * - Wind that picks up in the afternoon
  * - Proper weather condition transitions
  */
 export class MockDataService {
   constructor() {
+    this.name = 'mock';
     this.baseDate = new Date();
     this.location = DEFAULT_LOCATION;
     
@@ -19,6 +21,7 @@ export class MockDataService {
     this.temperatureRange = 8; // Daily variation
     this.baseHumidity = 65;
     this.basePressure = 1013.25; // hPa
+    this.baseWindSpeed = 4; // m/s
     
     // Weather conditions pool with realistic icons
     this.weatherConditions = [
@@ -101,6 +104,23 @@ export class MockDataService {
     };
   }
 
+  /**
+   * Generates wind speed, stronger in the afternoon when the ground is warmest
+   * @param {number} hoursOffset - Hours from current time
+   * @returns {Object} Wind data with speed in m/s
+   */
+  generateWind(hoursOffset) {
+    const hourOfDay = (this.baseDate.getHours() + hoursOffset) % 24;
+    const dailyCycle = Math.sin(((hourOfDay - 9) / 24) * 2 * Math.PI);
+    const randomVariation = (Math.random() - 0.5) * 3;
+
+    const speed = Math.max(0, this.baseWindSpeed + dailyCycle * 2 + randomVariation);
+
+    return {
+      speed: Math.round(speed * 10) / 10
+    };
+  }
+
   /**
    * Selects weather conditions based on pressure and humidity
    * @param {number} pressure - Current pressure
@@ -136,6 +156,7 @@ export class MockDataService {
     const temperature = this.generateTemperature(hoursOffset);
     const humidity = this.generateHumidity(temperature.current);
     const pressure = this.generatePressure(hoursOffset);
+    const wind = this.generateWind(hoursOffset);
     const conditions = this.generateConditions(pressure.current, humidity);
 
     return new GroundData({
@@ -144,7 +165,8 @@ export class MockDataService {
       metrics: {
         temperature,
         humidity,
-        pressure
+        pressure,
+        wind
       },
       conditions
     });
@@ -190,6 +212,41 @@ export class MockDataService {
     return dataPoints;
   }
 
+  /**
+   * Provider capabilities (see ProviderRegistry)
+   */
+  get capabilities() {
+    return {
+      realtime: false,
+      forecastStepHours: 1,
+      maxForecastHours: 168,
+      requiresApiKey: false
+    };
+  }
+
+  /**
+   * Provider interface: current conditions
+   * @returns {Promise<GroundData>} Current weather data
+   */
+  async getCurrent() {
+    // Simulate API delay for realistic development experience
+    await new Promise(resolve => setTimeout(resolve, 50));
+    return this.getCurrentConditions();
+  }
+
+  /**
+   * Provider interface: timeline data
+   * @param {number} lat - Latitude (unused, mock data is location independent)
+   * @param {number} lon - Longitude (unused)
+   * @param {number} hours - Number of hours to include
+   * @returns {Promise<Array<GroundData>>} Array of weather data points
+   */
+  async getTimeline(lat, lon, hours = 24) {
+    // Simulate API delay
+    await new Promise(resolve => setTimeout(resolve, 100));
+    return this.getTimelineData(hours);
+  }
+
   /**
    * Validates location coordinates
    * @param {number} lat - Latitude
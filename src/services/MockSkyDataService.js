@@ -0,0 +1,194 @@
+import { SkyData, toCardinalDirection, getPrecipitationType } from '../models/SkyData.js';
+import { DEFAULT_LOCATION } from '../models/GroundData.js';
+
+/**
+ * MockSkyDataService - Generates realistic sky patterns for development
+ *
+ * Creates wind, cloud and precipitation data with:
+ * - Wind that picks up in the afternoon and calms at night
+ * - Wind direction slowly veering as a weather system passes
+ * - Cloud cover drifting over a multi-day cycle
+ * - Precipitation only when cloud cover is high
+ */
+export class MockSkyDataService {
+  constructor() {
+    this.name = 'mock';
+    this.baseDate = new Date();
+    this.location = DEFAULT_LOCATION;
+
+    // Base sky parameters for realistic simulation
+    this.baseWindSpeed = 4; // m/s
+    this.baseWindDirection = 220; // Prevailing south-westerly
+    this.baseCloudCover = 45; // percent
+    this.maxVisibility = 10000; // meters (OpenWeatherMap caps at 10 km)
+  }
+
+  /**
+   * Generates wind with a daily cycle (stronger in the afternoon)
+   * @param {number} hoursOffset - Hours from current time
+   * @returns {Object} Wind speed, gust and direction
+   */
+  generateWind(hoursOffset) {
+    const hourOfDay = (((this.baseDate.getHours() + hoursOffset) % 24) + 24) % 24;
+    const dailyCycle = Math.sin(((hourOfDay - 9) / 24) * 2 * Math.PI);
+    const randomVariation = (Math.random() - 0.5) * 2;
+
+    const speed = Math.max(0, this.baseWindSpeed + dailyCycle * 2 + randomVariation);
+    const gust = speed * (1.3 + Math.random() * 0.4);
+
+    // Direction veers slowly over two days with small gusty swings
+    const direction = Math.round(
+      (this.baseWindDirection + (hoursOffset / 48) * 90 + (Math.random() - 0.5) * 30 + 360) % 360
+    );
+
+    return {
+      speed: Math.round(speed * 10) / 10,
+      gust: Math.round(gust * 10) / 10,
+      direction,
+      cardinal: toCardinalDirection(direction)
+    };
+  }
+
+  /**
+   * Generates cloud cover following a slow multi-day cycle
+   * @param {number} hoursOffset - Hours from current time
+   * @returns {Object} Cloud cover percentage
+   */
+  generateClouds(hoursOffset) {
+    const systemCycle = Math.sin((hoursOffset / 36) * 2 * Math.PI);
+    const randomVariation = (Math.random() - 0.5) * 20;
+    const cover = this.baseCloudCover + systemCycle * 40 + randomVariation;
+
+    return {
+      cover: Math.max(0, Math.min(100, Math.round(cover)))
+    };
+  }
+
+  /**
+   * Generates hourly precipitation correlated with cloud cover
+   * @param {number} cloudCover - Cloud cover percentage
+   * @returns {Object} Rain/snow amounts and precipitation type
+   */
+  generatePrecipitation(cloudCover) {
+    // Only overcast skies produce rain in the simulation
+    const probability = Math.max(0, (cloudCover - 60) / 40);
+    const rain = Math.random() < probability ? Math.random() * 3 * probability : 0;
+
+    return {
+      rain: Math.round(rain * 100) / 100,
+      snow: 0,
+      periodHours: 1,
+      probability: Math.round(probability * 100) / 100,
+      type: getPrecipitationType(rain, 0)
+    };
+  }
+
+  /**
+   * Derives visibility from cloud cover and precipitation
+   * @param {number} cloudCover - Cloud cover percentage
+   * @param {number} rain - Rain amount in mm
+   * @returns {number} Visibility in meters
+   */
+  generateVisibility(cloudCover, rain) {
+    const reduction = rain * 2000 + Math.max(0, cloudCover - 80) * 50;
+    return Math.max(1000, Math.round(this.maxVisibility - reduction));
+  }
+
+  /**
+   * Describes the sky using OpenWeatherMap-style conditions
+   * @param {number} cloudCover - Cloud cover percentage
+   * @param {Object} precipitation - Precipitation data
+   * @returns {Object} Weather condition with description and icon
+   */
+  generateConditions(cloudCover, precipitation) {
+    if (precipitation.type === 'rain') {
+      return { description: "Light rain", icon: "10d" };
+    }
+    if (cloudCover < 11) return { description: "Clear sky", icon: "01d" };
+    if (cloudCover < 25) return { description: "Few clouds", icon: "02d" };
+    if (cloudCover < 51) return { description: "Scattered clouds", icon: "03d" };
+    if (cloudCover < 85) return { description: "Broken clouds", icon: "04d" };
+    return { description: "Overcast clouds", icon: "04d" };
+  }
+
+  /**
+   * Generates a single data point for a specific time offset
+   * @param {number} hoursOffset - Hours from current time (negative for past)
+   * @returns {SkyData} Complete sky data point
+   */
+  generateDataPoint(hoursOffset) {
+    const timestamp = new Date(this.baseDate.getTime() + hoursOffset * 60 * 60 * 1000);
+
+    const wind = this.generateWind(hoursOffset);
+    const clouds = this.generateClouds(hoursOffset);
+    const precipitation = this.generatePrecipitation(clouds.cover);
+    const visibility = this.generateVisibility(clouds.cover, precipitation.rain);
+    const conditions = this.generateConditions(clouds.cover, precipitation);
+
+    return new SkyData({
+      timestamp: timestamp.toISOString(),
+      location: this.location,
+      wind,
+      clouds,
+      precipitation,
+      visibility,
+      conditions
+    });
+  }
+
+  /**
+   * Gets current sky conditions
+   * @returns {SkyData} Current sky data
+   */
+  getCurrentConditions() {
+    return this.generateDataPoint(0);
+  }
+
+  /**
+   * Gets timeline data for a specific duration
+   * @param {number} hours - Number of hours to include (default: 24)
+   * @returns {Array<SkyData>} Array of sky data points
+   */
+  getTimelineData(hours = 24) {
+    const dataPoints = [];
+    const startHour = Math.floor(-hours / 2);
+    const endHour = Math.ceil(hours / 2);
+
+    for (let hour = startHour; hour <= endHour; hour++) {
+      dataPoints.push(this.generateDataPoint(hour));
+    }
+
+    return dataPoints;
+  }
+
+  /**
+   * Provider capabilities (see ProviderRegistry)
+   */
+  get capabilities() {
+    return {
+      realtime: false,
+      forecastStepHours: 1,
+      maxForecastHours: 168,
+      requiresApiKey: false
+    };
+  }
+
+  /**
+   * Sky provider interface: current conditions
+   * @returns {Promise<SkyData>} Current sky data
+   */
+  async getCurrentSky() {
+    return this.getCurrentConditions();
+  }
+
+  /**
+   * Sky provider interface: timeline data
+   * @param {number} lat - Latitude (unused, mock data is location independent)
+   * @param {number} lon - Longitude (unused)
+   * @param {number} hours - Number of hours to include
+   * @returns {Promise<Array<SkyData>>} Array of sky data points
+   */
+  async getSkyTimelineData(lat, lon, hours = 24) {
+    return this.getTimelineData(hours);
+  }
+}
@@ -0,0 +1,153 @@
+import fs from 'fs';
+import path from 'path';
+import { ObservationStore } from './ObservationStore.js';
+import { getGridCell } from '../utils/GeoUtils.js';
+
+/**
+ * ObservationArchive - ObservationStore persisted to disk
+ *
+ * Each grid cell is an append-only JSON Lines file (one observation per
+ * line) in the archive directory. Files are loaded on startup so history
+ * survives restarts, and rewritten on prune() to drop expired and
+ * superseded lines.
+ */
+export class ObservationArchive extends ObservationStore {
+  /**
+   * @param {Object} [options] - ObservationStore options, plus:
+   * @param {string} [options.directory] - Archive directory (default: OBSERVATION_ARCHIVE_DIR or ./data/observations)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.directory = options.directory || process.env.OBSERVATION_ARCHIVE_DIR || path.join(process.cwd(), 'data', 'observations');
+    this.writes = Promise.resolve();
+    this.writeErrors = 0;
+
+    this.load();
+  }
+
+  /**
+   * Loads every cell file from the archive directory
+   */
+  load() {
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    let skipped = 0;
+    for (const file of fs.readdirSync(this.directory).filter(name => name.endsWith('.jsonl'))) {
+      const observations = [];
+
+      for (const line of fs.readFileSync(path.join(this.directory, file), 'utf8').split('\n')) {
+        if (!line.trim()) {
+          continue;
+        }
+        try {
+          observations.push(JSON.parse(line));
+        } catch (error) {
+          skipped++; // Torn write from a crash, the rest of the file is still good
+        }
+      }
+
+      this.addToCell(path.basename(file, '.jsonl'), observations);
+    }
+
+    const { cells, observations } = this.getStats();
+    console.log(`ObservationArchive: Loaded ${observations} observations in ${cells} cells from ${this.directory}`);
+    if (skipped > 0) {
+      console.warn(`ObservationArchive: Skipped ${skipped} unreadable lines`);
+    }
+  }
+
+  /**
+   * Records observations and appends them to the cell file, skipping those
+   * identical to the observation already stored for their timestamp
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {Array<Object>} observations - Data points with `timestamp`
+   * @returns {number} Number of observations recorded
+   */
+  record(lat, lon, observations) {
+    const { key } = getGridCell(lat, lon, this.cellSize);
+    const stored = this.cells.get(key);
+
+    // Repeated requests record the same observations again; only changes are appended
+    const changed = observations.filter(observation =>
+      !stored?.has(observation.timestamp) || JSON.stringify(stored.get(observation.timestamp)) !== JSON.stringify(observation));
+    const added = this.addToCell(key, changed);
+
+    if (added.length > 0) {
+      const lines = added.map(observation => JSON.stringify(observation)).join('\n') + '\n';
+      this.enqueueWrite(() => fs.promises.appendFile(this.getCellPath(key), lines));
+    }
+
+    return added.length;
+  }
+
+  /**
+   * Removes expired observations and compacts the cell files
+   * @returns {number} Number of observations removed
+   */
+  prune() {
+    const removed = super.prune();
+    this.enqueueWrite(() => this.compact());
+    return removed;
+  }
+
+  /**
+   * Rewrites each cell file from memory, dropping expired and replaced lines
+   */
+  async compact() {
+    const files = await fs.promises.readdir(this.directory);
+
+    for (const file of files.filter(name => name.endsWith('.jsonl'))) {
+      const key = path.basename(file, '.jsonl');
+      const cell = this.cells.get(key);
+      const filePath = path.join(this.directory, file);
+
+      if (!cell) {
+        await fs.promises.unlink(filePath);
+        continue;
+      }
+
+      // Write to a temporary file first so a crash never leaves a half-written cell
+      const lines = [...cell.values()].map(observation => JSON.stringify(observation)).join('\n') + '\n';
+      await fs.promises.writeFile(`${filePath}.tmp`, lines);
+      await fs.promises.rename(`${filePath}.tmp`, filePath);
+    }
+  }
+
+  /**
+   * Queues a file operation so writes happen one at a time, in order
+   * @param {Function} operation - () => Promise
+   */
+  enqueueWrite(operation) {
+    this.writes = this.writes.then(operation).catch(error => {
+      this.writeErrors++;
+      console.error('ObservationArchive: Write failed:', error.message);
+    });
+  }
+
+  /**
+   * Waits for queued writes to finish
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.writes;
+  }
+
+  /**
+   * Path of a grid cell's file
+   */
+  getCellPath(key) {
+    return path.join(this.directory, `${key}.jsonl`);
+  }
+
+  /**
+   * Get archive statistics
+   */
+  getStats() {
+    return {
+      ...super.getStats(),
+      directory: this.directory,
+      writeErrors: this.writeErrors
+    };
+  }
+}
@@ -0,0 +1,127 @@
+import { getGridCell } from '../utils/GeoUtils.js';
+
+/**
+ * ObservationStore - Recorded weather observations per location grid cell
+ *
+ * Keeps every observed data point the server fetches, keyed by grid cell and
+ * timestamp, so past hours of a timeline can be served from what was actually
+ * recorded. Observations older than the retention window are pruned.
+ */
+export class ObservationStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.cellSize] - Grid cell size in degrees (default: 0.1)
+   * @param {number} [options.retentionHours] - How long observations are kept (default: OBSERVATION_RETENTION_HOURS or 168)
+   */
+  constructor(options = {}) {
+    this.cellSize = options.cellSize || 0.1;
+    this.retentionHours = options.retentionHours || parseInt(process.env.OBSERVATION_RETENTION_HOURS) || 168;
+    this.cells = new Map(); // cell key -> Map(timestamp -> observation)
+  }
+
+  /**
+   * Records observations for a location. A later observation for the same
+   * timestamp replaces the earlier one.
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {Array<Object>} observations - Data points with `timestamp`
+   * @returns {number} Number of observations recorded
+   */
+  record(lat, lon, observations) {
+    return this.addToCell(getGridCell(lat, lon, this.cellSize).key, observations).length;
+  }
+
+  /**
+   * Adds observations to a grid cell, skipping those already past retention
+   * @param {string} key - Grid cell key
+   * @param {Array<Object>} observations - Data points with `timestamp`
+   * @returns {Array<Object>} Observations added
+   */
+  addToCell(key, observations) {
+    const cutoff = this.getCutoff();
+
+    if (!this.cells.has(key)) {
+      this.cells.set(key, new Map());
+    }
+    const cell = this.cells.get(key);
+
+    const added = observations.filter(observation => new Date(observation.timestamp).getTime() >= cutoff);
+    for (const observation of added) {
+      cell.set(observation.timestamp, observation);
+    }
+
+    if (cell.size === 0) {
+      this.cells.delete(key);
+    }
+
+    return added;
+  }
+
+  /**
+   * Gets the observations recorded for a location within a time window
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {Date} start - Window start (inclusive)
+   * @param {Date} end - Window end (inclusive)
+   * @returns {Array<Object>} Observations sorted by time
+   */
+  query(lat, lon, start, end) {
+    const cell = this.cells.get(getGridCell(lat, lon, this.cellSize).key);
+    if (!cell) {
+      return [];
+    }
+
+    return [...cell.values()]
+      .filter(observation => {
+        const time = new Date(observation.timestamp).getTime();
+        return time >= start.getTime() && time <= end.getTime();
+      })
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+
+  /**
+   * Oldest timestamp kept, in epoch milliseconds
+   */
+  getCutoff() {
+    return Date.now() - this.retentionHours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Removes observations older than the retention window
+   * @returns {number} Number of observations removed
+   */
+  prune() {
+    const cutoff = this.getCutoff();
+    let removed = 0;
+
+    for (const [key, cell] of this.cells) {
+      for (const timestamp of cell.keys()) {
+        if (new Date(timestamp).getTime() < cutoff) {
+          cell.delete(timestamp);
+          removed++;
+        }
+      }
+      if (cell.size === 0) {
+        this.cells.delete(key);
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Get store statistics
+   */
+  getStats() {
+    let observations = 0;
+    for (const cell of this.cells.values()) {
+      observations += cell.size;
+    }
+
+    return {
+      cells: this.cells.size,
+      observations,
+      retentionHours: this.retentionHours
+    };
+  }
+}
@@ -0,0 +1,343 @@
+import axios from 'axios';
+import { ServerCache } from './ServerCache.js';
+import { RequestCoalescer } from './RequestCoalescer.js';
+import { TokenBucketLimiter, REQUEST_PRIORITIES, resolvePriority } from './TokenBucketLimiter.js';
+
+/**
+ * WMO weather interpretation codes used by Open-Meteo, mapped to a
+ * description and the OpenWeatherMap icon family used by the frontend
+ */
+export const WMO_WEATHER_CODES = {
+  0: { description: 'clear sky', icon: '01' },
+  1: { description: 'mainly clear', icon: '02' },
+  2: { description: 'partly cloudy', icon: '03' },
+  3: { description: 'overcast', icon: '04' },
+  45: { description: 'fog', icon: '50' },
+  48: { description: 'depositing rime fog', icon: '50' },
+  51: { description: 'light drizzle', icon: '09' },
+  53: { description: 'moderate drizzle', icon: '09' },
+  55: { description: 'dense drizzle', icon: '09' },
+  56: { description: 'light freezing drizzle', icon: '09' },
+  57: { description: 'dense freezing drizzle', icon: '09' },
+  61: { description: 'slight rain', icon: '10' },
+  63: { description: 'moderate rain', icon: '10' },
+  65: { description: 'heavy rain', icon: '10' },
+  66: { description: 'light freezing rain', icon: '13' },
+  67: { description: 'heavy freezing rain', icon: '13' },
+  71: { description: 'slight snow fall', icon: '13' },
+  73: { description: 'moderate snow fall', icon: '13' },
+  75: { description: 'heavy snow fall', icon: '13' },
+  77: { description: 'snow grains', icon: '13' },
+  80: { description: 'slight rain showers', icon: '09' },
+  81: { description: 'moderate rain showers', icon: '09' },
+  82: { description: 'violent rain showers', icon: '09' },
+  85: { description: 'slight snow showers', icon: '13' },
+  86: { description: 'heavy snow showers', icon: '13' },
+  95: { description: 'thunderstorm', icon: '11' },
+  96: { description: 'thunderstorm with slight hail', icon: '11' },
+  99: { description: 'thunderstorm with heavy hail', icon: '11' }
+};
+
+const HOURLY_VARIABLES = [
+  'temperature_2m',
+  'apparent_temperature',
+  'relative_humidity_2m',
+  'surface_pressure',
+  'pressure_msl',
+  'weather_code',
+  'is_day',
+  'wind_speed_10m'
+];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * OpenMeteoService - Hourly weather data from the Open-Meteo API
+ *
+ * Open-Meteo needs no API key and returns true hourly steps (including past
+ * hours), unlike the 3-hourly OpenWeatherMap forecast. Responses are mapped
+ * to our GroundData format. The base URL can be overridden with
+ * OPEN_METEO_BASE_URL, e.g. to point at a local stub server in tests.
+ */
+export class OpenMeteoService {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseURL] - API base URL (default: OPEN_METEO_BASE_URL or the public API)
+   * @param {ServerCache} [options.cache] - Shared server cache (default: a private one)
+   * @param {number} [options.maxStaleMs] - How long past expiry cached data is served while refreshing (default: CACHE_MAX_STALE or 30 minutes, 0 disables stale serving)
+   * @param {TokenBucketLimiter} [options.rateLimiter] - Upstream request budget (default: 600 requests per minute)
+   */
+  constructor(options = {}) {
+    this.name = 'openmeteo';
+    this.baseURL = options.baseURL || process.env.OPEN_METEO_BASE_URL || 'https://api.open-meteo.com/v1';
+    this.cache = options.cache || new ServerCache();
+    this.coalescer = new RequestCoalescer();
+    const maxStaleMs = options.maxStaleMs ?? parseInt(process.env.CACHE_MAX_STALE);
+    this.maxStaleMs = Number.isFinite(maxStaleMs) ? maxStaleMs : 30 * 60 * 1000;
+    this.requestCount = 0;
+    this.maxRequestsPerMinute = 600; // Open-Meteo free tier limit
+    this.rateLimiter = options.rateLimiter || new TokenBucketLimiter({ name: this.name, capacity: this.maxRequestsPerMinute });
+
+    this.client = axios.create({
+      timeout: 10000, // 10 second timeout
+      headers: {
+        'Accept': 'application/json',
+        'User-Agent': '4layers.earth/1.0'
+      }
+    });
+  }
+
+  /**
+   * Provider capabilities (see ProviderRegistry)
+   */
+  get capabilities() {
+    return {
+      realtime: true,
+      forecastStepHours: 1,
+      maxForecastHours: 168,
+      requiresApiKey: false
+    };
+  }
+
+  /**
+   * Get cache key for location and requested day range
+   */
+  getCacheKey(lat, lon, pastDays, forecastDays) {
+    return `${this.name}:forecast_${lat.toFixed(2)}_${lon.toFixed(2)}_${pastDays}_${forecastDays}`;
+  }
+
+  /**
+   * Get the raw forecast response (cached)
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {number} pastDays - Days of past hourly data to include
+   * @param {number} forecastDays - Days of forecast to include (today counts as one)
+   * @param {number} [priority] - Rate limiter priority (default: FORECAST)
+   * @returns {Promise<{data: Object, stale: boolean}>} Raw response and whether it is stale
+   */
+  async fetchForecast(lat, lon, pastDays = 0, forecastDays = 1, priority = REQUEST_PRIORITIES.FORECAST) {
+    const cacheKey = this.getCacheKey(lat, lon, pastDays, forecastDays);
+
+    return this.cache.getOrFetch(cacheKey, async () => {
+      await this.rateLimiter.acquire(priority);
+
+      try {
+        this.requestCount++;
+
+        const response = await this.client.get(`${this.baseURL}/forecast`, {
+          params: {
+            latitude: lat,
+            longitude: lon,
+            current: HOURLY_VARIABLES.join(','),
+            hourly: HOURLY_VARIABLES.join(','),
+            daily: 'temperature_2m_max,temperature_2m_min',
+            past_days: pastDays,
+            forecast_days: forecastDays,
+            wind_speed_unit: 'ms',
+            timezone: 'auto',
+            timeformat: 'unixtime'
+          }
+        });
+
+        console.log(`Open-Meteo API: Forecast fetched for ${lat}, ${lon}`);
+        return response.data;
+
+      } catch (error) {
+        // Open-Meteo explains bad requests in a "reason" field
+        const message = error.response?.data?.reason || error.message;
+        console.error('Open-Meteo API error:', message);
+        throw new Error(`Failed to fetch Open-Meteo data: ${message}`);
+      }
+    }, { coalescer: this.coalescer, maxStaleMs: this.maxStaleMs });
+  }
+
+  /**
+   * Provider interface: current conditions
+   */
+  async getCurrent(lat, lon, options) {
+    const priority = resolvePriority(REQUEST_PRIORITIES.CURRENT, options);
+    const { data, stale } = await this.fetchForecast(lat, lon, 0, 1, priority);
+    return this.markStale(this.transformCurrentData(data), stale);
+  }
+
+  /**
+   * Provider interface: hourly timeline centred on the current hour,
+   * matching the mock timeline (hours/2 in the past, hours/2 ahead)
+   */
+  async getTimeline(lat, lon, hours = 24, options) {
+    const currentHour = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+    const start = currentHour + Math.floor(-hours / 2) * HOUR_MS;
+    const end = currentHour + Math.ceil(hours / 2) * HOUR_MS;
+
+    const pastDays = Math.ceil((currentHour - start) / (24 * HOUR_MS));
+    const forecastDays = Math.ceil((end - currentHour) / (24 * HOUR_MS)) + 1;
+    const priority = resolvePriority(REQUEST_PRIORITIES.FORECAST, options);
+    const { data, stale } = await this.fetchForecast(lat, lon, pastDays, forecastDays, priority);
+
+    return this.markStale(this.transformHourlyData(data), stale).filter(point => {
+      const time = new Date(point.timestamp).getTime();
+      return time >= start && time <= end;
+    });
+  }
+
+  /**
+   * Provider interface (optional): past hourly data within a window
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {Date} start - Window start
+   * @param {Date} end - Window end
+   * @returns {Promise<Array<GroundData>>} Hourly data points
+   */
+  async getHistory(lat, lon, start, end) {
+    const pastDays = Math.min(92, Math.ceil((Date.now() - start.getTime()) / (24 * HOUR_MS))); // API maximum
+    const { data, stale } = await this.fetchForecast(lat, lon, pastDays, 1, REQUEST_PRIORITIES.HISTORY);
+
+    return this.markStale(this.transformHourlyData(data), stale).filter(point => {
+      const time = new Date(point.timestamp).getTime();
+      return time >= start.getTime() && time <= end.getTime();
+    });
+  }
+
+  /**
+   * Flags data points built from an expired cache entry with `stale: true`
+   */
+  markStale(data, stale) {
+    if (!stale) {
+      return data;
+    }
+    return Array.isArray(data) ? data.map(point => ({ ...point, stale: true })) : { ...data, stale: true };
+  }
+
+  /**
+   * Maps a WMO weather code to description and icon
+   * @param {number} code - WMO weather code
+   * @param {number} isDay - 1 for daytime, 0 for night
+   * @returns {Object} { description, icon }
+   */
+  mapWeatherCode(code, isDay = 1) {
+    const condition = WMO_WEATHER_CODES[code] || { description: 'unknown', icon: '03' };
+
+    return {
+      description: condition.description,
+      icon: `${condition.icon}${isDay ? 'd' : 'n'}`
+    };
+  }
+
+  /**
+   * Transform the Open-Meteo "current" block to our GroundData format
+   */
+  transformCurrentData(data) {
+    const current = data.current;
+
+    return this.buildGroundData(data, {
+      time: current.time,
+      temperature: current.temperature_2m,
+      apparentTemperature: current.apparent_temperature,
+      humidity: current.relative_humidity_2m,
+      surfacePressure: current.surface_pressure,
+      seaLevelPressure: current.pressure_msl,
+      weatherCode: current.weather_code,
+      isDay: current.is_day,
+      windSpeed: current.wind_speed_10m
+    });
+  }
+
+  /**
+   * Transform the Open-Meteo "hourly" arrays to an array of GroundData
+   */
+  transformHourlyData(data) {
+    const hourly = data.hourly;
+
+    return hourly.time.map((time, index) => this.buildGroundData(data, {
+      time,
+      temperature: hourly.temperature_2m[index],
+      apparentTemperature: hourly.apparent_temperature[index],
+      humidity: hourly.relative_humidity_2m[index],
+      surfacePressure: hourly.surface_pressure[index],
+      seaLevelPressure: hourly.pressure_msl[index],
+      weatherCode: hourly.weather_code[index],
+      isDay: hourly.is_day[index],
+      windSpeed: hourly.wind_speed_10m?.[index]
+    }));
+  }
+
+  /**
+   * Build a GroundData object from one time step
+   */
+  buildGroundData(data, step) {
+    const daily = this.findDailyExtremes(data.daily, step.time);
+    const round = (value) => Math.round(value * 10) / 10;
+
+    return {
+      timestamp: new Date(step.time * 1000).toISOString(),
+      location: {
+        lat: data.latitude,
+        lon: data.longitude,
+        timezone: data.timezone,
+        utcOffset: data.utc_offset_seconds
+      },
+      metrics: {
+        temperature: {
+          current: round(step.temperature),
+          feelsLike: round(step.apparentTemperature),
+          min24h: daily ? round(daily.min) : round(step.temperature),
+          max24h: daily ? round(daily.max) : round(step.temperature)
+        },
+        humidity: step.humidity,
+        pressure: {
+          current: round(step.surfacePressure),
+          seaLevel: round(step.seaLevelPressure ?? step.surfacePressure),
+          trend: "steady" // Open-Meteo doesn't provide trend; GroundDataService computes it from the series
+        },
+        wind: {
+          speed: typeof step.windSpeed === 'number' ? round(step.windSpeed) : null
+        }
+      },
+      conditions: this.mapWeatherCode(step.weatherCode, step.isDay)
+    };
+  }
+
+  /**
+   * Find the local day's min/max temperature for a unix time
+   */
+  findDailyExtremes(daily, time) {
+    if (!daily?.time?.length) {
+      return null;
+    }
+
+    // Daily times are local midnights; pick the last one not after `time`
+    let index = -1;
+    for (let i = 0; i < daily.time.length && daily.time[i] <= time; i++) {
+      index = i;
+    }
+
+    if (index === -1) {
+      return null;
+    }
+
+    return {
+      min: daily.temperature_2m_min[index],
+      max: daily.temperature_2m_max[index]
+    };
+  }
+
+  /**
+   * Provider interface: statistics
+   */
+  getStats() {
+    return {
+      cacheSize: this.cache.countByPrefix(`${this.name}:`),
+      requestCount: this.requestCount,
+      coalescedRequests: this.coalescer.getStats().coalesced,
+      timeUntilReset: this.rateLimiter.getWaitMs(), // Until the next request can go out
+      rateLimit: this.rateLimiter.getStats()
+    };
+  }
+
+  /**
+   * Provider interface: periodic cleanup of old cache entries
+   */
+  cleanup() {
+    this.cache.prune();
+  }
+}
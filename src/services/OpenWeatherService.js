@@ -1,19 +1,35 @@
 import axios from 'axios';
+import { toCardinalDirection, getPrecipitationType } from '../models/SkyData.js';
+import { ServerCache } from './ServerCache.js';
+import { RequestCoalescer } from './RequestCoalescer.js';
+import { TokenBucketLimiter, REQUEST_PRIORITIES, resolvePriority } from './TokenBucketLimiter.js';
+import { PROVENANCE_TYPES } from '../utils/TimeSeriesUtils.js';
 
 /**
  * OpenWeatherService - Real weather data from OpenWeatherMap API
  * 
  * Integrates with OpenWeatherMap API to fetch current weather and forecast data.
- * Handles rate limiting, caching, and data transformation to our GroundData format.
+ * Handles rate limiting, caching, and data transformation to our GroundData and
+ * SkyData formats. Raw responses are cached so both layers share one upstream call.
  */
 export class OpenWeatherService {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {ServerCache} [options.cache] - Shared server cache (default: a private one)
+   * @param {number} [options.maxStaleMs] - How long past expiry cached data is served while refreshing (default: CACHE_MAX_STALE or 30 minutes, 0 disables stale serving)
+   * @param {TokenBucketLimiter} [options.rateLimiter] - Upstream request budget (default: 60 requests per minute)
+   */
+  constructor(options = {}) {
+    this.name = 'openweather';
     this.baseURL = 'https://api.openweathermap.org/data/2.5';
     this.apiKey = process.env.OPENWEATHER_API_KEY;
-    this.cache = new Map();
+    this.cache = options.cache || new ServerCache();
+    this.coalescer = new RequestCoalescer();
+    const maxStaleMs = options.maxStaleMs ?? parseInt(process.env.CACHE_MAX_STALE);
+    this.maxStaleMs = Number.isFinite(maxStaleMs) ? maxStaleMs : 30 * 60 * 1000;
     this.requestCount = 0;
-    this.lastResetTime = Date.now();
     this.maxRequestsPerMinute = 60; // OpenWeatherMap free tier limit
+    this.rateLimiter = options.rateLimiter || new TokenBucketLimiter({ name: this.name, capacity: this.maxRequestsPerMinute });
     
     // Validate API key on initialization
     if (!this.apiKey) {
@@ -31,146 +47,180 @@ export class OpenWeatherService {
   }
 
   /**
-   * Check if we can make an API request (rate limiting)
+   * Provider capabilities (see ProviderRegistry)
    */
-  canMakeRequest() {
-    const now = Date.now();
-    
-    // Reset counter every minute
-    if (now - this.lastResetTime >= 60000) {
-      this.requestCount = 0;
-      this.lastResetTime = now;
-    }
-    
-    return this.requestCount < this.maxRequestsPerMinute;
+  get capabilities() {
+    return {
+      realtime: true,
+      forecastStepHours: 3,
+      maxForecastHours: 120,
+      requiresApiKey: true
+    };
   }
 
   /**
-   * Get cache key for location and endpoint
+   * Provider interface: the service is only usable with an API key
    */
-  getCacheKey(endpoint, lat, lon) {
-    return `${endpoint}_${lat.toFixed(2)}_${lon.toFixed(2)}`;
+  isAvailable() {
+    return !!this.apiKey;
   }
 
   /**
-   * Check if cached data is still valid
+   * Provider interface: current conditions
    */
-  isCacheValid(cacheEntry, maxAgeMs) {
-    return cacheEntry && (Date.now() - cacheEntry.timestamp < maxAgeMs);
+  async getCurrent(lat, lon, options) {
+    return this.getCurrentWeather(lat, lon, options);
   }
 
   /**
-   * Get current weather conditions
+   * Provider interface: timeline data
    */
-  async getCurrentWeather(lat, lon) {
+  async getTimeline(lat, lon, hours, options) {
+    return this.getTimelineData(lat, lon, hours, options);
+  }
+
+  /**
+   * Provider interface: statistics
+   */
+  getStats() {
+    return this.getCacheStats();
+  }
+
+  /**
+   * Provider interface: periodic cleanup
+   */
+  cleanup() {
+    this.cleanupCache();
+  }
+
+  /**
+   * Get cache key for location and endpoint
+   */
+  getCacheKey(endpoint, lat, lon) {
+    return `${this.name}:${endpoint}_${lat.toFixed(2)}_${lon.toFixed(2)}`;
+  }
+
+  /**
+   * Get the raw current weather response (cached)
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {Object} [options] - { prefetch }
+   * @returns {Promise<{data: Object, stale: boolean}>} Raw response and whether it is stale
+   */
+  async fetchCurrentWeather(lat, lon, options = {}) {
     if (!this.apiKey) {
       throw new Error('OpenWeatherMap API key not configured');
     }
 
-    if (!this.canMakeRequest()) {
-      throw new Error('Rate limit exceeded. Please try again later.');
-    }
-
     const cacheKey = this.getCacheKey('current', lat, lon);
-    const cachedData = this.cache.get(cacheKey);
-    
-    // Return cached data if less than 10 minutes old
-    if (this.isCacheValid(cachedData, 10 * 60 * 1000)) {
-      console.log('Returning cached current weather data');
-      return cachedData.data;
-    }
 
-    try {
-      this.requestCount++;
-      
-      const response = await this.client.get(`${this.baseURL}/weather`, {
-        params: {
-          lat: lat,
-          lon: lon,
-          appid: this.apiKey,
-          units: 'metric' // Get temperature in Celsius
-        }
-      });
+    return this.cache.getOrFetch(cacheKey, async () => {
+      await this.rateLimiter.acquire(resolvePriority(REQUEST_PRIORITIES.CURRENT, options));
 
-      const transformedData = this.transformCurrentWeatherData(response.data);
-      
-      // Cache the result
-      this.cache.set(cacheKey, {
-        data: transformedData,
-        timestamp: Date.now()
-      });
+      try {
+        this.requestCount++;
 
-      console.log(`OpenWeatherMap API: Current weather fetched for ${lat}, ${lon}`);
-      return transformedData;
+        const response = await this.client.get(`${this.baseURL}/weather`, {
+          params: {
+            lat: lat,
+            lon: lon,
+            appid: this.apiKey,
+            units: 'metric' // Get temperature in Celsius
+          }
+        });
 
-    } catch (error) {
-      console.error('OpenWeatherMap API error:', error.message);
-      
-      // If we have cached data (even if old), return it
-      if (cachedData) {
-        console.log('Returning stale cached data due to API error');
-        return cachedData.data;
+        console.log(`OpenWeatherMap API: Current weather fetched for ${lat}, ${lon}`);
+        return response.data;
+
+      } catch (error) {
+        console.error('OpenWeatherMap API error:', error.message);
+        throw new Error(`Failed to fetch weather data: ${error.message}`);
       }
-      
-      throw new Error(`Failed to fetch weather data: ${error.message}`);
-    }
+    }, { coalescer: this.coalescer, maxStaleMs: this.maxStaleMs });
   }
 
   /**
-   * Get 5-day forecast data
+   * Get the raw 5-day forecast response (cached)
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {Object} [options] - { prefetch }
+   * @returns {Promise<{data: Object, stale: boolean}>} Raw response and whether it is stale
    */
-  async getForecastData(lat, lon) {
+  async fetchForecast(lat, lon, options = {}) {
     if (!this.apiKey) {
       throw new Error('OpenWeatherMap API key not configured');
     }
 
-    if (!this.canMakeRequest()) {
-      throw new Error('Rate limit exceeded. Please try again later.');
-    }
-
     const cacheKey = this.getCacheKey('forecast', lat, lon);
-    const cachedData = this.cache.get(cacheKey);
-    
-    // Return cached data if less than 30 minutes old
-    if (this.isCacheValid(cachedData, 30 * 60 * 1000)) {
-      console.log('Returning cached forecast data');
-      return cachedData.data;
-    }
 
-    try {
-      this.requestCount++;
-      
-      const response = await this.client.get(`${this.baseURL}/forecast`, {
-        params: {
-          lat: lat,
-          lon: lon,
-          appid: this.apiKey,
-          units: 'metric' // Get temperature in Celsius
-        }
-      });
+    return this.cache.getOrFetch(cacheKey, async () => {
+      await this.rateLimiter.acquire(resolvePriority(REQUEST_PRIORITIES.FORECAST, options));
 
-      const transformedData = this.transformForecastData(response.data);
-      
-      // Cache the result
-      this.cache.set(cacheKey, {
-        data: transformedData,
-        timestamp: Date.now()
-      });
+      try {
+        this.requestCount++;
 
-      console.log(`OpenWeatherMap API: Forecast fetched for ${lat}, ${lon}`);
-      return transformedData;
+        const response = await this.client.get(`${this.baseURL}/forecast`, {
+          params: {
+            lat: lat,
+            lon: lon,
+            appid: this.apiKey,
+            units: 'metric' // Get temperature in Celsius
+          }
+        });
 
-    } catch (error) {
-      console.error('OpenWeatherMap forecast API error:', error.message);
-      
-      // If we have cached data (even if old), return it
-      if (cachedData) {
-        console.log('Returning stale cached forecast data due to API error');
-        return cachedData.data;
+        console.log(`OpenWeatherMap API: Forecast fetched for ${lat}, ${lon}`);
+        return response.data;
+
+      } catch (error) {
+        console.error('OpenWeatherMap forecast API error:', error.message);
+        throw new Error(`Failed to fetch forecast data: ${error.message}`);
       }
-      
-      throw new Error(`Failed to fetch forecast data: ${error.message}`);
+    }, { coalescer: this.coalescer, maxStaleMs: this.maxStaleMs });
+  }
+
+  /**
+   * Get current weather conditions
+   */
+  async getCurrentWeather(lat, lon, options) {
+    const { data, stale } = await this.fetchCurrentWeather(lat, lon, options);
+    return this.markStale(this.transformCurrentWeatherData(data), stale);
+  }
+
+  /**
+   * Get 5-day forecast data
+   */
+  async getForecastData(lat, lon, options) {
+    const { data, stale } = await this.fetchForecast(lat, lon, options);
+    return this.markStale(this.transformForecastData(data), stale);
+  }
+
+  /**
+   * Get current sky conditions (wind, clouds, precipitation, visibility)
+   */
+  async getCurrentSky(lat, lon, options) {
+    const { data, stale } = await this.fetchCurrentWeather(lat, lon, options);
+    return this.markStale(this.transformCurrentSkyData(data), stale);
+  }
+
+  /**
+   * Get 5-day sky forecast data
+   */
+  async getSkyForecastData(lat, lon, options) {
+    const { data, stale } = await this.fetchForecast(lat, lon, options);
+    return this.markStale(this.transformSkyForecastData(data), stale);
+  }
+
+  /**
+   * Flags data points built from an expired cache entry with `stale: true`
+   * @param {Object|Array<Object>} data - Data point(s)
+   * @param {boolean} stale - Whether the source response was stale
+   * @returns {Object|Array<Object>} Data point(s)
+   */
+  markStale(data, stale) {
+    if (!stale) {
+      return data;
     }
+    return Array.isArray(data) ? data.map(point => ({ ...point, stale: true })) : { ...data, stale: true };
   }
 
   /**
@@ -183,12 +233,15 @@ export class OpenWeatherService {
         lat: data.coord.lat,
         lon: data.coord.lon,
         city: data.name,
-        country: data.sys.country
+        country: data.sys.country,
+        utcOffset: data.timezone // Seconds
       },
       metrics: {
         temperature: {
           current: Math.round(data.main.temp * 10) / 10, // Round to 1 decimal
           feelsLike: Math.round(data.main.feels_like * 10) / 10,
+          // temp_min/temp_max are the spread within the city right now;
+          // GroundDataService replaces them with 24-hour extremes
           min24h: Math.round(data.main.temp_min * 10) / 10,
           max24h: Math.round(data.main.temp_max * 10) / 10
         },
@@ -196,7 +249,10 @@ export class OpenWeatherService {
         pressure: {
           current: data.main.pressure,
           seaLevel: data.main.sea_level || data.main.pressure,
-          trend: "steady" // OpenWeatherMap doesn't provide trend, default to steady
+          trend: "steady" // OpenWeatherMap doesn't provide trend; GroundDataService computes it from the series
+        },
+        wind: {
+          speed: data.wind?.speed ?? null
         }
       },
       conditions: {
@@ -216,7 +272,8 @@ export class OpenWeatherService {
         lat: data.city.coord.lat,
         lon: data.city.coord.lon,
         city: data.city.name,
-        country: data.city.country
+        country: data.city.country,
+        utcOffset: data.city.timezone
       },
       metrics: {
         temperature: {
@@ -230,6 +287,9 @@ export class OpenWeatherService {
           current: item.main.pressure,
           seaLevel: item.main.sea_level || item.main.pressure,
           trend: "steady"
+        },
+        wind: {
+          speed: item.wind?.speed ?? null
         }
       },
       conditions: {
@@ -239,26 +299,82 @@ export class OpenWeatherService {
     }));
   }
 
+  /**
+   * Transform OpenWeatherMap current weather response to our SkyData format
+   */
+  transformCurrentSkyData(data) {
+    return this.transformSkyItem(data, {
+      lat: data.coord.lat,
+      lon: data.coord.lon,
+      city: data.name,
+      country: data.sys.country
+    }, '1h');
+  }
+
+  /**
+   * Transform OpenWeatherMap forecast response to array of SkyData
+   */
+  transformSkyForecastData(data) {
+    const location = {
+      lat: data.city.coord.lat,
+      lon: data.city.coord.lon,
+      city: data.city.name,
+      country: data.city.country
+    };
+
+    return data.list.map(item => this.transformSkyItem(item, location, '3h'));
+  }
+
+  /**
+   * Map a single OpenWeatherMap weather item (current or forecast step) to SkyData
+   * @param {Object} item - OpenWeatherMap item with wind/clouds/rain/snow/visibility
+   * @param {Object} location - Location of the item
+   * @param {string} period - Precipitation accumulation period ("1h" or "3h")
+   */
+  transformSkyItem(item, location, period) {
+    const wind = item.wind || {};
+    const rain = item.rain?.[period] ?? 0;
+    const snow = item.snow?.[period] ?? 0;
+
+    return {
+      timestamp: new Date(item.dt * 1000).toISOString(),
+      location,
+      wind: {
+        speed: Math.round((wind.speed ?? 0) * 10) / 10,
+        gust: wind.gust !== undefined ? Math.round(wind.gust * 10) / 10 : null,
+        direction: wind.deg ?? null,
+        cardinal: toCardinalDirection(wind.deg)
+      },
+      clouds: {
+        cover: item.clouds?.all ?? 0
+      },
+      precipitation: {
+        rain: Math.round(rain * 100) / 100,
+        snow: Math.round(snow * 100) / 100,
+        periodHours: parseInt(period),
+        probability: item.pop ?? null, // Only present in forecast steps
+        type: getPrecipitationType(rain, snow)
+      },
+      visibility: item.visibility ?? null,
+      conditions: {
+        description: item.weather[0].description,
+        icon: item.weather[0].icon
+      }
+    };
+  }
+
   /**
    * Get combined timeline data (current + forecast)
    */
-  async getTimelineData(lat, lon, hours = 48) {
+  async getTimelineData(lat, lon, hours = 48, options) {
     try {
       // Get both current and forecast data
       const [currentWeather, forecastData] = await Promise.all([
-        this.getCurrentWeather(lat, lon),
-        this.getForecastData(lat, lon)
+        this.getCurrentWeather(lat, lon, options),
+        this.getForecastData(lat, lon, options)
       ]);
 
-      // Combine current weather with forecast
-      const allData = [currentWeather, ...forecastData];
-      
-      // Sort by timestamp and limit to requested hours
-      const sortedData = allData
-        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
-        .slice(0, Math.ceil(hours / 3)); // Forecast data is every 3 hours
-
-      return sortedData;
+      return this.combineTimeline(currentWeather, forecastData, hours);
 
     } catch (error) {
       console.error('Error getting timeline data:', error.message);
@@ -266,6 +382,39 @@ export class OpenWeatherService {
     }
   }
 
+  /**
+   * Get combined sky timeline data (current + forecast)
+   */
+  async getSkyTimelineData(lat, lon, hours = 48, options) {
+    try {
+      const [currentSky, skyForecast] = await Promise.all([
+        this.getCurrentSky(lat, lon, options),
+        this.getSkyForecastData(lat, lon, options)
+      ]);
+
+      return this.combineTimeline(currentSky, skyForecast, hours);
+
+    } catch (error) {
+      console.error('Error getting sky timeline data:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Combine current conditions with forecast steps into a sorted timeline.
+   * The current conditions are tagged as observed, since the layer services
+   * tag everything else in a timeline as forecast.
+   */
+  combineTimeline(current, forecast, hours) {
+    const observed = { ...current, provenance: { provider: this.name, type: PROVENANCE_TYPES.OBSERVED } };
+    const allData = [observed, ...forecast];
+    
+    // Sort by timestamp and limit to requested hours
+    return allData
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      .slice(0, Math.ceil(hours / 3)); // Forecast data is every 3 hours
+  }
+
   /**
    * Validate location coordinates
    */
@@ -274,17 +423,10 @@ export class OpenWeatherService {
   }
 
   /**
-   * Clean up old cache entries
+   * Clean up cache entries that are too old to serve even as a fallback
    */
   cleanupCache() {
-    const now = Date.now();
-    const maxAge = 60 * 60 * 1000; // 1 hour
-    
-    for (const [key, value] of this.cache.entries()) {
-      if (now - value.timestamp > maxAge) {
-        this.cache.delete(key);
-      }
-    }
+    this.cache.prune();
   }
 
   /**
@@ -292,9 +434,11 @@ export class OpenWeatherService {
    */
   getCacheStats() {
     return {
-      cacheSize: this.cache.size,
+      cacheSize: this.cache.countByPrefix(`${this.name}:`),
       requestCount: this.requestCount,
-      timeUntilReset: Math.max(0, 60000 - (Date.now() - this.lastResetTime))
+      coalescedRequests: this.coalescer.getStats().coalesced,
+      timeUntilReset: this.rateLimiter.getWaitMs(), // Until the next request can go out
+      rateLimit: this.rateLimiter.getStats()
     };
   }
 }
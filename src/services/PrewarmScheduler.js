@@ -0,0 +1,201 @@
+import cron from 'node-cron';
+import { getGridCell, isValidLocation } from '../utils/GeoUtils.js';
+
+/**
+ * PrewarmScheduler - Scheduled background work for the server
+ *
+ * Tracks which location grid cells are requested most and, on a cron
+ * schedule, refreshes their current conditions and timeline so the first
+ * request after a quiet period finds a warm cache. Also runs the periodic
+ * cache cleanup. Locations not requested within `trackingWindowMs` drop out,
+ * and at most `maxTrackedLocations` are tracked: a new location takes the
+ * place of the least requested one.
+ */
+export class PrewarmScheduler {
+  /**
+   * @param {Object} options
+   * @param {GroundDataService} options.groundDataService - Service whose data is pre-warmed and cleaned up
+   * @param {SkyDataService} [options.skyDataService] - Also pre-warmed when given
+   * @param {string} [options.prewarmCron] - Pre-warm schedule (default: PREWARM_CRON or every 10 minutes)
+   * @param {string} [options.cleanupCron] - Cleanup schedule (default: CLEANUP_CRON or every 15 minutes)
+   * @param {number} [options.topLocations] - Number of locations to pre-warm (default: PREWARM_TOP_LOCATIONS or 5)
+   * @param {number} [options.hours] - Timeline length to pre-warm (default: 24)
+   * @param {number} [options.trackingWindowMs] - How long a request keeps a location popular (default: 24 hours)
+   * @param {number} [options.maxTrackedLocations] - Most locations tracked at once (default: PREWARM_MAX_TRACKED or 1000)
+   */
+  constructor(options) {
+    this.groundDataService = options.groundDataService;
+    this.skyDataService = options.skyDataService || null;
+    this.prewarmCron = options.prewarmCron || process.env.PREWARM_CRON || '*/10 * * * *';
+    this.cleanupCron = options.cleanupCron || process.env.CLEANUP_CRON || '*/15 * * * *';
+    this.topLocations = options.topLocations ?? (parseInt(process.env.PREWARM_TOP_LOCATIONS) || 5);
+    this.hours = options.hours || 24;
+    this.trackingWindowMs = options.trackingWindowMs || 24 * 60 * 60 * 1000;
+    this.maxTrackedLocations = options.maxTrackedLocations || parseInt(process.env.PREWARM_MAX_TRACKED) || 1000;
+
+    this.locations = new Map(); // grid cell key -> { lat, lon, count, lastRequestedAt }
+    this.tasks = [];
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Starts the cron jobs
+   */
+  start() {
+    for (const expression of [this.prewarmCron, this.cleanupCron]) {
+      if (!cron.validate(expression)) {
+        throw new Error(`Invalid cron expression '${expression}'`);
+      }
+    }
+
+    this.stop();
+    this.tasks = [
+      cron.schedule(this.prewarmCron, () => this.prewarm()),
+      cron.schedule(this.cleanupCron, () => this.cleanup())
+    ];
+
+    console.log(`PrewarmScheduler: Pre-warming top ${this.topLocations} locations on '${this.prewarmCron}', cleanup on '${this.cleanupCron}'`);
+  }
+
+  /**
+   * Stops the cron jobs
+   */
+  stop() {
+    this.tasks.forEach(task => task.stop());
+    this.tasks = [];
+  }
+
+  /**
+   * Counts a request for a location
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   */
+  trackRequest(lat, lon) {
+    if (!isValidLocation(lat, lon)) {
+      return;
+    }
+
+    const { key } = getGridCell(lat, lon);
+    const entry = this.locations.get(key) || { count: 0 };
+
+    if (!this.locations.has(key) && this.locations.size >= this.maxTrackedLocations) {
+      this.evictLocation();
+    }
+
+    // Keep the latest coordinates so pre-warming hits the same cache keys as users
+    this.locations.set(key, { lat, lon, count: entry.count + 1, lastRequestedAt: Date.now() });
+  }
+
+  /**
+   * Makes room for a new location: forgets expired locations or, when none
+   * have expired, the least requested one (the oldest on a tie)
+   */
+  evictLocation() {
+    this.forgetExpiredLocations();
+    if (this.locations.size < this.maxTrackedLocations) {
+      return;
+    }
+
+    let leastKey = null;
+    let least = null;
+    for (const [key, entry] of this.locations) {
+      if (!least || entry.count < least.count || (entry.count === least.count && entry.lastRequestedAt < least.lastRequestedAt)) {
+        leastKey = key;
+        least = entry;
+      }
+    }
+    this.locations.delete(leastKey);
+  }
+
+  /**
+   * Forgets locations not requested within the tracking window
+   */
+  forgetExpiredLocations() {
+    const cutoff = Date.now() - this.trackingWindowMs;
+    for (const [key, entry] of this.locations) {
+      if (entry.lastRequestedAt < cutoff) {
+        this.locations.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Gets the most requested locations within the tracking window
+   * @param {number} [limit] - Maximum number of locations (default: topLocations)
+   * @returns {Array<Object>} { key, lat, lon, count, lastRequestedAt }, most requested first
+   */
+  getPopularLocations(limit = this.topLocations) {
+    const cutoff = Date.now() - this.trackingWindowMs;
+
+    return [...this.locations.entries()]
+      .filter(([, entry]) => entry.lastRequestedAt >= cutoff)
+      .map(([key, entry]) => ({ key, ...entry }))
+      .sort((a, b) => b.count - a.count || b.lastRequestedAt - a.lastRequestedAt)
+      .slice(0, limit);
+  }
+
+  /**
+   * Refreshes current conditions and timelines of the most requested locations
+   * @returns {Promise<Object|null>} Run summary, or null when a run is already in progress
+   */
+  async prewarm() {
+    if (this.running) {
+      console.warn('PrewarmScheduler: Previous pre-warm still running, skipping');
+      return null;
+    }
+
+    this.running = true;
+    const startedAt = Date.now();
+    const locations = this.getPopularLocations();
+    const options = { prefetch: true }; // User requests go first when the upstream budget is short
+    let failures = 0;
+
+    try {
+      for (const { lat, lon } of locations) {
+        const results = await Promise.allSettled([
+          this.groundDataService.getCurrentConditions(lat, lon, options),
+          this.groundDataService.getTimelineData(lat, lon, this.hours, options),
+          ...(this.skyDataService ? [this.skyDataService.getTimelineData(lat, lon, this.hours, options)] : [])
+        ]);
+
+        for (const result of results.filter(result => result.status === 'rejected')) {
+          failures++;
+          console.warn(`PrewarmScheduler: Pre-warming ${lat}, ${lon} failed:`, result.reason?.message);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    this.lastRun = {
+      startedAt: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt,
+      locations: locations.length,
+      failures
+    };
+    return this.lastRun;
+  }
+
+  /**
+   * Cleans up service caches and forgets locations outside the tracking window
+   */
+  cleanup() {
+    this.groundDataService.cleanup();
+    this.forgetExpiredLocations();
+  }
+
+  /**
+   * Get scheduler statistics
+   */
+  getStats() {
+    return {
+      active: this.tasks.length > 0,
+      prewarmCron: this.prewarmCron,
+      cleanupCron: this.cleanupCron,
+      trackedLocations: this.locations.size,
+      popularLocations: this.getPopularLocations(),
+      lastRun: this.lastRun
+    };
+  }
+}
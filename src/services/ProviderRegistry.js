@@ -0,0 +1,190 @@
+import { MockDataService } from './MockDataService.js';
+import { OpenWeatherService } from './OpenWeatherService.js';
+import { OpenMeteoService } from './OpenMeteoService.js';
+
+/**
+ * Methods every weather provider must implement
+ *
+ * - name: unique provider name
+ * - capabilities: { realtime, forecastStepHours, maxForecastHours, requiresApiKey }
+ * - getCurrent(lat, lon, options): Promise<GroundData>
+ * - getTimeline(lat, lon, hours, options): Promise<Array<GroundData>>
+ *   (options: { prefetch } marks background work)
+ *
+ * Optional: isAvailable(), getStats(), cleanup(),
+ * getHistory(lat, lon, start, end): Promise<Array<GroundData>> for past hours,
+ * and SKY_PROVIDER_INTERFACE for providers that also serve the Sky layer
+ */
+export const PROVIDER_INTERFACE = ['getCurrent', 'getTimeline'];
+
+/**
+ * Methods of providers that also serve the Sky layer
+ *
+ * - getCurrentSky(lat, lon, options): Promise<SkyData>
+ * - getSkyTimelineData(lat, lon, hours, options): Promise<Array<SkyData>>
+ */
+export const SKY_PROVIDER_INTERFACE = ['getCurrentSky', 'getSkyTimelineData'];
+
+/**
+ * Factories for the providers that can be enabled by name from the environment.
+ * Each receives the shared provider options (e.g. { cache }).
+ */
+export const PROVIDER_FACTORIES = {
+  openweather: (options) => new OpenWeatherService(options),
+  openmeteo: (options) => new OpenMeteoService(options),
+  mock: () => new MockDataService()
+};
+
+/**
+ * Default provider configuration when WEATHER_PROVIDERS is not set
+ */
+export const DEFAULT_PROVIDER_CONFIG = 'openweather:10,mock:0';
+
+/**
+ * Parses a provider configuration string
+ * @param {string} value - Comma-separated "name:priority" pairs, e.g. "openweather:10,mock:0"
+ * @returns {Array<{name: string, priority: number}>} Parsed entries
+ */
+export function parseProviderConfig(value = DEFAULT_PROVIDER_CONFIG) {
+  return value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [name, priority] = entry.split(':').map(part => part.trim());
+      return {
+        name: name.toLowerCase(),
+        priority: priority === undefined || priority === '' ? 0 : Number(priority)
+      };
+    });
+}
+
+/**
+ * ProviderRegistry - Named, prioritised weather data providers
+ *
+ * Providers register under a name with a priority. Higher priorities are
+ * preferred; unavailable providers (e.g. missing API key) are skipped when
+ * picking the preferred provider.
+ */
+export class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  /**
+   * Registers a provider
+   * @param {Object} provider - Provider implementing PROVIDER_INTERFACE
+   * @param {Object} [options]
+   * @param {number} [options.priority] - Higher is preferred (default: 0)
+   */
+  register(provider, { priority = 0 } = {}) {
+    if (!provider?.name) {
+      throw new Error('Provider must have a name');
+    }
+
+    const missing = PROVIDER_INTERFACE.filter(method => typeof provider[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Provider '${provider.name}' is missing required methods: ${missing.join(', ')}`);
+    }
+
+    if (!Number.isFinite(priority)) {
+      throw new Error(`Provider '${provider.name}' has an invalid priority`);
+    }
+
+    this.providers.set(provider.name, { provider, priority });
+  }
+
+  /**
+   * Gets a provider by name
+   * @param {string} name - Provider name
+   * @returns {Object|undefined} Provider instance
+   */
+  get(name) {
+    return this.providers.get(name)?.provider;
+  }
+
+  /**
+   * Checks whether a provider is registered
+   * @param {string} name - Provider name
+   * @returns {boolean} True if registered
+   */
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  /**
+   * Checks whether a provider is registered and usable
+   * @param {string} name - Provider name
+   * @returns {boolean} True if available
+   */
+  isAvailable(name) {
+    const provider = this.get(name);
+    return !!provider && (typeof provider.isAvailable !== 'function' || provider.isAvailable());
+  }
+
+  /**
+   * Lists registered provider names
+   * @returns {Array<string>} Names sorted by priority (highest first)
+   */
+  names() {
+    return this.getOrdered({ includeUnavailable: true }).map(provider => provider.name);
+  }
+
+  /**
+   * Gets providers sorted by priority
+   * @param {Object} [options]
+   * @param {boolean} [options.includeUnavailable] - Include providers that are not usable
+   * @returns {Array<Object>} Provider instances, highest priority first
+   */
+  getOrdered({ includeUnavailable = false } = {}) {
+    return [...this.providers.values()]
+      .sort((a, b) => b.priority - a.priority)
+      .map(entry => entry.provider)
+      .filter(provider => includeUnavailable || this.isAvailable(provider.name));
+  }
+
+  /**
+   * Gets the highest priority available provider
+   * @returns {Object|undefined} Provider instance
+   */
+  getPreferred() {
+    return this.getOrdered()[0];
+  }
+
+  /**
+   * Describes registered providers for stats endpoints
+   * @returns {Array<Object>} name, priority, available and capabilities per provider
+   */
+  describe() {
+    return [...this.providers.values()]
+      .sort((a, b) => b.priority - a.priority)
+      .map(({ provider, priority }) => ({
+        name: provider.name,
+        priority,
+        available: this.isAvailable(provider.name),
+        capabilities: provider.capabilities
+      }));
+  }
+
+  /**
+   * Builds a registry from a configuration string
+   * @param {string} [config] - "name:priority" pairs (default: WEATHER_PROVIDERS or DEFAULT_PROVIDER_CONFIG)
+   * @param {Object} [factories] - Provider factories by name (default: PROVIDER_FACTORIES)
+   * @param {Object} [options] - Options passed to every factory, e.g. { cache }
+   * @returns {ProviderRegistry} Configured registry
+   */
+  static fromConfig(config = process.env.WEATHER_PROVIDERS || DEFAULT_PROVIDER_CONFIG, factories = PROVIDER_FACTORIES, options = {}) {
+    const registry = new ProviderRegistry();
+
+    for (const { name, priority } of parseProviderConfig(config)) {
+      const factory = factories[name];
+      if (!factory) {
+        console.warn(`ProviderRegistry: Unknown provider '${name}' in configuration, skipping`);
+        continue;
+      }
+      registry.register(factory(options), { priority });
+    }
+
+    return registry;
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * RequestCoalescer - Shares one in-flight promise between identical calls
+ *
+ * When several callers ask for the same key while a request is still
+ * running, they all get the promise of the first call instead of starting
+ * their own upstream request. The key is released once the call settles.
+ */
+export class RequestCoalescer {
+  constructor() {
+    this.inFlight = new Map();
+    this.started = 0;
+    this.coalesced = 0;
+  }
+
+  /**
+   * Runs a call, or joins the one already running for the same key
+   * @param {string} key - Request key (e.g. the cache key)
+   * @param {Function} fn - () => Promise, only called when nothing is in flight
+   * @returns {Promise<*>} Result of the shared call
+   */
+  run(key, fn) {
+    if (this.inFlight.has(key)) {
+      this.coalesced++;
+      return this.inFlight.get(key);
+    }
+
+    this.started++;
+    const promise = Promise.resolve()
+      .then(fn)
+      .finally(() => this.inFlight.delete(key));
+
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Get coalescing statistics
+   */
+  getStats() {
+    return {
+      inFlight: this.inFlight.size,
+      started: this.started,
+      coalesced: this.coalesced
+    };
+  }
+}
@@ -0,0 +1,264 @@
+import { SeaData } from '../models/SeaData.js';
+import { TIDE_STATIONS } from '../data/tideStations.js';
+import { isValidLocation, haversineDistance } from '../utils/GeoUtils.js';
+import { predictTideHeight, findTideExtremes } from '../utils/TideUtils.js';
+import { ServerCache } from './ServerCache.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const TREND_STEP_MS = 10 * 60 * 1000;
+const EXTREME_MARGIN_MS = 13 * HOUR_MS; // Longer than the longest gap between two extremes
+
+/**
+ * SeaDataService - Tide and water temperature for the Sea layer
+ *
+ * Predicts tides offline from the harmonic constants of the nearest bundled
+ * tide station. Locations further than `maxStationDistanceKm` from any
+ * station (inland or uncovered coasts) have no sea data.
+ */
+export class SeaDataService {
+  /**
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.stations] - Tide stations (default: bundled stations)
+   * @param {number} [options.maxStationDistanceKm] - Maximum distance to the nearest station
+   * @param {ServerCache} [options.cache] - Shared server cache for computed timelines (default: a private one)
+   */
+  constructor(options = {}) {
+    this.stations = options.stations || TIDE_STATIONS;
+    this.maxStationDistanceKm = options.maxStationDistanceKm ||
+      parseFloat(process.env.SEA_MAX_STATION_DISTANCE_KM) || 100;
+    this.cache = options.cache || new ServerCache();
+  }
+
+  /**
+   * Gets current tide and water temperature
+   * @param {number} lat - Latitude (default: New York)
+   * @param {number} lon - Longitude (default: New York)
+   * @param {Date} date - Time of prediction (default: now)
+   * @returns {Promise<SeaData|null>} Sea data, or null when no station covers the location
+   */
+  async getCurrentConditions(lat = 40.7128, lon = -74.0060, date = new Date()) {
+    if (!this.validateLocation(lat, lon)) {
+      throw new Error('Invalid coordinates provided');
+    }
+
+    const nearest = this.findStation(lat, lon);
+    if (!nearest) {
+      return null;
+    }
+
+    const extremes = this.getExtremesAround(nearest.station, date, date);
+    return this.calculateDataPoint(lat, lon, nearest, date, extremes);
+  }
+
+  /**
+   * Gets hourly sea data centred on the current hour
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {number} hours - Number of hours to include
+   * @returns {Promise<Array<SeaData>>} Array of sea data points (empty when no station covers the location)
+   */
+  async getTimelineData(lat = 40.7128, lon = -74.0060, hours = 24) {
+    if (!this.validateLocation(lat, lon)) {
+      throw new Error('Invalid coordinates provided');
+    }
+
+    if (hours < 1 || hours > 168) { // Limit to 1 week max
+      throw new Error('Hours must be between 1 and 168');
+    }
+
+    const nearest = this.findStation(lat, lon);
+    if (!nearest) {
+      return [];
+    }
+
+    const { start, end } = this.getTimelineWindow(hours);
+    const cacheKey = `sea:timeline_${lat.toFixed(4)}_${lon.toFixed(4)}_${hours}_${start.getTime()}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    const extremes = this.getExtremesAround(nearest.station, start, end);
+    const dataPoints = [];
+
+    for (let time = start.getTime(); time <= end.getTime(); time += HOUR_MS) {
+      dataPoints.push(this.calculateDataPoint(lat, lon, nearest, new Date(time), extremes));
+    }
+
+    this.cache.set(cacheKey, dataPoints);
+    return dataPoints;
+  }
+
+  /**
+   * Gets the high and low tides within the timeline window
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {number} hours - Number of hours in the timeline
+   * @returns {Array<Object>} Extremes as { type, time, height } with ISO times
+   */
+  getTideExtremes(lat, lon, hours = 24) {
+    const nearest = this.findStation(lat, lon);
+    if (!nearest) {
+      return [];
+    }
+
+    const { start, end } = this.getTimelineWindow(hours);
+    return findTideExtremes(nearest.station, start, end).map(extreme => this.formatExtreme(extreme));
+  }
+
+  /**
+   * Describes whether sea data exists for a location
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {Object} Availability with the nearest station and a message when unavailable
+   */
+  getAvailability(lat, lon) {
+    const nearest = this.findNearestStation(lat, lon);
+    const available = nearest.distanceKm <= this.maxStationDistanceKm;
+
+    return {
+      available,
+      nearestStation: {
+        id: nearest.station.id,
+        name: nearest.station.name,
+        distanceKm: Math.round(nearest.distanceKm)
+      },
+      ...(!available && {
+        message: `No sea data for this location: nearest tide station is ${Math.round(nearest.distanceKm)} km away (max ${this.maxStationDistanceKm} km)`
+      })
+    };
+  }
+
+  /**
+   * Finds the closest tide station regardless of distance
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {{station: Object, distanceKm: number}} Nearest station and its distance
+   */
+  findNearestStation(lat, lon) {
+    return this.stations.reduce((nearest, station) => {
+      const distanceKm = haversineDistance(lat, lon, station.lat, station.lon);
+      return !nearest || distanceKm < nearest.distanceKm ? { station, distanceKm } : nearest;
+    }, null);
+  }
+
+  /**
+   * Finds the closest tide station within range
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {{station: Object, distanceKm: number}|null} Nearest station, or null if out of range
+   */
+  findStation(lat, lon) {
+    const nearest = this.findNearestStation(lat, lon);
+    return nearest && nearest.distanceKm <= this.maxStationDistanceKm ? nearest : null;
+  }
+
+  /**
+   * Builds a single sea data point
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {Object} nearest - Nearest station and distance
+   * @param {Date} date - Time of prediction
+   * @param {Array<Object>} extremes - Precomputed extremes covering the date
+   * @returns {SeaData} Complete sea data point
+   */
+  calculateDataPoint(lat, lon, nearest, date, extremes) {
+    const { station, distanceKm } = nearest;
+    const height = predictTideHeight(station, date);
+    const nextHeight = predictTideHeight(station, new Date(date.getTime() + TREND_STEP_MS));
+    const upcoming = extremes.filter(extreme => extreme.time > date);
+    const nextHigh = upcoming.find(extreme => extreme.type === 'high');
+    const nextLow = upcoming.find(extreme => extreme.type === 'low');
+
+    return new SeaData({
+      timestamp: date.toISOString(),
+      location: { lat, lon },
+      station: {
+        id: station.id,
+        name: station.name,
+        country: station.country,
+        lat: station.lat,
+        lon: station.lon,
+        distanceKm: Math.round(distanceKm * 10) / 10
+      },
+      tide: {
+        height: Math.round(height * 100) / 100,
+        datum: "MSL",
+        trend: nextHeight >= height ? "rising" : "falling",
+        nextHigh: nextHigh ? this.formatExtreme(nextHigh) : null,
+        nextLow: nextLow ? this.formatExtreme(nextLow) : null
+      },
+      waterTemperature: {
+        current: this.getWaterTemperature(station, date),
+        source: "climatology"
+      }
+    });
+  }
+
+  /**
+   * Interpolates the monthly water temperature climatology for a date
+   * @param {Object} station - Tide station
+   * @param {Date} date - Date of interest
+   * @returns {number|null} Water temperature in Celsius
+   */
+  getWaterTemperature(station, date) {
+    const monthly = station.waterTemperature;
+    if (!monthly || monthly.length !== 12) {
+      return null;
+    }
+
+    // Monthly means are centred mid-month; blend with the neighbouring month
+    const month = date.getUTCMonth();
+    const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), month + 1, 0)).getUTCDate();
+    const position = (date.getUTCDate() - 1) / daysInMonth - 0.5;
+    const neighbour = (month + (position >= 0 ? 1 : 11)) % 12;
+    const weight = Math.abs(position);
+    const temperature = monthly[month] * (1 - weight) + monthly[neighbour] * weight;
+
+    return Math.round(temperature * 10) / 10;
+  }
+
+  /**
+   * Computes extremes with enough margin to know the next high and low
+   */
+  getExtremesAround(station, start, end) {
+    return findTideExtremes(
+      station,
+      new Date(start.getTime() - EXTREME_MARGIN_MS),
+      new Date(end.getTime() + EXTREME_MARGIN_MS)
+    );
+  }
+
+  /**
+   * Hourly window centred on the current hour, matching the other layers
+   */
+  getTimelineWindow(hours) {
+    const currentHour = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+
+    return {
+      start: new Date(currentHour + Math.floor(-hours / 2) * HOUR_MS),
+      end: new Date(currentHour + Math.ceil(hours / 2) * HOUR_MS)
+    };
+  }
+
+  /**
+   * Converts an extreme to its JSON representation
+   */
+  formatExtreme(extreme) {
+    return {
+      type: extreme.type,
+      time: extreme.time.toISOString(),
+      height: Math.round(extreme.height * 100) / 100
+    };
+  }
+
+  /**
+   * Validates location coordinates
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {boolean} True if valid coordinates
+   */
+  validateLocation(lat, lon) {
+    return isValidLocation(lat, lon);
+  }
+}
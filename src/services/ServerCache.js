@@ -0,0 +1,200 @@
+/**
+ * ServerCache - Shared in-memory cache for providers and layer services
+ *
+ * Entries expire after a TTL and the least recently used entry is evicted
+ * once `maxEntries` is reached. Expired entries are kept (see getEntry) so
+ * callers can fall back to stale data when an upstream fails; prune() drops
+ * them for good once they are older than the stale retention window.
+ * Keys are shared by every user of the cache, so prefix them with a namespace
+ * (e.g. "openweather:current_40.71_-74.01").
+ *
+ * getOrFetch() adds stale-while-revalidate on top: recently expired entries
+ * are served at once (marked stale) while a background refresh runs, and
+ * nothing is served once it is past the maximum staleness.
+ */
+export class ServerCache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttlMs] - Default time to live (default: CACHE_DURATION or 5 minutes)
+   * @param {number} [options.maxEntries] - Entries kept before evicting (default: CACHE_MAX_ENTRIES or 500)
+   */
+  constructor(options = {}) {
+    this.ttlMs = Number(options.ttlMs) || parseInt(process.env.CACHE_DURATION) || 5 * 60 * 1000;
+    this.maxEntries = Number(options.maxEntries) || parseInt(process.env.CACHE_MAX_ENTRIES) || 500;
+    this.entries = new Map(); // Insertion order doubles as recency order
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Gets a fresh value, counting the hit or miss
+   * @param {string} key - Cache key
+   * @returns {*} Cached value, or undefined when missing or expired
+   */
+  get(key) {
+    const entry = this.getEntry(key);
+
+    if (!entry || entry.expired) {
+      this.misses++;
+      return undefined;
+    }
+
+    this.hits++;
+    this.touch(key);
+    return entry.value;
+  }
+
+  /**
+   * Gets an entry whether or not it has expired, without counting it
+   * @param {string} key - Cache key
+   * @returns {Object|undefined} { value, storedAt, expiresAt, expired }
+   */
+  getEntry(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    return { ...entry, expired: Date.now() >= entry.expiresAt };
+  }
+
+  /**
+   * Stores a value
+   * @param {string} key - Cache key
+   * @param {*} value - Value to store
+   * @param {number} [ttlMs] - Time to live for this entry (default: the cache TTL)
+   */
+  set(key, value, ttlMs = this.ttlMs) {
+    const now = Date.now();
+
+    this.entries.delete(key);
+    this.entries.set(key, { value, storedAt: now, expiresAt: now + ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  /**
+   * Gets a value, fetching it when needed, with stale-while-revalidate:
+   * - fresh entry: returned as is
+   * - expired for less than `maxStaleMs`: returned at once as stale, refreshed in the background
+   * - older or missing: the caller waits for the fetch, and a failed fetch
+   *   throws rather than serving data past the maximum staleness
+   * @param {string} key - Cache key
+   * @param {Function} request - () => Promise<value> doing the upstream call
+   * @param {Object} [options]
+   * @param {RequestCoalescer} [options.coalescer] - Shares in-flight fetches for the same key
+   * @param {number} [options.maxStaleMs] - Longest time past expiry an entry is served without waiting (default: 0)
+   * @returns {Promise<{data: *, stale: boolean}>} Value and whether it is stale
+   */
+  async getOrFetch(key, request, { coalescer, maxStaleMs = 0 } = {}) {
+    const cached = this.get(key);
+    if (cached !== undefined) {
+      return { data: cached, stale: false };
+    }
+
+    const fetchAndStore = async () => {
+      const data = await request();
+      this.set(key, data);
+      return { data, stale: false };
+    };
+    const refresh = () => (coalescer ? coalescer.run(key, fetchAndStore) : fetchAndStore());
+
+    const entry = this.getEntry(key);
+    if (entry && Date.now() - entry.expiresAt <= maxStaleMs) {
+      refresh().catch(error => console.warn(`ServerCache: Background refresh of '${key}' failed: ${error.message}`));
+      return { data: entry.value, stale: true };
+    }
+
+    return refresh();
+  }
+
+  /**
+   * Checks whether a fresh value is cached
+   * @param {string} key - Cache key
+   * @returns {boolean} True if cached and not expired
+   */
+  has(key) {
+    const entry = this.getEntry(key);
+    return !!entry && !entry.expired;
+  }
+
+  /**
+   * Removes an entry
+   * @param {string} key - Cache key
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Removes every entry
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Marks an entry as most recently used
+   */
+  touch(key) {
+    const entry = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+  }
+
+  /**
+   * Removes entries that expired longer ago than the stale retention window
+   * @param {Object} [options]
+   * @param {number} [options.staleRetentionMs] - How long expired entries stay available as fallback (default: 1 hour)
+   * @returns {number} Number of entries removed
+   */
+  prune({ staleRetentionMs = 60 * 60 * 1000 } = {}) {
+    const cutoff = Date.now() - staleRetentionMs;
+    let removed = 0;
+
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt < cutoff) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Number of entries with the given key prefix
+   * @param {string} prefix - Key prefix, e.g. "openweather:"
+   * @returns {number} Entry count
+   */
+  countByPrefix(prefix) {
+    let count = 0;
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(prefix)) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Get cache statistics
+   */
+  getStats() {
+    const lookups = this.hits + this.misses;
+
+    return {
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      ttlMs: this.ttlMs,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? Math.round(this.hits / lookups * 1000) / 1000 : 0,
+      evictions: this.evictions
+    };
+  }
+}
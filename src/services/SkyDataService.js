@@ -0,0 +1,243 @@
+import { MockSkyDataService } from './MockSkyDataService.js';
+import { ProviderRegistry, SKY_PROVIDER_INTERFACE } from './ProviderRegistry.js';
+import { CircuitBreaker } from './CircuitBreaker.js';
+import { isProviderFailure } from './GroundDataService.js';
+import { isValidLocation } from '../utils/GeoUtils.js';
+import { PROVENANCE_TYPES } from '../utils/TimeSeriesUtils.js';
+
+/**
+ * SkyDataService - Abstraction layer for Sky layer data
+ *
+ * Provides wind, cloud, precipitation and visibility data from the
+ * registered providers that implement SKY_PROVIDER_INTERFACE, mirroring
+ * GroundDataService: providers are tried in priority order, each behind a
+ * circuit breaker, and mock data is the last resort. A specific provider
+ * (or "mock") can be selected with setProvider().
+ *
+ * Results carry their `source`, a `degraded` flag and a `stale` flag like
+ * GroundDataService results. Current conditions are observed and timeline
+ * steps forecast; points a provider already tagged (the current
+ * observation at the start of a timeline) keep their provenance. Mock data
+ * is degraded and synthetic.
+ */
+export class SkyDataService {
+  /**
+   * @param {Object} [options]
+   * @param {ProviderRegistry} [options.registry] - Provider registry, usually shared with
+   *   GroundDataService so both layers reuse the same cached responses (default: from WEATHER_PROVIDERS)
+   * @param {ServerCache} [options.cache] - Shared server cache for a service-owned registry
+   * @param {Function} [options.getCircuitBreaker] - (name) => CircuitBreaker, to share the Ground
+   *   layer's breakers since both layers call the same upstream (default: breakers of its own)
+   * @param {Object} [options.circuitBreaker] - Options for breakers of its own
+   */
+  constructor(options = {}) {
+    this.registry = options.registry || ProviderRegistry.fromConfig(undefined, undefined, { cache: options.cache });
+    this.mockService = new MockSkyDataService();
+    this.selectedProvider = null; // null = automatic (highest priority Sky provider)
+    this.circuitBreakers = new Map();
+    this.circuitBreakerOptions = options.circuitBreaker || {};
+    this.getCircuitBreaker = options.getCircuitBreaker || (name => this.getOwnCircuitBreaker(name));
+  }
+
+  /**
+   * Gets the available providers serving the Sky layer, by priority
+   * @returns {Array<Object>} Provider instances
+   */
+  getSkyProviders() {
+    return this.registry.getOrdered()
+      .filter(provider => SKY_PROVIDER_INTERFACE.every(method => typeof provider[method] === 'function'));
+  }
+
+  /**
+   * Gets the failover chain: the selected provider or every Sky provider by
+   * priority, then mock data
+   * @returns {Array<Object>} Provider instances
+   */
+  getProviderChain() {
+    if (this.selectedProvider === this.mockService.name) {
+      return [this.mockService];
+    }
+
+    const providers = this.getSkyProviders();
+    const selected = providers.find(provider => provider.name === this.selectedProvider);
+    return [...(selected ? [selected] : providers), this.mockService];
+  }
+
+  /**
+   * Gets the provider currently serving requests
+   * @returns {Object} Provider instance
+   */
+  getActiveProvider() {
+    return this.getProviderChain()[0];
+  }
+
+  /**
+   * Gets (or creates) a circuit breaker owned by this service
+   * @param {string} name - Provider name
+   * @returns {CircuitBreaker} Circuit breaker
+   */
+  getOwnCircuitBreaker(name) {
+    if (!this.circuitBreakers.has(name)) {
+      this.circuitBreakers.set(name, new CircuitBreaker({ name, isFailure: isProviderFailure, ...this.circuitBreakerOptions }));
+    }
+    return this.circuitBreakers.get(name);
+  }
+
+  /**
+   * Gets current sky conditions
+   * @param {number} lat - Latitude (default: New York)
+   * @param {number} lon - Longitude (default: New York)
+   * @param {Object} [options] - Passed to the provider, e.g. { prefetch: true } for background work
+   * @returns {Promise<{data: SkyData, source: string, degraded: boolean, stale: boolean}>} Current sky data and its source
+   */
+  async getCurrentConditions(lat = 40.7128, lon = -74.0060, options = {}) {
+    if (!this.validateLocation(lat, lon)) {
+      throw new Error('Invalid coordinates provided');
+    }
+
+    return this.runWithFailover('sky data', PROVENANCE_TYPES.OBSERVED, provider => provider.getCurrentSky(lat, lon, options));
+  }
+
+  /**
+   * Gets sky timeline data
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {number} hours - Number of hours to include
+   * @param {Object} [options] - Passed to the provider, e.g. { prefetch: true } for background work
+   * @returns {Promise<{data: Array<SkyData>, source: string, degraded: boolean, stale: boolean}>} Sky data points and their source
+   */
+  async getTimelineData(lat = 40.7128, lon = -74.0060, hours = 24, options = {}) {
+    if (!this.validateLocation(lat, lon)) {
+      throw new Error('Invalid coordinates provided');
+    }
+
+    if (hours < 1 || hours > 168) { // Limit to 1 week max
+      throw new Error('Hours must be between 1 and 168');
+    }
+
+    return this.runWithFailover('sky timeline', PROVENANCE_TYPES.FORECAST, provider => provider.getSkyTimelineData(lat, lon, hours, options));
+  }
+
+  /**
+   * Runs an operation against the failover chain, skipping providers whose
+   * circuit is open. Mock data is not behind a breaker.
+   * @param {string} label - Operation name for logs
+   * @param {string} type - Provenance type of the data the operation returns, one of PROVENANCE_TYPES
+   * @param {Function} operation - (provider) => Promise<data>
+   * @returns {Promise<{data: *, source: string, degraded: boolean, stale: boolean}>} Data and where it came from
+   */
+  async runWithFailover(label, type, operation) {
+    const chain = this.getProviderChain();
+    const failures = [];
+
+    for (const provider of chain) {
+      const breaker = provider === this.mockService ? null : this.getCircuitBreaker(provider.name);
+
+      if (breaker && !breaker.canRequest()) {
+        failures.push(`${provider.name}: circuit open`);
+        continue;
+      }
+
+      try {
+        const data = breaker ? await breaker.execute(() => operation(provider)) : await operation(provider);
+
+        if (failures.length > 0) {
+          console.warn(`SkyDataService: ${label} served by '${provider.name}' after failures (${failures.join('; ')})`);
+        }
+
+        return {
+          data: this.withProvenance(data, provider, type),
+          source: provider.name,
+          degraded: provider !== chain[0] || provider.capabilities?.realtime === false,
+          stale: [].concat(data).some(point => point?.stale === true)
+        };
+      } catch (error) {
+        failures.push(`${provider.name}: ${error.message}`);
+      }
+    }
+
+    throw new Error(`All sky providers failed for ${label} (${failures.join('; ')})`);
+  }
+
+  /**
+   * Tags data points with the provider they came from and their type.
+   * Points that already carry provenance are left untouched.
+   * @param {Object|Array<Object>} data - Data point(s)
+   * @param {Object} provider - Provider that returned the data
+   * @param {string} type - Provenance type for the call that returned the data; synthetic for mock providers
+   * @returns {Object|Array<Object>} Data point(s) with provenance
+   */
+  withProvenance(data, provider, type) {
+    if (Array.isArray(data)) {
+      return data.map(point => this.withProvenance(point, provider, type));
+    }
+
+    if (!data || data.provenance) {
+      return data;
+    }
+
+    return {
+      ...data,
+      provenance: {
+        provider: provider.name,
+        type: provider.capabilities?.realtime === false ? PROVENANCE_TYPES.SYNTHETIC : type
+      }
+    };
+  }
+
+  /**
+   * Validates location coordinates
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {boolean} True if valid coordinates
+   */
+  validateLocation(lat, lon) {
+    return isValidLocation(lat, lon);
+  }
+
+  /**
+   * Checks whether a provider selection can serve Sky data
+   * @param {string} name - Provider name, "mock" or "auto"
+   * @returns {boolean} True if setProvider() accepts the name
+   */
+  canServe(name) {
+    return !name || name === 'auto' || name === this.mockService.name ||
+      this.getSkyProviders().some(provider => provider.name === name);
+  }
+
+  /**
+   * Selects the provider serving Sky data
+   * @param {string} name - A Sky provider name, "mock", or "auto" for automatic selection
+   */
+  setProvider(name) {
+    if (!this.canServe(name)) {
+      throw new Error(`Provider '${name}' cannot serve Sky data`);
+    }
+
+    if (!name || name === 'auto') {
+      this.selectedProvider = null;
+      return;
+    }
+
+    this.selectedProvider = name;
+  }
+
+  /**
+   * Switches between mock and real API data (legacy toggle)
+   * @param {boolean} useReal - True for automatic selection, false for mock
+   */
+  setAPIMode(useReal) {
+    this.setProvider(useReal ? 'auto' : this.mockService.name);
+  }
+
+  /**
+   * Describes the current provider selection
+   * @returns {{mode: string, selection: string}} Active provider name and whether it was picked manually
+   */
+  getMode() {
+    return {
+      mode: this.getActiveProvider().name,
+      selection: this.selectedProvider ? 'manual' : 'auto'
+    };
+  }
+}
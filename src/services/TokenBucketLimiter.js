@@ -0,0 +1,175 @@
+/**
+ * Request priorities, highest first. Queued requests are served in
+ * priority order, then first come first served.
+ */
+export const REQUEST_PRIORITIES = {
+  CURRENT: 3, // Current conditions a user is waiting for
+  FORECAST: 2, // Forecast and timeline data
+  HISTORY: 1, // Past data to fill timelines
+  PREFETCH: 0 // Background pre-warming
+};
+
+/**
+ * Priority of an upstream request, demoted when it is background work
+ * @param {number} priority - Priority of the request itself
+ * @param {Object} [options]
+ * @param {boolean} [options.prefetch] - Background pre-warming, served last
+ * @returns {number} One of REQUEST_PRIORITIES
+ */
+export function resolvePriority(priority, options = {}) {
+  return options.prefetch ? REQUEST_PRIORITIES.PREFETCH : priority;
+}
+
+/**
+ * Error code of requests rejected by the limiter. The request never
+ * reached the provider, so it says nothing about the provider's health.
+ */
+export const RATE_LIMITED = 'RATE_LIMITED';
+
+/**
+ * Creates the error a rejected request fails with
+ */
+function createRateLimitError() {
+  const error = new Error('Rate limit exceeded. Please try again later.');
+  error.code = RATE_LIMITED;
+  return error;
+}
+
+/**
+ * TokenBucketLimiter - Upstream request budget for a provider
+ *
+ * The bucket holds up to `capacity` tokens and refills continuously at
+ * `refillPerMinute`. Each upstream request takes one token. When the bucket
+ * is empty, requests queue (highest priority first) instead of failing, as
+ * long as their estimated wait stays within `maxWaitMs`; otherwise they are
+ * rejected with an error whose code is RATE_LIMITED.
+ */
+export class TokenBucketLimiter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.name] - Name used in logs
+   * @param {number} [options.capacity] - Maximum burst of requests (default: 60)
+   * @param {number} [options.refillPerMinute] - Sustained requests per minute (default: capacity)
+   * @param {number} [options.maxWaitMs] - Longest a request may queue (default: RATE_LIMIT_MAX_WAIT or 5 seconds)
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'limiter';
+    this.capacity = options.capacity || 60;
+    this.refillPerMs = (options.refillPerMinute || this.capacity) / 60000;
+    this.maxWaitMs = options.maxWaitMs ?? (parseInt(process.env.RATE_LIMIT_MAX_WAIT) || 5000);
+
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.queue = [];
+    this.timer = null;
+    this.granted = 0;
+    this.queued = 0;
+    this.rejections = 0;
+  }
+
+  /**
+   * Waits for a token
+   * @param {number} [priority] - One of REQUEST_PRIORITIES (default: FORECAST)
+   * @returns {Promise<void>} Resolves when the request may proceed
+   */
+  acquire(priority = REQUEST_PRIORITIES.FORECAST) {
+    this.refill();
+
+    if (this.queue.length === 0 && this.tokens >= 1) {
+      this.tokens--;
+      this.granted++;
+      return Promise.resolve();
+    }
+
+    const ahead = this.queue.filter(entry => entry.priority >= priority).length;
+    if (this.getWaitMs(ahead) > this.maxWaitMs) {
+      this.rejections++;
+      return Promise.reject(createRateLimitError());
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { priority, resolve, reject, deadline: Date.now() + this.maxWaitMs };
+
+      // Insert after every entry of the same or higher priority
+      const index = this.queue.findIndex(queued => queued.priority < priority);
+      this.queue.splice(index === -1 ? this.queue.length : index, 0, entry);
+      this.queued++;
+      this.schedule();
+    });
+  }
+
+  /**
+   * Adds the tokens earned since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    const elapsed = Math.max(0, now - this.lastRefill); // The clock may jump back
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerMs);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Estimated wait until a token is free for a request with `ahead` requests queued before it
+   * @param {number} [ahead] - Requests served first (default: 0)
+   * @returns {number} Milliseconds
+   */
+  getWaitMs(ahead = 0) {
+    const missing = ahead + 1 - this.tokens;
+    return missing > 0 ? Math.ceil(missing / this.refillPerMs) : 0;
+  }
+
+  /**
+   * Hands out tokens to queued requests and drops the ones past their deadline
+   */
+  drain() {
+    this.timer = null;
+    this.refill();
+
+    const now = Date.now();
+    this.queue = this.queue.filter(entry => {
+      if (entry.deadline < now) {
+        this.rejections++;
+        entry.reject(createRateLimitError());
+        return false;
+      }
+      return true;
+    });
+
+    while (this.queue.length > 0 && this.tokens >= 1) {
+      this.tokens--;
+      this.granted++;
+      this.queue.shift().resolve();
+    }
+
+    this.schedule();
+  }
+
+  /**
+   * Wakes up when the next token is due, if anything is queued
+   */
+  schedule() {
+    if (this.timer || this.queue.length === 0) {
+      return;
+    }
+
+    this.timer = setTimeout(() => this.drain(), Math.max(1, this.getWaitMs()));
+    this.timer.unref?.(); // Never keep the process alive for queued requests
+  }
+
+  /**
+   * Get limiter statistics
+   */
+  getStats() {
+    this.refill();
+
+    return {
+      capacity: this.capacity,
+      tokens: Math.floor(this.tokens),
+      refillPerMinute: Math.round(this.refillPerMs * 60000),
+      queueDepth: this.queue.length,
+      granted: this.granted,
+      queued: this.queued,
+      rejections: this.rejections
+    };
+  }
+}
@@ -0,0 +1,410 @@
+// Astronomy utilities for sun and moon ephemeris calculations
+//
+// Low-precision formulas (Meeus, "Astronomical Algorithms") that are accurate
+// to about a minute for rise/set times, which is plenty for display purposes.
+// Everything is computed locally from a date and coordinates - no external API.
+
+const RAD = Math.PI / 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const OBLIQUITY = RAD * 23.4397; // Obliquity of the Earth's axis
+const SUN_DISTANCE_KM = 149598000;
+
+/**
+ * Sun altitudes (in degrees) used for the rise/set and twilight events
+ */
+export const SUN_ALTITUDES = {
+  horizon: -0.833, // Accounts for refraction and the solar disc radius
+  civil: -6,
+  nautical: -12,
+  astronomical: -18
+};
+
+/**
+ * Moon phase names, ordered from new moon through the lunar cycle
+ */
+export const MOON_PHASE_NAMES = [
+  'New Moon',
+  'Waxing Crescent',
+  'First Quarter',
+  'Waxing Gibbous',
+  'Full Moon',
+  'Waning Gibbous',
+  'Last Quarter',
+  'Waning Crescent'
+];
+
+// Date <-> Julian day conversions
+
+function toJulian(date) {
+  return date.getTime() / DAY_MS - 0.5 + J1970;
+}
+
+function fromJulian(julian) {
+  return new Date((julian + 0.5 - J1970) * DAY_MS);
+}
+
+function toDays(date) {
+  return toJulian(date) - J2000;
+}
+
+// General position calculations
+
+function rightAscension(longitude, latitude) {
+  return Math.atan2(
+    Math.sin(longitude) * Math.cos(OBLIQUITY) - Math.tan(latitude) * Math.sin(OBLIQUITY),
+    Math.cos(longitude)
+  );
+}
+
+function declination(longitude, latitude) {
+  return Math.asin(
+    Math.sin(latitude) * Math.cos(OBLIQUITY) +
+    Math.cos(latitude) * Math.sin(OBLIQUITY) * Math.sin(longitude)
+  );
+}
+
+function azimuth(hourAngle, phi, dec) {
+  return Math.atan2(
+    Math.sin(hourAngle),
+    Math.cos(hourAngle) * Math.sin(phi) - Math.tan(dec) * Math.cos(phi)
+  );
+}
+
+function altitude(hourAngle, phi, dec) {
+  return Math.asin(
+    Math.sin(phi) * Math.sin(dec) +
+    Math.cos(phi) * Math.cos(dec) * Math.cos(hourAngle)
+  );
+}
+
+function siderealTime(days, lw) {
+  return RAD * (280.16 + 360.9856235 * days) - lw;
+}
+
+function astroRefraction(h) {
+  // Formula only holds above the horizon; clamp to avoid blowing up below it
+  const clamped = Math.max(h, 0);
+  return 0.0002967 / Math.tan(clamped + 0.00312536 / (clamped + 0.08901179));
+}
+
+/**
+ * Converts a radian azimuth measured from south into degrees from north
+ */
+function toCompassDegrees(azimuthRad) {
+  return ((azimuthRad / RAD) + 180 + 360) % 360;
+}
+
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+// Sun calculations
+
+function solarMeanAnomaly(days) {
+  return RAD * (357.5291 + 0.98560028 * days);
+}
+
+function eclipticLongitude(meanAnomaly) {
+  const center = RAD * (
+    1.9148 * Math.sin(meanAnomaly) +
+    0.02 * Math.sin(2 * meanAnomaly) +
+    0.0003 * Math.sin(3 * meanAnomaly)
+  );
+  const perihelion = RAD * 102.9372;
+
+  return meanAnomaly + center + perihelion + Math.PI;
+}
+
+function sunCoords(days) {
+  const meanAnomaly = solarMeanAnomaly(days);
+  const longitude = eclipticLongitude(meanAnomaly);
+
+  return {
+    dec: declination(longitude, 0),
+    ra: rightAscension(longitude, 0)
+  };
+}
+
+/**
+ * Calculates the sun position for a given time and location
+ * @param {Date} date - Time of observation
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Object} Elevation and azimuth in degrees (azimuth from north)
+ */
+export function getSunPosition(date, lat, lon) {
+  const lw = RAD * -lon;
+  const phi = RAD * lat;
+  const days = toDays(date);
+  const coords = sunCoords(days);
+  const hourAngle = siderealTime(days, lw) - coords.ra;
+
+  return {
+    elevation: round(altitude(hourAngle, phi, coords.dec) / RAD),
+    azimuth: round(toCompassDegrees(azimuth(hourAngle, phi, coords.dec)))
+  };
+}
+
+const J0 = 0.0009;
+
+function julianCycle(days, lw) {
+  return Math.round(days - J0 - lw / (2 * Math.PI));
+}
+
+function approxTransit(hourAngle, lw, cycle) {
+  return J0 + (hourAngle + lw) / (2 * Math.PI) + cycle;
+}
+
+function solarTransitJulian(ds, meanAnomaly, longitude) {
+  return J2000 + ds + 0.0053 * Math.sin(meanAnomaly) - 0.0069 * Math.sin(2 * longitude);
+}
+
+function hourAngleForAltitude(h, phi, dec) {
+  const cosW = (Math.sin(h) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec));
+
+  // Sun never reaches this altitude on this day (polar day or night)
+  if (cosW < -1 || cosW > 1) {
+    return null;
+  }
+
+  return Math.acos(cosW);
+}
+
+/**
+ * Calculates sunrise, sunset, solar noon and twilight times for the solar day
+ * closest to the given date
+ * @param {Date} date - Any time within the day of interest
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Object} Event times as Date objects (null when the event does not occur)
+ */
+export function getSunTimes(date, lat, lon) {
+  const lw = RAD * -lon;
+  const phi = RAD * lat;
+  const days = toDays(date);
+  const cycle = julianCycle(days, lw);
+  const ds = approxTransit(0, lw, cycle);
+
+  const meanAnomaly = solarMeanAnomaly(ds);
+  const longitude = eclipticLongitude(meanAnomaly);
+  const dec = declination(longitude, 0);
+  const noonJulian = solarTransitJulian(ds, meanAnomaly, longitude);
+
+  const eventsFor = (altitudeDeg) => {
+    const w = hourAngleForAltitude(altitudeDeg * RAD, phi, dec);
+    if (w === null) {
+      return { rise: null, set: null };
+    }
+
+    const a = approxTransit(w, lw, cycle);
+    const setJulian = solarTransitJulian(a, meanAnomaly, longitude);
+    const riseJulian = noonJulian - (setJulian - noonJulian);
+
+    return { rise: fromJulian(riseJulian), set: fromJulian(setJulian) };
+  };
+
+  const horizon = eventsFor(SUN_ALTITUDES.horizon);
+  const civil = eventsFor(SUN_ALTITUDES.civil);
+  const nautical = eventsFor(SUN_ALTITUDES.nautical);
+  const astronomical = eventsFor(SUN_ALTITUDES.astronomical);
+
+  return {
+    solarNoon: fromJulian(noonJulian),
+    sunrise: horizon.rise,
+    sunset: horizon.set,
+    civilDawn: civil.rise,
+    civilDusk: civil.set,
+    nauticalDawn: nautical.rise,
+    nauticalDusk: nautical.set,
+    astronomicalDawn: astronomical.rise,
+    astronomicalDusk: astronomical.set
+  };
+}
+
+/**
+ * Classifies the sky brightness from the sun elevation
+ * @param {number} elevation - Sun elevation in degrees
+ * @returns {string} "day", "civil-twilight", "nautical-twilight", "astronomical-twilight" or "night"
+ */
+export function getDaylightPeriod(elevation) {
+  if (elevation >= SUN_ALTITUDES.horizon) return 'day';
+  if (elevation >= SUN_ALTITUDES.civil) return 'civil-twilight';
+  if (elevation >= SUN_ALTITUDES.nautical) return 'nautical-twilight';
+  if (elevation >= SUN_ALTITUDES.astronomical) return 'astronomical-twilight';
+  return 'night';
+}
+
+// Moon calculations
+
+function moonCoords(days) {
+  const meanLongitude = RAD * (218.316 + 13.176396 * days);
+  const meanAnomaly = RAD * (134.963 + 13.064993 * days);
+  const meanDistance = RAD * (93.272 + 13.229350 * days);
+
+  const longitude = meanLongitude + RAD * 6.289 * Math.sin(meanAnomaly);
+  const latitude = RAD * 5.128 * Math.sin(meanDistance);
+  const distance = 385001 - 20905 * Math.cos(meanAnomaly); // km
+
+  return {
+    ra: rightAscension(longitude, latitude),
+    dec: declination(longitude, latitude),
+    distance
+  };
+}
+
+function moonAltitude(date, lat, lon) {
+  const lw = RAD * -lon;
+  const phi = RAD * lat;
+  const days = toDays(date);
+  const coords = moonCoords(days);
+  const hourAngle = siderealTime(days, lw) - coords.ra;
+  const h = altitude(hourAngle, phi, coords.dec);
+
+  return {
+    altitude: h + astroRefraction(h),
+    azimuth: azimuth(hourAngle, phi, coords.dec),
+    distance: coords.distance
+  };
+}
+
+/**
+ * Calculates the moon position for a given time and location
+ * @param {Date} date - Time of observation
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Object} Elevation and azimuth in degrees, distance in km
+ */
+export function getMoonPosition(date, lat, lon) {
+  const position = moonAltitude(date, lat, lon);
+
+  return {
+    elevation: round(position.altitude / RAD),
+    azimuth: round(toCompassDegrees(position.azimuth)),
+    distance: Math.round(position.distance)
+  };
+}
+
+/**
+ * Maps a phase fraction to its conventional name
+ * @param {number} phase - Phase in the lunar cycle (0 = new, 0.5 = full)
+ * @returns {string} Phase name
+ */
+export function getMoonPhaseName(phase) {
+  const index = Math.round(phase * MOON_PHASE_NAMES.length) % MOON_PHASE_NAMES.length;
+  return MOON_PHASE_NAMES[index];
+}
+
+/**
+ * Calculates the illuminated fraction and phase of the moon
+ * @param {Date} date - Time of observation
+ * @returns {Object} Illumination fraction (0-1), phase (0-1) and phase name
+ */
+export function getMoonIllumination(date) {
+  const days = toDays(date);
+  const sun = sunCoords(days);
+  const moon = moonCoords(days);
+
+  const elongation = Math.acos(
+    Math.sin(sun.dec) * Math.sin(moon.dec) +
+    Math.cos(sun.dec) * Math.cos(moon.dec) * Math.cos(sun.ra - moon.ra)
+  );
+  const incidence = Math.atan2(
+    SUN_DISTANCE_KM * Math.sin(elongation),
+    moon.distance - SUN_DISTANCE_KM * Math.cos(elongation)
+  );
+  const angle = Math.atan2(
+    Math.cos(sun.dec) * Math.sin(sun.ra - moon.ra),
+    Math.sin(sun.dec) * Math.cos(moon.dec) - Math.cos(sun.dec) * Math.sin(moon.dec) * Math.cos(sun.ra - moon.ra)
+  );
+
+  const phase = 0.5 + 0.5 * incidence * (angle < 0 ? -1 : 1) / Math.PI;
+
+  return {
+    illumination: round((1 + Math.cos(incidence)) / 2, 3),
+    phase: round(phase, 3),
+    phaseName: getMoonPhaseName(phase)
+  };
+}
+
+/**
+ * Finds moonrise and moonset within the 24 hours following a start time
+ *
+ * Scans the moon altitude hourly and refines each horizon crossing by fitting
+ * a parabola through three consecutive samples.
+ * @param {Date} start - Start of the search window
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Object} moonrise/moonset Dates (or null) plus alwaysUp/alwaysDown flags
+ */
+export function getMoonTimes(start, lat, lon) {
+  const HOUR_MS = 60 * 60 * 1000;
+  const horizon = 0.133 * RAD;
+  const altitudeAt = (hours) => moonAltitude(new Date(start.getTime() + hours * HOUR_MS), lat, lon).altitude - horizon;
+
+  let h0 = altitudeAt(0);
+  let rise = null;
+  let set = null;
+  let ye = h0;
+
+  for (let i = 1; i <= 24; i += 2) {
+    const h1 = altitudeAt(i);
+    const h2 = altitudeAt(i + 1);
+
+    const a = (h0 + h2) / 2 - h1;
+    const b = (h2 - h0) / 2;
+    const xe = -b / (2 * a);
+    ye = (a * xe + b) * xe + h1;
+    const d = b * b - 4 * a * h1;
+    let roots = 0;
+    let x1 = 0;
+    let x2 = 0;
+
+    if (d >= 0) {
+      const dx = Math.sqrt(d) / (Math.abs(a) * 2);
+      x1 = xe - dx;
+      x2 = xe + dx;
+      if (Math.abs(x1) <= 1) roots++;
+      if (Math.abs(x2) <= 1) roots++;
+      if (x1 < -1) x1 = x2;
+    }
+
+    if (roots === 1) {
+      if (h0 < 0) rise = i + x1;
+      else set = i + x1;
+    } else if (roots === 2) {
+      rise = i + (ye < 0 ? x2 : x1);
+      set = i + (ye < 0 ? x1 : x2);
+    }
+
+    if (rise !== null && set !== null) break;
+
+    h0 = h2;
+  }
+
+  const toDate = (hours) => hours === null ? null : new Date(start.getTime() + hours * HOUR_MS);
+
+  return {
+    moonrise: toDate(rise),
+    moonset: toDate(set),
+    alwaysUp: rise === null && set === null && ye > 0,
+    alwaysDown: rise === null && set === null && ye <= 0
+  };
+}
+
+/**
+ * Approximates the start of the local calendar day from the longitude
+ * (solar time), which avoids needing a timezone database
+ * @param {Date} date - Any time within the day of interest
+ * @param {number} lon - Longitude
+ * @returns {Date} Local midnight expressed in UTC
+ */
+export function getLocalDayStart(date, lon) {
+  const offsetMs = (lon / 15) * 60 * 60 * 1000;
+  const localTime = date.getTime() + offsetMs;
+  const localMidnight = Math.floor(localTime / DAY_MS) * DAY_MS;
+
+  return new Date(localMidnight - offsetMs);
+}
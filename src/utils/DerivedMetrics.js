@@ -0,0 +1,177 @@
+// Comfort metrics derived from temperature, humidity and wind, so every
+// provider's data shows the same values for the same conditions.
+// Inputs and outputs are metric: °C, percent, m/s.
+
+/**
+ * Comfort categories, from coldest to hottest
+ */
+export const COMFORT_CATEGORIES = ['very-cold', 'cold', 'cool', 'comfortable', 'humid', 'warm', 'hot', 'very-hot'];
+
+// Lower feels-like bound (°C) of each temperature band, warmest first
+const COMFORT_BANDS = [
+  [40, 'very-hot'],
+  [30, 'hot'],
+  [24, 'warm'],
+  [16, 'comfortable'],
+  [5, 'cool'],
+  [-10, 'cold']
+];
+
+// Dew point (°C) above which comfortable air feels humid
+const HUMID_DEW_POINT = 18;
+
+// Validity limits of the wind chill and heat index formulas
+const WIND_CHILL_MAX_TEMPERATURE = 10; // °C
+const WIND_CHILL_MIN_SPEED = 4.8 / 3.6; // m/s (4.8 km/h)
+const HEAT_INDEX_MIN_TEMPERATURE = 26.7; // °C (80 °F)
+
+const round = (value, decimals = 1) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Dew point (Magnus formula, Alduchov & Eskridge coefficients)
+ * @param {number} temperature - Air temperature in °C
+ * @param {number} humidity - Relative humidity in percent
+ * @returns {number} Dew point in °C
+ */
+export function dewPoint(temperature, humidity) {
+  const gamma = Math.log(Math.max(humidity, 1) / 100) + (17.625 * temperature) / (243.04 + temperature);
+  return (243.04 * gamma) / (17.625 - gamma);
+}
+
+/**
+ * Absolute humidity: mass of water vapour per volume of air
+ * @param {number} temperature - Air temperature in °C
+ * @param {number} humidity - Relative humidity in percent
+ * @returns {number} Grams of water per cubic metre
+ */
+export function absoluteHumidity(temperature, humidity) {
+  const saturationPressure = 6.112 * Math.exp((17.67 * temperature) / (temperature + 243.5)); // hPa
+  return (saturationPressure * humidity * 2.1674) / (273.15 + temperature);
+}
+
+/**
+ * Heat index (NWS Rothfusz regression with its low and high humidity adjustments)
+ * @param {number} temperature - Air temperature in °C
+ * @param {number} humidity - Relative humidity in percent
+ * @returns {number|null} Heat index in °C, null below 26.7 °C where it is not defined
+ */
+export function heatIndex(temperature, humidity) {
+  if (temperature < HEAT_INDEX_MIN_TEMPERATURE) {
+    return null;
+  }
+
+  const t = temperature * 9 / 5 + 32;
+  const rh = humidity;
+  let index = -42.379 + 2.04901523 * t + 10.14333127 * rh - 0.22475541 * t * rh -
+    0.00683783 * t * t - 0.05481717 * rh * rh + 0.00122874 * t * t * rh +
+    0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh;
+
+  if (rh < 13 && t <= 112) {
+    index -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+  } else if (rh > 85 && t <= 87) {
+    index += ((rh - 85) / 10) * ((87 - t) / 5);
+  }
+
+  return (index - 32) * 5 / 9;
+}
+
+/**
+ * Wind chill (North American / UK formula, as used by NWS and Environment Canada)
+ * @param {number} temperature - Air temperature in °C
+ * @param {number|null} windSpeed - Wind speed at 10 m in m/s
+ * @returns {number|null} Wind chill in °C, null above 10 °C, in light wind or without wind data
+ */
+export function windChill(temperature, windSpeed) {
+  if (typeof windSpeed !== 'number' || temperature > WIND_CHILL_MAX_TEMPERATURE || windSpeed < WIND_CHILL_MIN_SPEED) {
+    return null;
+  }
+
+  const speedFactor = (windSpeed * 3.6) ** 0.16;
+  return 13.12 + 0.6215 * temperature - 11.37 * speedFactor + 0.3965 * temperature * speedFactor;
+}
+
+/**
+ * Humidex (Environment Canada)
+ * @param {number} temperature - Air temperature in °C
+ * @param {number} humidity - Relative humidity in percent
+ * @returns {number} Humidex, a dimensionless number on the °C scale
+ */
+export function humidex(temperature, humidity) {
+  const dewPointKelvin = dewPoint(temperature, humidity) + 273.15;
+  const vapourPressure = 6.11 * Math.exp(5417.753 * (1 / 273.16 - 1 / dewPointKelvin));
+  return temperature + 0.5555 * (vapourPressure - 10);
+}
+
+/**
+ * Comfort category of an apparent temperature
+ * @param {number} feelsLike - Apparent temperature in °C
+ * @param {number} dewPointValue - Dew point in °C
+ * @returns {string} One of COMFORT_CATEGORIES
+ */
+export function comfortCategory(feelsLike, dewPointValue) {
+  const band = COMFORT_BANDS.find(([minimum]) => feelsLike >= minimum);
+  const category = band ? band[1] : 'very-cold';
+
+  return category === 'comfortable' && dewPointValue >= HUMID_DEW_POINT ? 'humid' : category;
+}
+
+/**
+ * Computes all derived metrics for one set of conditions. The apparent
+ * temperature is the wind chill when it applies, else the heat index when
+ * it applies, else the air temperature.
+ * @param {Object} conditions
+ * @param {number} conditions.temperature - Air temperature in °C
+ * @param {number} conditions.humidity - Relative humidity in percent
+ * @param {number|null} [conditions.windSpeed] - Wind speed in m/s
+ * @returns {Object} { feelsLike, dewPoint, absoluteHumidity, heatIndex, windChill, humidex, comfort }
+ */
+export function deriveMetrics({ temperature, humidity, windSpeed = null }) {
+  const dew = dewPoint(temperature, humidity);
+  const chill = windChill(temperature, windSpeed);
+  const heat = heatIndex(temperature, humidity);
+  const feelsLike = chill ?? heat ?? temperature;
+
+  return {
+    feelsLike: round(feelsLike),
+    dewPoint: round(dew),
+    absoluteHumidity: round(absoluteHumidity(temperature, humidity)),
+    heatIndex: heat === null ? null : round(heat),
+    windChill: chill === null ? null : round(chill),
+    humidex: round(humidex(temperature, humidity)),
+    comfort: comfortCategory(feelsLike, dew)
+  };
+}
+
+/**
+ * Adds derived metrics to Ground data points as `metrics.derived` and
+ * replaces the provider's `feelsLike` with the derived apparent temperature.
+ * Points without temperature or humidity are returned unchanged.
+ * @param {Object|Array<Object>|null} data - One data point or a list of them
+ * @returns {Object|Array<Object>|null} Data point(s) with derived metrics
+ */
+export function withDerivedMetrics(data) {
+  if (Array.isArray(data)) {
+    return data.map(withDerivedMetrics);
+  }
+
+  const metrics = data?.metrics;
+  const temperature = metrics?.temperature?.current;
+  if (typeof temperature !== 'number' || typeof metrics.humidity !== 'number') {
+    return data;
+  }
+
+  const { feelsLike, ...derived } = deriveMetrics({
+    temperature,
+    humidity: metrics.humidity,
+    windSpeed: metrics.wind?.speed
+  });
+
+  return {
+    ...data,
+    metrics: {
+      ...metrics,
+      temperature: { ...metrics.temperature, feelsLike },
+      derived
+    }
+  };
+}
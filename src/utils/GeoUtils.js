@@ -0,0 +1,57 @@
+// Geographic utilities shared by the layer services
+
+/**
+ * Validates location coordinates
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {boolean} True if valid coordinates
+ */
+export function isValidLocation(lat, lon) {
+  return (
+    typeof lat === 'number' &&
+    typeof lon === 'number' &&
+    lat >= -90 && lat <= 90 &&
+    lon >= -180 && lon <= 180
+  );
+}
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Great-circle distance between two points (haversine formula)
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} Distance in kilometers
+ */
+export function haversineDistance(lat1, lon1, lat2, lon2) {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Snaps a location to a grid cell so nearby requests share stored data
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} [cellSize] - Cell size in degrees (default: 0.1, about 11 km)
+ * @returns {Object} { key, lat, lon } with the cell's south-west corner
+ */
+export function getGridCell(lat, lon, cellSize = 0.1) {
+  const decimals = Math.max(0, Math.ceil(-Math.log10(cellSize)));
+  const snap = (value) => (Math.floor(value / cellSize + 1e-9) * cellSize).toFixed(decimals);
+  const cellLat = snap(lat);
+  const cellLon = snap(lon);
+
+  return {
+    key: `${cellLat}_${cellLon}`,
+    lat: Number(cellLat),
+    lon: Number(cellLon)
+  };
+}
@@ -0,0 +1,142 @@
+// Pressure tendency and barometer outlook, computed from a pressure series
+// because providers either omit the trend or report it inconsistently.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// The tendency is the change over 3 hours, as in synoptic reports. Any
+// reading 1-4 hours back is accepted and scaled to 3 hours.
+const TENDENCY_WINDOW_MS = 3 * HOUR_MS;
+const MIN_SPAN_MS = 1 * HOUR_MS;
+const MAX_SPAN_MS = 4 * HOUR_MS;
+
+/**
+ * How far back before a series readings can serve as its reference
+ */
+export const TENDENCY_LOOKBACK_MS = MAX_SPAN_MS;
+
+const STEADY_RATE = 1; // hPa/3h; smaller changes are within measurement noise
+const RAPID_RATE = 6; // hPa/3h; "rapidly" in shipping forecasts
+
+/**
+ * Pressure tendencies, from falling fastest to rising fastest
+ */
+export const PRESSURE_TENDENCIES = ['falling-rapidly', 'falling', 'steady', 'rising', 'rising-rapidly'];
+
+/**
+ * Barometer dial labels, from lowest to highest pressure
+ */
+export const BAROMETER_OUTLOOKS = ['stormy', 'rain', 'change', 'fair', 'very-dry'];
+
+// Lower sea-level pressure bound (hPa) of each dial label, highest first
+const OUTLOOK_BANDS = [
+  [1040, 'very-dry'],
+  [1020, 'fair'],
+  [1000, 'change'],
+  [980, 'rain']
+];
+
+/**
+ * Classifies a pressure change
+ * @param {number} rate - Change in hPa per 3 hours
+ * @returns {{trend: string, tendency: string}} trend is rising, falling or steady;
+ *   tendency is one of PRESSURE_TENDENCIES
+ */
+export function classifyTendency(rate) {
+  if (Math.abs(rate) < STEADY_RATE) {
+    return { trend: 'steady', tendency: 'steady' };
+  }
+
+  const trend = rate > 0 ? 'rising' : 'falling';
+  return { trend, tendency: Math.abs(rate) >= RAPID_RATE ? `${trend}-rapidly` : trend };
+}
+
+/**
+ * Barometer outlook, read off the dial like an analog barometer. A rapid
+ * change moves the needle one label in its direction, since it says more
+ * about the coming hours than the current reading does.
+ * @param {number} seaLevelPressure - Sea-level pressure in hPa
+ * @param {number|null} [rate] - Change in hPa per 3 hours, if known
+ * @returns {string} One of BAROMETER_OUTLOOKS
+ */
+export function barometerOutlook(seaLevelPressure, rate = null) {
+  const band = OUTLOOK_BANDS.find(([minimum]) => seaLevelPressure >= minimum);
+  let index = BAROMETER_OUTLOOKS.indexOf(band ? band[1] : 'stormy');
+
+  if (typeof rate === 'number' && Math.abs(rate) >= RAPID_RATE) {
+    index = Math.min(BAROMETER_OUTLOOKS.length - 1, Math.max(0, index + Math.sign(rate)));
+  }
+
+  return BAROMETER_OUTLOOKS[index];
+}
+
+/**
+ * Finds the reading to compare a point with: the one closest to 3 hours
+ * earlier, between 1 and 4 hours back
+ * @param {Array<Object>} series - Data points with `timestamp` and `metrics.pressure.current`
+ * @param {number} time - Time of the point in epoch milliseconds
+ * @returns {Object|null} Reference point
+ */
+export function findReferencePoint(series, time) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const point of series) {
+    const span = time - new Date(point.timestamp).getTime();
+    if (span < MIN_SPAN_MS || span > MAX_SPAN_MS || typeof point.metrics?.pressure?.current !== 'number') {
+      continue;
+    }
+
+    const distance = Math.abs(span - TENDENCY_WINDOW_MS);
+    if (distance < bestDistance) {
+      best = point;
+      bestDistance = distance;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Adds the computed tendency to Ground data points: `trend` (rising,
+ * falling or steady), `tendency`, `rate` in hPa/3h and `outlook`. Points
+ * without an earlier reading get a null trend, tendency and rate: the
+ * provider's trend is never passed through, since providers guess or
+ * hard-code it. The outlook then comes from the pressure alone.
+ * @param {Array<Object>} points - Data points
+ * @param {Array<Object>} [history] - Earlier readings to compare the first points with
+ * @returns {Array<Object>} Data points with pressure tendency
+ */
+export function withPressureTrends(points, history = []) {
+  const series = [...history, ...points];
+
+  return points.map(point => {
+    const pressure = point?.metrics?.pressure;
+    if (typeof pressure?.current !== 'number') {
+      return point;
+    }
+
+    const time = new Date(point.timestamp).getTime();
+    const reference = findReferencePoint(series, time);
+    let rate = null;
+    let classification = { trend: null, tendency: null };
+
+    if (reference) {
+      const span = time - new Date(reference.timestamp).getTime();
+      rate = Math.round((pressure.current - reference.metrics.pressure.current) * (TENDENCY_WINDOW_MS / span) * 10) / 10;
+      classification = classifyTendency(rate);
+    }
+
+    return {
+      ...point,
+      metrics: {
+        ...point.metrics,
+        pressure: {
+          ...pressure,
+          ...classification,
+          rate,
+          outlook: barometerOutlook(pressure.seaLevel ?? pressure.current, rate)
+        }
+      }
+    };
+  });
+}
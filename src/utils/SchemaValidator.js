@@ -0,0 +1,119 @@
+// JSON Schema subset validation, shared by the API layer and the data models
+
+/**
+ * Validation error codes
+ */
+export const VALIDATION_CODES = {
+  MISSING: 'MISSING', // Required but not given
+  INVALID: 'INVALID', // Wrong type, format or value
+  OUT_OF_RANGE: 'OUT_OF_RANGE' // Right type, outside the allowed range or too few items
+};
+
+/**
+ * Builds one validation error
+ */
+export const validationError = (path, code, message) => ({ field: path, code, message: `${path} ${message}` });
+
+/**
+ * Validates a value against a JSON Schema subset, as used by OpenApiSpec and the models:
+ * $ref (local), type (string or list), enum, minimum, maximum, minItems,
+ * format date-time, required, properties, additionalProperties, items, anyOf, allOf
+ * @param {Object} schema - Schema to check against
+ * @param {*} value - Value to check
+ * @param {Object} [options]
+ * @param {Object} [options.root] - Document that local $refs point into
+ * @param {string} [options.path] - Name of the value in errors (default: "value")
+ * @returns {Array<Object>} Errors as { field, code, message }, empty when the value is valid
+ */
+export function validateSchema(schema, value, { root = {}, path = 'value' } = {}) {
+  if (schema.$ref) {
+    return validateSchema(resolveRef(root, schema.$ref), value, { root, path });
+  }
+
+  if (schema.anyOf) {
+    const valid = schema.anyOf.some(option => validateSchema(option, value, { root, path }).length === 0);
+    return valid ? [] : [validationError(path, VALIDATION_CODES.INVALID, 'does not match any allowed schema')];
+  }
+
+  if (schema.allOf) {
+    return schema.allOf.flatMap(part => validateSchema(part, value, { root, path }));
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(type, value))) {
+      return [validationError(path, VALIDATION_CODES.INVALID, `must be ${types.join(' or ')}`)];
+    }
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(validationError(path, VALIDATION_CODES.INVALID, `must be one of ${schema.enum.join(', ')}`));
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(validationError(path, VALIDATION_CODES.OUT_OF_RANGE, `must be >= ${schema.minimum}`));
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(validationError(path, VALIDATION_CODES.OUT_OF_RANGE, `must be <= ${schema.maximum}`));
+    }
+  }
+
+  if (typeof value === 'string' && schema.format === 'date-time' && isNaN(Date.parse(value))) {
+    errors.push(validationError(path, VALIDATION_CODES.INVALID, 'must be a date-time'));
+  }
+
+  if (Array.isArray(value) && schema.minItems !== undefined && value.length < schema.minItems) {
+    errors.push(validationError(path, VALIDATION_CODES.OUT_OF_RANGE, `must have at least ${schema.minItems} item(s)`));
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, { root, path: `${path}[${index}]` })));
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push(validationError(`${path}.${name}`, VALIDATION_CODES.MISSING, 'is required'));
+      }
+    }
+
+    for (const [name, item] of Object.entries(value)) {
+      const propertySchema = schema.properties?.[name] ?? schema.additionalProperties;
+      if (propertySchema === false) {
+        errors.push(validationError(`${path}.${name}`, VALIDATION_CODES.INVALID, 'is not allowed'));
+      } else if (propertySchema && typeof propertySchema === 'object' && item !== undefined) {
+        errors.push(...validateSchema(propertySchema, item, { root, path: `${path}.${name}` }));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Looks up a local reference such as "#/components/schemas/GroundData"
+ */
+export function resolveRef(root, ref) {
+  const target = ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], root);
+  if (!target) {
+    throw new Error(`Unresolvable $ref '${ref}'`);
+  }
+  return target;
+}
+
+/**
+ * Checks a value against one JSON Schema type
+ */
+function matchesType(type, value) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
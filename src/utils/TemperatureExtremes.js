@@ -0,0 +1,139 @@
+// Temperature extremes computed from the series itself. Providers' own
+// min/max fields can mean something else entirely (OpenWeatherMap's
+// temp_min/temp_max are the spread across a city at one moment).
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Length of the rolling window behind min24h/max24h
+ */
+export const EXTREMES_WINDOW_MS = 24 * HOUR_MS;
+
+/**
+ * Offset of local time from UTC for a location: the provider's UTC offset
+ * when it reports one, otherwise solar time from the longitude
+ * @param {Object} [location] - Data point location with `utcOffset` (seconds) or `lon`
+ * @param {number} [fallbackLon] - Longitude to use when the location has neither
+ * @returns {number} Offset in milliseconds
+ */
+export function getUtcOffsetMs(location, fallbackLon = 0) {
+  if (typeof location?.utcOffset === 'number') {
+    return location.utcOffset * 1000;
+  }
+  return ((location?.lon ?? fallbackLon) / 15) * HOUR_MS;
+}
+
+/**
+ * Collects the temperature readings of a series
+ * @returns {Array<{time: number, timestamp: string, value: number}>} Readings sorted by time
+ */
+function getReadings(points) {
+  return points
+    .filter(point => typeof point?.metrics?.temperature?.current === 'number')
+    .map(point => ({
+      time: new Date(point.timestamp).getTime(),
+      timestamp: point.timestamp,
+      value: point.metrics.temperature.current
+    }))
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Finds the lowest and highest reading; ties go to the earliest
+ * @param {Array<Object>} readings - Readings from getReadings()
+ * @returns {{min: Object, max: Object}}
+ */
+function findExtremes(readings) {
+  return readings.reduce(({ min, max }, reading) => ({
+    min: reading.value < min.value ? reading : min,
+    max: reading.value > max.value ? reading : max
+  }), { min: readings[0], max: readings[0] });
+}
+
+/**
+ * Replaces min24h/max24h of Ground data points with the extremes of the 24
+ * hours up to each point, and adds when they occurred (min24hAt,
+ * max24hAt). Points near the start of a series without enough history
+ * cover a shorter window: `coverageHours` tells how far back the readings
+ * go. A point that is the only reading in its window gets null extremes
+ * rather than its own temperature.
+ * @param {Array<Object>} points - Data points
+ * @param {Array<Object>} [history] - Earlier readings, so the first points get a full window
+ * @returns {Array<Object>} Data points with rolling extremes
+ */
+export function withRollingExtremes(points, history = []) {
+  const readings = getReadings([...history, ...points]);
+
+  return points.map(point => {
+    const temperature = point?.metrics?.temperature;
+    if (typeof temperature?.current !== 'number') {
+      return point;
+    }
+
+    const time = new Date(point.timestamp).getTime();
+    const window = readings.filter(reading => reading.time > time - EXTREMES_WINDOW_MS && reading.time <= time);
+    if (window.length < 2) {
+      return {
+        ...point,
+        metrics: {
+          ...point.metrics,
+          temperature: { ...temperature, min24h: null, max24h: null, min24hAt: null, max24hAt: null, coverageHours: 0 }
+        }
+      };
+    }
+
+    const { min, max } = findExtremes(window);
+
+    return {
+      ...point,
+      metrics: {
+        ...point.metrics,
+        temperature: {
+          ...temperature,
+          min24h: min.value,
+          max24h: max.value,
+          min24hAt: min.timestamp,
+          max24hAt: max.timestamp,
+          coverageHours: Math.round(((time - window[0].time) / HOUR_MS) * 10) / 10
+        }
+      }
+    };
+  });
+}
+
+/**
+ * Daily high and low for each local calendar day a series covers. Days at
+ * the edges of the series may be partial; `points` tells how many readings
+ * a day is based on.
+ * @param {Array<Object>} points - Data points
+ * @param {number} [fallbackLon] - Longitude for points without location (see getUtcOffsetMs)
+ * @returns {Array<Object>} [{ date: "YYYY-MM-DD", low: { value, time }, high: { value, time }, points }] sorted by date
+ */
+export function getDailyExtremes(points, fallbackLon = 0) {
+  const days = new Map();
+
+  for (const point of points) {
+    const [reading] = getReadings([point]);
+    if (!reading) {
+      continue;
+    }
+
+    const date = new Date(reading.time + getUtcOffsetMs(point.location, fallbackLon)).toISOString().slice(0, 10);
+    if (!days.has(date)) {
+      days.set(date, []);
+    }
+    days.get(date).push(reading);
+  }
+
+  return [...days.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, readings]) => {
+      const { min, max } = findExtremes(readings.sort((a, b) => a.time - b.time));
+      return {
+        date,
+        low: { value: min.value, time: min.timestamp },
+        high: { value: max.value, time: max.timestamp },
+        points: readings.length
+      };
+    });
+}
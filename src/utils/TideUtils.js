@@ -0,0 +1,213 @@
+// Tide utilities for offline harmonic tide prediction
+//
+// Tide height is the sum of cosine waves (constituents), each with a station
+// specific amplitude H and Greenwich phase lag G:
+//
+//   h(t) = Z0 + Σ f·H·cos(V(t) + u - G)
+//
+// V(t) is the astronomical argument of the constituent and f/u are the nodal
+// corrections for the 18.6-year lunar node cycle (Schureman, "Manual of
+// Harmonic Analysis and Prediction of Tides", simplified as in Pugh, "Tides,
+// Surges and Mean Sea-Level", table 4.3).
+
+const RAD = Math.PI / 180;
+const HOUR_MS = 60 * 60 * 1000;
+const J2000_MS = Date.UTC(2000, 0, 1, 12);
+
+/**
+ * Mean astronomical longitudes (degrees) at a given time
+ * @param {Date} date - Time of prediction
+ * @returns {Object} T (mean solar hour angle), s, h, p, N
+ */
+export function getAstronomicalArguments(date) {
+  const centuries = (date.getTime() - J2000_MS) / (36525 * 24 * HOUR_MS);
+  const utcHours = date.getUTCHours() + date.getUTCMinutes() / 60 +
+    date.getUTCSeconds() / 3600 + date.getUTCMilliseconds() / 3600000;
+
+  return {
+    T: 180 + 15 * utcHours, // Hour angle of the mean sun
+    s: 218.3164 + 481267.8812 * centuries, // Mean longitude of the moon
+    h: 280.4661 + 36000.7698 * centuries, // Mean longitude of the sun
+    p: 83.3535 + 4069.0137 * centuries, // Longitude of lunar perigee
+    N: 125.0445 - 1934.1363 * centuries // Longitude of the moon's ascending node
+  };
+}
+
+const lunarSemidiurnalNodal = ({ N }) => ({
+  f: 1.0004 - 0.0373 * Math.cos(N * RAD) + 0.0002 * Math.cos(2 * N * RAD),
+  u: -2.14 * Math.sin(N * RAD)
+});
+
+const lunarDiurnalNodal = ({ N }) => ({
+  f: 1.0089 + 0.1871 * Math.cos(N * RAD) - 0.0147 * Math.cos(2 * N * RAD) + 0.0014 * Math.cos(3 * N * RAD),
+  u: 10.80 * Math.sin(N * RAD) - 1.34 * Math.sin(2 * N * RAD) + 0.19 * Math.sin(3 * N * RAD)
+});
+
+const noNodal = () => ({ f: 1, u: 0 });
+
+/**
+ * Supported tidal constituents
+ *
+ * Each constituent provides its angular speed (degrees per hour, for
+ * reference), its astronomical argument V and its nodal corrections.
+ */
+export const CONSTITUENTS = {
+  M2: {
+    speed: 28.9841042,
+    argument: ({ T, s, h }) => 2 * T - 2 * s + 2 * h,
+    nodal: lunarSemidiurnalNodal
+  },
+  S2: {
+    speed: 30.0,
+    argument: ({ T }) => 2 * T,
+    nodal: noNodal
+  },
+  N2: {
+    speed: 28.4397295,
+    argument: ({ T, s, h, p }) => 2 * T - 3 * s + 2 * h + p,
+    nodal: lunarSemidiurnalNodal
+  },
+  K2: {
+    speed: 30.0821373,
+    argument: ({ T, h }) => 2 * T + 2 * h,
+    nodal: ({ N }) => ({
+      f: 1.0241 + 0.2863 * Math.cos(N * RAD) + 0.0083 * Math.cos(2 * N * RAD) - 0.0015 * Math.cos(3 * N * RAD),
+      u: -17.74 * Math.sin(N * RAD) + 0.68 * Math.sin(2 * N * RAD) - 0.04 * Math.sin(3 * N * RAD)
+    })
+  },
+  K1: {
+    speed: 15.0410686,
+    argument: ({ T, h }) => T + h - 90,
+    nodal: ({ N }) => ({
+      f: 1.0060 + 0.1150 * Math.cos(N * RAD) - 0.0088 * Math.cos(2 * N * RAD) + 0.0006 * Math.cos(3 * N * RAD),
+      u: -8.86 * Math.sin(N * RAD) + 0.68 * Math.sin(2 * N * RAD) - 0.07 * Math.sin(3 * N * RAD)
+    })
+  },
+  O1: {
+    speed: 13.9430356,
+    argument: ({ T, s, h }) => T - 2 * s + h + 90,
+    nodal: lunarDiurnalNodal
+  },
+  P1: {
+    speed: 14.9589314,
+    argument: ({ T, h }) => T - h + 90,
+    nodal: noNodal
+  },
+  Q1: {
+    speed: 13.3986609,
+    argument: ({ T, s, h, p }) => T - 3 * s + h + p + 90,
+    nodal: lunarDiurnalNodal
+  },
+  M4: {
+    speed: 57.9682084,
+    argument: (args) => 2 * CONSTITUENTS.M2.argument(args),
+    nodal: (args) => {
+      const m2 = lunarSemidiurnalNodal(args);
+      return { f: m2.f ** 2, u: 2 * m2.u };
+    }
+  },
+  MS4: {
+    speed: 58.9841042,
+    argument: (args) => CONSTITUENTS.M2.argument(args) + CONSTITUENTS.S2.argument(args),
+    nodal: lunarSemidiurnalNodal
+  },
+  M6: {
+    speed: 86.9523127,
+    argument: (args) => 3 * CONSTITUENTS.M2.argument(args),
+    nodal: (args) => {
+      const m2 = lunarSemidiurnalNodal(args);
+      return { f: m2.f ** 3, u: 3 * m2.u };
+    }
+  },
+  Mf: {
+    speed: 1.0980331,
+    argument: ({ s }) => 2 * s,
+    nodal: ({ N }) => ({
+      f: 1.043 + 0.414 * Math.cos(N * RAD),
+      u: -23.7 * Math.sin(N * RAD) + 2.7 * Math.sin(2 * N * RAD) - 0.4 * Math.sin(3 * N * RAD)
+    })
+  },
+  Mm: {
+    speed: 0.5443747,
+    argument: ({ s, p }) => s - p,
+    nodal: ({ N }) => ({ f: 1.0 - 0.130 * Math.cos(N * RAD), u: 0 })
+  },
+  Ssa: {
+    speed: 0.0821373,
+    argument: ({ h }) => 2 * h,
+    nodal: noNodal
+  },
+  Sa: {
+    speed: 0.0410686,
+    argument: ({ h }) => h,
+    nodal: noNodal
+  }
+};
+
+/**
+ * Predicts the tide height at a station
+ * @param {Object} station - Station with `meanLevel` and `constituents`
+ *   ({ M2: { amplitude, phase }, ... } in meters and degrees)
+ * @param {Date} date - Time of prediction
+ * @returns {number} Height in meters relative to the station datum
+ */
+export function predictTideHeight(station, date) {
+  const args = getAstronomicalArguments(date);
+  let height = station.meanLevel || 0;
+
+  for (const [name, { amplitude, phase }] of Object.entries(station.constituents)) {
+    const constituent = CONSTITUENTS[name];
+    if (!constituent) {
+      continue; // Unknown constituents are ignored rather than guessed
+    }
+
+    const { f, u } = constituent.nodal(args);
+    const angle = constituent.argument(args) + u - phase;
+    height += f * amplitude * Math.cos(angle * RAD);
+  }
+
+  return height;
+}
+
+/**
+ * Finds high and low tides between two times
+ *
+ * Samples the predicted curve and refines each turning point by fitting a
+ * parabola through the three samples around it.
+ * @param {Object} station - Station harmonic constants
+ * @param {Date} start - Start of the search window
+ * @param {Date} end - End of the search window
+ * @param {number} stepMinutes - Sampling interval (default: 10 minutes)
+ * @returns {Array<Object>} Extremes sorted by time: { type: "high"|"low", time: Date, height }
+ */
+export function findTideExtremes(station, start, end, stepMinutes = 10) {
+  const stepMs = stepMinutes * 60 * 1000;
+  const extremes = [];
+
+  let previous = predictTideHeight(station, new Date(start.getTime() - stepMs));
+  let current = predictTideHeight(station, start);
+
+  for (let time = start.getTime(); time <= end.getTime(); time += stepMs) {
+    const next = predictTideHeight(station, new Date(time + stepMs));
+    const isHigh = current > previous && current >= next;
+    const isLow = current < previous && current <= next;
+
+    if (isHigh || isLow) {
+      // Vertex of the parabola through (-1, previous), (0, current), (1, next)
+      const denominator = previous - 2 * current + next;
+      const offset = denominator === 0 ? 0 : (previous - next) / (2 * denominator);
+      const extremeTime = new Date(time + offset * stepMs);
+
+      extremes.push({
+        type: isHigh ? 'high' : 'low',
+        time: extremeTime,
+        height: predictTideHeight(station, extremeTime)
+      });
+    }
+
+    previous = current;
+    current = next;
+  }
+
+  return extremes;
+}
@@ -0,0 +1,311 @@
+// Time series helpers shared by the layer services
+
+export const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Provenance types attached to data points
+ */
+export const PROVENANCE_TYPES = {
+  OBSERVED: 'observed', // Measured or analysed at (or before) the time it describes
+  FORECAST: 'forecast', // Predicted by a real provider, even once its time has passed
+  INTERPOLATED: 'interpolated', // Derived from the real points on either side
+  SYNTHETIC: 'synthetic' // Generated (mock) data
+};
+
+/**
+ * Hourly timestamps centred on the current hour (hours/2 back, hours/2 ahead)
+ * @param {number} hours - Number of hours to include
+ * @param {number} [now] - Reference time in epoch milliseconds (default: Date.now())
+ * @returns {Array<number>} Epoch milliseconds
+ */
+export function getHourlyTimestamps(hours, now = Date.now()) {
+  const currentHour = Math.floor(now / HOUR_MS) * HOUR_MS;
+  const timestamps = [];
+
+  for (let hour = Math.floor(-hours / 2); hour <= Math.ceil(hours / 2); hour++) {
+    timestamps.push(currentHour + hour * HOUR_MS);
+  }
+
+  return timestamps;
+}
+
+/**
+ * Linearly interpolates every numeric field of two points with the same
+ * shape. Non-numeric fields (descriptions, icons, ...) come from the nearer point.
+ * @param {*} before - Value at the earlier time
+ * @param {*} after - Value at the later time
+ * @param {number} fraction - 0 at `before`, 1 at `after`
+ * @returns {*} Interpolated value
+ */
+export function interpolateValues(before, after, fraction) {
+  if (typeof before === 'number' && typeof after === 'number') {
+    return Math.round((before + (after - before) * fraction) * 10) / 10;
+  }
+
+  if (before && after && typeof before === 'object' && typeof after === 'object' && !Array.isArray(before)) {
+    const result = {};
+    for (const key of Object.keys(before)) {
+      result[key] = key in after ? interpolateValues(before[key], after[key], fraction) : before[key];
+    }
+    return result;
+  }
+
+  return fraction < 0.5 ? before : after;
+}
+
+/**
+ * Finds the timestamps that have no data point within tolerance
+ * @param {Array<Object>} points - Data points with `timestamp`
+ * @param {Array<number>} timestamps - Wanted timestamps in epoch milliseconds
+ * @param {number} [toleranceMs] - Max distance to a covering point (default: 30 minutes)
+ * @returns {Array<number>} Uncovered timestamps
+ */
+export function findUncoveredTimestamps(points, timestamps, toleranceMs = 30 * 60 * 1000) {
+  const times = points.map(point => new Date(point.timestamp).getTime());
+  return timestamps.filter(time => !times.some(pointTime => Math.abs(pointTime - time) <= toleranceMs));
+}
+
+/**
+ * Longest gap between real points that fillGapsByInterpolation() bridges
+ * by default: one missing 3-hour forecast step
+ */
+export const MAX_INTERPOLATION_GAP_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Fills the hourly timestamps that fall between real data points with
+ * interpolated points. Timestamps before the first or after the last real
+ * point, or inside a gap longer than maxGapMs, are left empty: nothing is
+ * extrapolated or invented.
+ * @param {Array<Object>} points - Data points with `timestamp` and `provenance`
+ * @param {Array<number>} timestamps - Wanted timestamps in epoch milliseconds
+ * @param {number} [toleranceMs] - A real point this close counts as covering a timestamp (default: 30 minutes)
+ * @param {number} [maxGapMs] - Longest gap between real points to interpolate across (default: MAX_INTERPOLATION_GAP_MS)
+ * @returns {Array<Object>} Real and interpolated points, sorted by time
+ */
+export function fillGapsByInterpolation(points, timestamps, toleranceMs = 30 * 60 * 1000, maxGapMs = MAX_INTERPOLATION_GAP_MS) {
+  const real = points
+    .map(point => ({ time: new Date(point.timestamp).getTime(), point }))
+    .sort((a, b) => a.time - b.time);
+
+  if (real.length < 2) {
+    return real.map(entry => entry.point);
+  }
+
+  const filled = [...real];
+
+  for (const time of timestamps) {
+    const afterIndex = real.findIndex(entry => entry.time >= time);
+    if (afterIndex <= 0) {
+      continue; // Outside the real data
+    }
+
+    const before = real[afterIndex - 1];
+    const after = real[afterIndex];
+    if (time - before.time <= toleranceMs || after.time - time <= toleranceMs) {
+      continue; // Already covered by a real point
+    }
+
+    if (after.time - before.time > maxGapMs) {
+      continue; // Too long a gap to guess across, left missing
+    }
+
+    const fraction = (time - before.time) / (after.time - before.time);
+
+    filled.push({
+      time,
+      point: {
+        ...interpolateValues(before.point, after.point, fraction),
+        timestamp: new Date(time).toISOString(),
+        provenance: {
+          provider: before.point.provenance?.provider,
+          type: PROVENANCE_TYPES.INTERPOLATED,
+          between: [before.point.timestamp, after.point.timestamp]
+        }
+      }
+    });
+  }
+
+  return filled.sort((a, b) => a.time - b.time).map(entry => entry.point);
+}
+
+/**
+ * Counts data points by provenance type
+ * @param {Array<Object>} points - Data points with `provenance`
+ * @returns {Object} e.g. { observed: 1, forecast: 8, interpolated: 16 }
+ */
+export function summarizeProvenance(points) {
+  const summary = {};
+
+  for (const point of points) {
+    const type = point.provenance?.type || 'unknown';
+    summary[type] = (summary[type] || 0) + 1;
+  }
+
+  return summary;
+}
+
+/**
+ * Resolutions a timeline can be resampled to
+ */
+export const RESOLUTIONS = {
+  '15m': 15 * 60 * 1000,
+  '1h': HOUR_MS,
+  '3h': 3 * HOUR_MS
+};
+
+/**
+ * Fields resampled along a spline rather than linearly: temperature follows
+ * a smooth daily curve, so straight lines between 3-hourly points show kinks
+ */
+export const SPLINE_FIELDS = ['metrics.temperature.current', 'metrics.temperature.feelsLike'];
+
+/**
+ * Builds a monotone cubic (Fritsch-Carlson) interpolator. Unlike a natural
+ * spline it never overshoots the data, so no resampled value goes beyond
+ * the real ones around it.
+ * @param {Array<number>} xs - Strictly increasing x values
+ * @param {Array<number>} ys - y values
+ * @returns {Function} (x) => y, for x within the range of xs
+ */
+export function createMonotoneSpline(xs, ys) {
+  const n = xs.length;
+  const widths = [];
+  const slopes = [];
+
+  for (let i = 0; i < n - 1; i++) {
+    widths.push(xs[i + 1] - xs[i]);
+    slopes.push((ys[i + 1] - ys[i]) / widths[i]);
+  }
+
+  // Tangents: mean of the neighbouring slopes, flat at local extremes
+  const tangents = xs.map((x, i) => {
+    if (i === 0) return slopes[0];
+    if (i === n - 1) return slopes[n - 2];
+    return slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2;
+  });
+
+  // Limit the tangents so each segment stays monotone
+  for (let i = 0; i < n - 1; i++) {
+    if (slopes[i] === 0) {
+      tangents[i] = 0;
+      tangents[i + 1] = 0;
+      continue;
+    }
+
+    const a = tangents[i] / slopes[i];
+    const b = tangents[i + 1] / slopes[i];
+    const magnitude = a * a + b * b;
+    if (magnitude > 9) {
+      const scale = 3 / Math.sqrt(magnitude);
+      tangents[i] = scale * a * slopes[i];
+      tangents[i + 1] = scale * b * slopes[i];
+    }
+  }
+
+  return (x) => {
+    let i = xs.findIndex((value, index) => index === n - 1 || xs[index + 1] >= x);
+    i = Math.min(Math.max(i, 0), n - 2);
+
+    const t = (x - xs[i]) / widths[i];
+    const t2 = t * t;
+    const t3 = t2 * t;
+
+    return (2 * t3 - 3 * t2 + 1) * ys[i] +
+      (t3 - 2 * t2 + t) * widths[i] * tangents[i] +
+      (-2 * t3 + 3 * t2) * ys[i + 1] +
+      (t3 - t2) * widths[i] * tangents[i + 1];
+  };
+}
+
+// Provenance types from most to least certain; a resampled point is only
+// as certain as the less certain of its neighbours
+const CERTAINTY = [PROVENANCE_TYPES.OBSERVED, PROVENANCE_TYPES.FORECAST, PROVENANCE_TYPES.SYNTHETIC];
+
+/**
+ * Provenance type of a point resampled between two others: interpolated
+ * between observations, otherwise the type of the less certain neighbour,
+ * so resampled mock data stays synthetic and resampled forecasts stay forecasts
+ * @param {Object} before - Earlier point with `provenance`
+ * @param {Object} after - Later point with `provenance`
+ * @returns {string} One of PROVENANCE_TYPES
+ */
+export function getResampledType(before, after) {
+  const types = [before.provenance?.type, after.provenance?.type];
+  if (types.every(type => type === PROVENANCE_TYPES.OBSERVED)) {
+    return PROVENANCE_TYPES.INTERPOLATED;
+  }
+
+  return types.reduce((weakest, type) => CERTAINTY.indexOf(type) > CERTAINTY.indexOf(weakest) ? type : weakest);
+}
+
+/**
+ * Resamples a series to a fixed step aligned to UTC (e.g. every full hour).
+ * Only real points are used as input; previously interpolated or resampled
+ * ones are recomputed. A real point near a step time is kept, moved onto
+ * the step time; other step times get a point marked `resampled: true`
+ * with the provenance type from getResampledType(): SPLINE_FIELDS follow a
+ * monotone spline, other numbers are linear (e.g. pressure) and everything
+ * else comes from the nearest point (e.g. conditions). Real points between
+ * step times are left out, and nothing is extrapolated beyond the first and
+ * last real point.
+ * @param {Array<Object>} points - Data points with `timestamp` and `provenance`
+ * @param {number} stepMs - Step in milliseconds, see RESOLUTIONS
+ * @param {number} [toleranceMs] - A real point this close to a step time is kept (default: 1 minute)
+ * @returns {Array<Object>} Points at every step time, sorted by time
+ */
+export function resampleSeries(points, stepMs, toleranceMs = 60 * 1000) {
+  const real = points
+    .filter(point => point.provenance?.type !== PROVENANCE_TYPES.INTERPOLATED && !point.resampled)
+    .map(point => ({ time: new Date(point.timestamp).getTime(), point }))
+    .sort((a, b) => a.time - b.time);
+
+  if (real.length < 2) {
+    return real.map(entry => entry.point);
+  }
+
+  const splines = SPLINE_FIELDS.map(path => {
+    const keys = path.split('.');
+    const knots = real
+      .map(({ time, point }) => ({ time, value: keys.reduce((node, key) => node?.[key], point) }))
+      .filter(knot => typeof knot.value === 'number');
+    const spline = knots.length >= 2 ? createMonotoneSpline(knots.map(knot => knot.time), knots.map(knot => knot.value)) : null;
+    return { keys, spline, first: knots[0]?.time, last: knots[knots.length - 1]?.time };
+  });
+
+  const resampled = [];
+  const last = real[real.length - 1].time;
+
+  for (let time = Math.ceil(real[0].time / stepMs) * stepMs; time <= last; time += stepMs) {
+    const exact = real.find(entry => Math.abs(entry.time - time) <= toleranceMs);
+    if (exact) {
+      resampled.push(exact.time === time ? exact.point : { ...exact.point, timestamp: new Date(time).toISOString() });
+      continue;
+    }
+
+    const afterIndex = real.findIndex(entry => entry.time > time);
+    const before = real[afterIndex - 1];
+    const after = real[afterIndex];
+    const point = interpolateValues(before.point, after.point, (time - before.time) / (after.time - before.time));
+
+    for (const { keys, spline, first, last: lastKnot } of splines) {
+      const parent = keys.slice(0, -1).reduce((node, key) => node?.[key], point);
+      const key = keys[keys.length - 1];
+      if (spline && typeof parent?.[key] === 'number' && time >= first && time <= lastKnot) {
+        parent[key] = Math.round(spline(time) * 10) / 10;
+      }
+    }
+
+    resampled.push({
+      ...point,
+      timestamp: new Date(time).toISOString(),
+      provenance: {
+        provider: before.point.provenance?.provider,
+        type: getResampledType(before.point, after.point),
+        between: [before.point.timestamp, after.point.timestamp]
+      },
+      resampled: true
+    });
+  }
+
+  return resampled;
+}
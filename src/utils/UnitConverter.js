@@ -0,0 +1,193 @@
+// Unit conversion for API responses. Layer data is stored and computed in
+// metric base units (°C, hPa, m/s, m, mm); conversion only happens on the way out.
+
+/**
+ * Convertible quantities with their query parameter and units. Each unit
+ * converts from the base unit (the one with factor 1 and no offset) as
+ * `value * factor + offset`, rounded to `decimals`.
+ */
+export const QUANTITIES = {
+  temperature: {
+    param: 'temp',
+    units: {
+      C: { label: '°C', factor: 1, decimals: 1 },
+      F: { label: '°F', factor: 9 / 5, offset: 32, decimals: 1 },
+      K: { label: 'K', factor: 1, offset: 273.15, decimals: 1 }
+    }
+  },
+  pressure: {
+    param: 'pressure',
+    units: {
+      hPa: { label: 'hPa', factor: 1, decimals: 2 },
+      kPa: { label: 'kPa', factor: 0.1, decimals: 2 },
+      inHg: { label: 'inHg', factor: 0.0295299830714, decimals: 2 },
+      mmHg: { label: 'mmHg', factor: 0.750061683, decimals: 1 }
+    }
+  },
+  speed: {
+    param: 'speed',
+    units: {
+      ms: { label: 'm/s', factor: 1, decimals: 1 },
+      kmh: { label: 'km/h', factor: 3.6, decimals: 1 },
+      mph: { label: 'mph', factor: 2.2369362921, decimals: 1 },
+      kn: { label: 'kn', factor: 1.9438444924, decimals: 1 }
+    }
+  },
+  distance: {
+    param: 'distance',
+    units: {
+      m: { label: 'm', factor: 1, decimals: 0 },
+      km: { label: 'km', factor: 0.001, decimals: 1 },
+      mi: { label: 'mi', factor: 0.000621371192, decimals: 1 }
+    }
+  },
+  precipitation: {
+    param: 'precipitation',
+    units: {
+      mm: { label: 'mm', factor: 1, decimals: 1 },
+      in: { label: 'in', factor: 0.0393700787, decimals: 2 }
+    }
+  },
+  height: {
+    param: 'height',
+    units: {
+      m: { label: 'm', factor: 1, decimals: 2 },
+      ft: { label: 'ft', factor: 3.280839895, decimals: 2 }
+    }
+  }
+};
+
+/**
+ * Unit systems selectable with the `units` query parameter
+ */
+export const UNIT_SYSTEMS = {
+  metric: { temperature: 'C', pressure: 'hPa', speed: 'ms', distance: 'm', precipitation: 'mm', height: 'm' },
+  imperial: { temperature: 'F', pressure: 'inHg', speed: 'mph', distance: 'mi', precipitation: 'in', height: 'ft' }
+};
+
+/**
+ * Fields holding a convertible quantity, per layer
+ */
+const LAYER_FIELDS = {
+  ground: [
+    ['metrics.temperature.current', 'temperature'],
+    ['metrics.temperature.feelsLike', 'temperature'],
+    ['metrics.temperature.min24h', 'temperature'],
+    ['metrics.temperature.max24h', 'temperature'],
+    ['metrics.pressure.current', 'pressure'],
+    ['metrics.pressure.seaLevel', 'pressure'],
+    ['metrics.pressure.rate', 'pressure'],
+    ['metrics.wind.speed', 'speed'],
+    ['metrics.derived.dewPoint', 'temperature'],
+    ['metrics.derived.heatIndex', 'temperature'],
+    ['metrics.derived.windChill', 'temperature']
+  ],
+  sky: [
+    ['wind.speed', 'speed'],
+    ['wind.gust', 'speed'],
+    ['visibility', 'distance'],
+    ['precipitation.rain', 'precipitation'],
+    ['precipitation.snow', 'precipitation']
+  ],
+  sea: [
+    ['tide.height', 'height'],
+    ['tide.nextHigh.height', 'height'],
+    ['tide.nextLow.height', 'height'],
+    ['waterTemperature.current', 'temperature']
+  ],
+  astro: []
+};
+
+/**
+ * Resolves the units of a request: a system (`units`, default metric)
+ * with optional per-quantity overrides such as `temp=F&pressure=inHg`
+ * @param {Object} query - Express request query
+ * @returns {Object} { system, temperature, pressure, speed, distance, precipitation, height };
+ *   system is "custom" when an override differs from the chosen system
+ */
+export function resolveUnits(query = {}) {
+  const base = UNIT_SYSTEMS[query.units] ? query.units : 'metric';
+  const units = { system: base, ...UNIT_SYSTEMS[base] };
+
+  for (const [quantity, { param, units: available }] of Object.entries(QUANTITIES)) {
+    const unit = query[param];
+    if (unit && available[unit] && unit !== units[quantity]) {
+      units[quantity] = unit;
+      units.system = 'custom';
+    }
+  }
+
+  return units;
+}
+
+/**
+ * Display labels of resolved units, for response metadata
+ * @param {Object} units - Output of resolveUnits
+ * @returns {Object} e.g. { system: "imperial", temperature: "°F", pressure: "inHg", ... }
+ */
+export function getUnitLabels(units) {
+  const labels = { system: units.system };
+  for (const [quantity, { units: available }] of Object.entries(QUANTITIES)) {
+    labels[quantity] = available[units[quantity]].label;
+  }
+  return labels;
+}
+
+/**
+ * Converts a value from the base unit of its quantity
+ * @param {number|null} value - Value in the base unit
+ * @param {string} quantity - Key of QUANTITIES
+ * @param {string} unit - Target unit, e.g. "F"
+ * @returns {number|null} Converted value; non-numbers are returned as is
+ */
+export function convertValue(value, quantity, unit) {
+  const { factor, offset = 0, decimals } = QUANTITIES[quantity].units[unit];
+
+  if (typeof value !== 'number' || (factor === 1 && offset === 0)) {
+    return value;
+  }
+
+  const scale = 10 ** decimals;
+  return Math.round((value * factor + offset) * scale) / scale;
+}
+
+/**
+ * Converts layer data points to the requested units. Points are copied
+ * where they change, so cached data is never modified.
+ * @param {string} layer - Layer name (ground, sky, sea, astro)
+ * @param {Object|Array<Object>|null} data - One data point or a list of them
+ * @param {Object} units - Output of resolveUnits
+ * @returns {Object|Array<Object>|null} Converted data
+ */
+export function convertLayerData(layer, data, units) {
+  if (Array.isArray(data)) {
+    return data.map(point => convertLayerData(layer, point, units));
+  }
+
+  if (!data) {
+    return data;
+  }
+
+  return (LAYER_FIELDS[layer] || []).reduce((point, [path, quantity]) => {
+    const keys = path.split('.');
+    const value = keys.reduce((node, key) => node?.[key], point);
+    return value === undefined ? point : setIn(point, keys, convertValue(value, quantity, units[quantity]));
+  }, data);
+}
+
+/**
+ * Sets a nested value, copying the objects along the path
+ */
+function setIn(object, [key, ...rest], value) {
+  if (rest.length === 0) {
+    return object[key] === value ? object : { ...object, [key]: value };
+  }
+
+  const child = object[key];
+  if (!child || typeof child !== 'object') {
+    return object;
+  }
+
+  const updated = setIn(child, rest, value);
+  return updated === child ? object : { ...object, [key]: updated };
+}